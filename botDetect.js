@@ -1,8 +1,25 @@
 /**
  * Web Bot Detection: Behavioral Data Collection Script
- * Version: 1.0
+ * Version: 1.1.0
  * Description: Collects user behavioral data for bot detection AI training
- * Deployment: Add this script to your website before </body> tag
+ * Deployment: Add this script to your website before </body> tag with your public site key:
+ *   <script src="https://<backend>/collector.js" data-site-key="site_..."></script>
+ * Options: see DEFAULT_OPTIONS. Set them as data-* attributes (data-sample-rate="0.5",
+ *   data-collectors="mouse,click,key"), in window.BotDetectorConfig before the script loads,
+ *   in the site's collector_config on the backend, or with BotDetector.init(options) when
+ *   data-auto-start="false". Self-hosted copies can bake defaults in with
+ *   scripts/buildCollector.js.
+ * Verdicts: window.BotDetector.getScore() returns the latest verdict (or null),
+ *   window.BotDetector.onVerdict(callback) subscribes to new ones, and a
+ *   'botdetector:verdict' CustomEvent is dispatched on document for each of them.
+ * Honeypots: add data-honeypot="true" to inject invisible trap links and form fields.
+ * Privacy: with data-require-consent="true" nothing is collected until the page calls
+ *   BotDetector.setConsent(true); Do Not Track / Global Privacy Control stop collection
+ *   unless data-respect-dnt="false".
+ * Tokens: set data-token-paths="/login,/api/checkout" and the latest signed verdict token is
+ *   added to same-origin forms posting to those paths (hidden bd_token field) and fetches of
+ *   them (X-BotDetector-Token header); check it with POST /api/verify. Each token verifies
+ *   once, so a new one is requested after every protected submit or fetch.
  */
 
 (function() {
@@ -11,13 +28,176 @@
     // =============================================
     // CONFIGURATION
     // =============================================
+    const VERSION = '1.1.0';
+
+    const scriptTag = document.currentScript;
+
+    // Defaults baked in by scripts/buildCollector.js (and the hosted /collector.js)
+    const BUILD_OPTIONS = {};
+
+    // Options, in snake_case like the backend's collector_config. Each source overrides
+    // the ones before it: these defaults < build options < the site's remote config
+    // < data-* attributes < window.BotDetectorConfig < BotDetector.init()
+    const DEFAULT_OPTIONS = {
+        site_key: null, // Public key of the site this script is embedded on
+        endpoint: 'https://bot-detector-backend.vercel.app/api',
+        // Honeypots are opt-in because they add elements to the host page
+        collectors: [
+            'mouse', 'click', 'scroll', 'key', 'touch', 'pointer', 'motion', 'orientation', 'page_views'
+        ],
+        sample_rate: 1, // Share of sessions that collect at all
+        batch_interval: 10000, // 10 seconds
+        verdict_interval: 15000, // 15 seconds
+        max_events: 1000, // Prevent memory overflow
+        throttle: { mouse: 50, touch: 50, pointer: 50, motion: 100, orientation: 200 }, // ms between events
+        privacy_mode: 'standard', // 'strict' drops element text, key codes, titles, referrers and query strings
+        // Sessions that collect nothing get no verdict, so sites that gate on verdicts must
+        // decide how to treat them (automation can switch Do Not Track on too)
+        require_consent: false, // Collect nothing until BotDetector.setConsent(true)
+        respect_dnt: true, // Collect nothing when Do Not Track or Global Privacy Control is on
+        // Same-origin path prefixes whose forms and fetches carry the verdict token (none by default)
+        token_paths: [],
+        remote_config: true, // Load the site's options from GET /api/config/:site_key
+        auto_start: true // false waits for BotDetector.init(options)
+    };
+
+    // Fixed settings; the option-dependent ones are filled in by applyOptions()
     const CONFIG = {
-        API_ENDPOINT: 'https://bot-detector-backend.vercel.app/api/collect-behavior',
-        BATCH_INTERVAL: 10000, // 10 seconds
-        MAX_EVENTS: 1000, // Prevent memory overflow
+        TOKEN_FIELD: 'bd_token', // Hidden form field carrying the verdict token
+        TOKEN_HEADER: 'X-BotDetector-Token', // Header added to same-origin fetches
+        COMPRESSION_THRESHOLD: 16 * 1024, // Gzip batches larger than 16KB
+        MAX_RETRIES: 2, // Retries for failed fetch fallbacks
+        RETRY_DELAY: 2000, // Base delay between retries (doubles each attempt)
+        REMOTE_CONFIG_TIMEOUT: 3000, // Give up on the remote config after 3 seconds
         SESSION_DURATION: 30 * 60 * 1000 // 30 minutes
     };
 
+    // =============================================
+    // OPTIONS
+    // =============================================
+
+    // Later sources win; throttle values merge per collector
+    const mergeOptions = (base, overrides) => {
+        const merged = Object.assign({}, base);
+        Object.keys(overrides || {}).forEach(key => {
+            if (overrides[key] === undefined || overrides[key] === null) {
+                return;
+            }
+            merged[key] = key === 'throttle'
+                ? Object.assign({}, base.throttle, overrides.throttle)
+                : overrides[key];
+        });
+        return merged;
+    };
+
+    // Options from data-* attributes on the script tag
+    const readScriptOptions = () => {
+        const options = {};
+        if (!scriptTag) {
+            return options;
+        }
+        const attr = (name) => scriptTag.getAttribute('data-' + name);
+        const number = (name, key) => {
+            const value = attr(name);
+            if (value !== null && value !== '' && isFinite(Number(value))) {
+                options[key] = Number(value);
+            }
+        };
+        const flag = (name, key) => {
+            if (attr(name) !== null) {
+                options[key] = attr(name) !== 'false';
+            }
+        };
+
+        if (attr('site-key')) options.site_key = attr('site-key');
+        if (attr('endpoint')) options.endpoint = attr('endpoint');
+        if (attr('collectors') !== null) {
+            options.collectors = attr('collectors').split(',').map(name => name.trim()).filter(Boolean);
+        }
+        if (attr('token-paths') !== null) {
+            options.token_paths = attr('token-paths').split(',').map(path => path.trim()).filter(Boolean);
+        }
+        number('sample-rate', 'sample_rate');
+        number('batch-interval', 'batch_interval');
+        number('verdict-interval', 'verdict_interval');
+        number('max-events', 'max_events');
+        if (attr('privacy-mode')) options.privacy_mode = attr('privacy-mode');
+        flag('require-consent', 'require_consent');
+        flag('respect-dnt', 'respect_dnt');
+        flag('remote-config', 'remote_config');
+        flag('auto-start', 'auto_start');
+        // data-honeypot="true" predates data-collectors and still turns honeypots on
+        if (attr('honeypot') === 'true') options.honeypot = true;
+        return options;
+    };
+
+    const clampNumber = (value, min, max, fallback) => (
+        typeof value === 'number' && isFinite(value) ? Math.min(max, Math.max(min, value)) : fallback
+    );
+
+    // Options set on the page itself; they win over the remote config
+    let pageOptions = mergeOptions(readScriptOptions(), window.BotDetectorConfig);
+    let options = null;
+
+    // Resolve `resolved` options into CONFIG, falling back to defaults for invalid values
+    const applyOptions = (resolved) => {
+        options = resolved;
+        const apiBase = String(resolved.endpoint || DEFAULT_OPTIONS.endpoint).replace(/\/+$/, '');
+        const throttle = resolved.throttle || {};
+
+        CONFIG.SITE_KEY = resolved.site_key || null;
+        // site_key in the query lets the backend check CORS against the site's origins
+        CONFIG.SITE_QUERY = CONFIG.SITE_KEY ? '?site_key=' + encodeURIComponent(CONFIG.SITE_KEY) : '';
+        CONFIG.API_ENDPOINT = apiBase + '/collect-behavior' + CONFIG.SITE_QUERY;
+        CONFIG.VERDICT_ENDPOINT = apiBase + '/verdict/';
+        CONFIG.REMOTE_CONFIG_ENDPOINT = apiBase + '/config/';
+        CONFIG.SAMPLE_RATE = clampNumber(resolved.sample_rate, 0, 1, DEFAULT_OPTIONS.sample_rate);
+        CONFIG.BATCH_INTERVAL = clampNumber(resolved.batch_interval, 2000, 60000, DEFAULT_OPTIONS.batch_interval);
+        CONFIG.VERDICT_INTERVAL = clampNumber(resolved.verdict_interval, 5000, 300000, DEFAULT_OPTIONS.verdict_interval);
+        CONFIG.MAX_EVENTS = clampNumber(resolved.max_events, 100, 5000, DEFAULT_OPTIONS.max_events);
+        CONFIG.THROTTLE = {};
+        Object.keys(DEFAULT_OPTIONS.throttle).forEach(name => {
+            CONFIG.THROTTLE[name] = clampNumber(throttle[name], 0, 5000, DEFAULT_OPTIONS.throttle[name]);
+        });
+        CONFIG.COLLECTORS = (Array.isArray(resolved.collectors) ? resolved.collectors : DEFAULT_OPTIONS.collectors).slice();
+        if (resolved.honeypot === true && CONFIG.COLLECTORS.indexOf('honeypot') === -1) {
+            CONFIG.COLLECTORS.push('honeypot');
+        }
+        CONFIG.STRICT_PRIVACY = resolved.privacy_mode === 'strict';
+        CONFIG.TOKEN_PATHS = (Array.isArray(resolved.token_paths) ? resolved.token_paths : [])
+            .filter(path => typeof path === 'string' && path.charAt(0) === '/')
+            .map(path => path.replace(/\/+$/, ''));
+    };
+
+    // Every option source merged in precedence order; `remote` is the site's config, if loaded
+    const resolveOptions = (remote) => mergeOptions(
+        mergeOptions(mergeOptions(DEFAULT_OPTIONS, BUILD_OPTIONS), remote),
+        pageOptions
+    );
+    applyOptions(resolveOptions(null));
+
+    // Whether events are recorded right now: from start until the session is sampled out,
+    // and only while consent and Do Not Track allow it
+    let collecting = false;
+
+    // Consent given by the page through BotDetector.setConsent()
+    let consentGranted = false;
+
+    const doNotTrack = () => navigator.doNotTrack === '1' || window.doNotTrack === '1' ||
+        navigator.globalPrivacyControl === true;
+
+    const trackingAllowed = () => !(options.respect_dnt && doNotTrack()) &&
+        (!options.require_consent || consentGranted);
+
+    const isEnabled = (collector) => collecting && CONFIG.COLLECTORS.indexOf(collector) !== -1;
+
+    // Drop the oldest events of a type once it holds more than MAX_EVENTS
+    const capEvents = (field, keep) => {
+        if (behaviorData[field].length > CONFIG.MAX_EVENTS) {
+            behaviorData[field] = behaviorData[field].slice(-Math.min(keep, CONFIG.MAX_EVENTS));
+        }
+    };
+
     // =============================================
     // SESSION MANAGEMENT
     // =============================================
@@ -37,6 +217,18 @@
         return sessionId;
     };
 
+    // Next batch sequence number, persisted so it keeps increasing across page loads
+    const nextBatchSeq = () => {
+        const seq = parseInt(sessionStorage.getItem('bot_detection_batch_seq') || '0', 10);
+        sessionStorage.setItem('bot_detection_batch_seq', String(seq + 1));
+        return seq;
+    };
+
+    // Unique batch ID; retries reuse it so the backend stores the batch only once
+    const generateBatchId = () => {
+        return 'batch_' + Date.now().toString(36) + '_' + Math.random().toString(36).substr(2, 9);
+    };
+
     // =============================================
     // DATA STORAGE
     // =============================================
@@ -48,10 +240,24 @@
         click_events: [],
         scroll_events: [],
         key_events: [],
+        touch_events: [],
+        pointer_events: [],
+        motion_events: [],
+        orientation_events: [],
+        honeypot_events: [],
         fingerprint: null,
         page_views: []
     };
 
+    // Number of page views already sent to the backend
+    let sentPageViews = 0;
+
+    // Whether any batch has been sent, i.e. whether the backend can know this session
+    let hasSentData = false;
+
+    // Whether this session is sampled in; null until the remote config has loaded
+    let sampledIn = null;
+
     // =============================================
     // FINGERPRINT COLLECTION
     // =============================================
@@ -87,13 +293,50 @@
             
             // Hardware
             deviceMemory: navigator.deviceMemory || 'unknown',
-            hardwareConcurrency: navigator.hardwareConcurrency || 'unknown'
+            hardwareConcurrency: navigator.hardwareConcurrency || 'unknown',
+
+            // Headless / automation tells (checked for consistency by the backend)
+            webdriver: navigator.webdriver === true,
+            plugins: navigator.plugins ? navigator.plugins.length : 0,
+            mimeTypes: navigator.mimeTypes ? navigator.mimeTypes.length : 0,
+            chrome: typeof window.chrome !== 'undefined',
+            notifPerm: typeof Notification !== 'undefined' ? Notification.permission : 'unsupported',
+            ...getWebGLInfo()
         };
     };
 
+    // Unmasked WebGL vendor/renderer; software renderers point to headless environments
+    function getWebGLInfo() {
+        try {
+            const gl = document.createElement('canvas').getContext('webgl');
+            const debugInfo = gl && gl.getExtension('WEBGL_debug_renderer_info');
+            if (!debugInfo) {
+                return {};
+            }
+            return {
+                glVendor: String(gl.getParameter(debugInfo.UNMASKED_VENDOR_WEBGL)).substring(0, 256),
+                glRenderer: String(gl.getParameter(debugInfo.UNMASKED_RENDERER_WEBGL)).substring(0, 256)
+            };
+        } catch (error) {
+            return {};
+        }
+    }
+
     // Initialize fingerprint
     behaviorData.fingerprint = getFingerprint();
 
+    // Permissions API state is async; it is sent with the batches that follow.
+    // Headless Chrome answers 'prompt' here while Notification.permission is 'denied'.
+    if (navigator.permissions && navigator.permissions.query) {
+        navigator.permissions.query({ name: 'notifications' })
+            .then(status => {
+                behaviorData.fingerprint.permState = status.state;
+            })
+            .catch(() => {
+                behaviorData.fingerprint.permState = 'error';
+            });
+    }
+
     // =============================================
     // EVENT COLLECTORS
     // =============================================
@@ -105,10 +348,13 @@
      */
     let lastMouseTime = Date.now();
     document.addEventListener('mousemove', function(e) {
+        if (!isEnabled('mouse')) {
+            return;
+        }
         const now = Date.now();
         
         // Throttle events to prevent excessive data
-        if (now - lastMouseTime > 50) { // Max 20 events per second
+        if (now - lastMouseTime > CONFIG.THROTTLE.mouse) { // Max 20 events per second by default
             behaviorData.mouse_events.push({
                 x: e.clientX,
                 y: e.clientY,
@@ -122,34 +368,71 @@
             
             lastMouseTime = now;
             
-            // Prevent memory overflow
-            if (behaviorData.mouse_events.length > CONFIG.MAX_EVENTS) {
-                behaviorData.mouse_events = behaviorData.mouse_events.slice(-500);
-            }
+            capEvents('mouse_events', 500);
         }
     });
 
+    /**
+     * POINTER TRACKING
+     * Why: Real clicks follow a pointerdown; element.click() and dispatched events do not
+     * When: Every pointer press, remembered until the next click
+     */
+    let lastPointerDown = null;
+    document.addEventListener('pointerdown', function(e) {
+        lastPointerDown = {
+            t: Date.now(),
+            type: e.pointerType || '',
+            pressure: typeof e.pressure === 'number' ? e.pressure : null
+        };
+    }, true);
+
+    // Zero-size or hidden targets cannot be clicked by a person
+    const isVisible = (element) => {
+        if (!element || !element.getBoundingClientRect) {
+            return false;
+        }
+        const rect = element.getBoundingClientRect();
+        const style = window.getComputedStyle(element);
+        return rect.width > 0 && rect.height > 0 && style.visibility !== 'hidden' && style.display !== 'none';
+    };
+
     /**
      * CLICK ACTIVITY COLLECTION
      * Why: Distinguishes genuine users from simple bot scripts
      * When: Every click on any element
      */
     document.addEventListener('click', function(e) {
+        const now = Date.now();
+        const pointer = lastPointerDown && now - lastPointerDown.t < 2000 ? lastPointerDown : null;
+        lastPointerDown = null;
+        if (!isEnabled('click')) {
+            return;
+        }
+
         behaviorData.click_events.push({
             x: e.clientX,
             y: e.clientY,
             btn: e.button,
             tgt: e.target.tagName,
-            t: Date.now(),
-            // Additional context
-            id: e.target.id || '',
-            className: e.target.className || '',
-            text: e.target.textContent ? e.target.textContent.substring(0, 50) : '' // Limited text
+            t: now,
+            // Additional context (left out in strict privacy mode)
+            ...(CONFIG.STRICT_PRIVACY ? {} : {
+                id: (e.target.id || '').substring(0, 256),
+                // SVG elements expose className as an object, so read the attribute instead
+                className: (typeof e.target.className === 'string'
+                    ? e.target.className
+                    : (e.target.getAttribute && e.target.getAttribute('class')) || '').substring(0, 512),
+                text: e.target.textContent ? e.target.textContent.substring(0, 50) : '' // Limited text
+            }),
+            // Interaction integrity
+            trusted: e.isTrusted,
+            pd: Boolean(pointer),
+            ptr: pointer ? pointer.type.substring(0, 16) : undefined,
+            pr: pointer && pointer.pressure !== null ? pointer.pressure : undefined,
+            vis: isVisible(e.target)
         });
 
-        if (behaviorData.click_events.length > CONFIG.MAX_EVENTS) {
-            behaviorData.click_events = behaviorData.click_events.slice(-200);
-        }
+        capEvents('click_events', 200);
     });
 
     /**
@@ -159,6 +442,9 @@
      */
     let scrollTimeout;
     window.addEventListener('scroll', function() {
+        if (!isEnabled('scroll')) {
+            return;
+        }
         // Throttle scroll events
         clearTimeout(scrollTimeout);
         scrollTimeout = setTimeout(() => {
@@ -174,9 +460,7 @@
                 docW: document.documentElement.scrollWidth
             });
 
-            if (behaviorData.scroll_events.length > CONFIG.MAX_EVENTS) {
-                behaviorData.scroll_events = behaviorData.scroll_events.slice(-100);
-            }
+            capEvents('scroll_events', 100);
         }, 100);
     });
 
@@ -186,47 +470,163 @@
      * When: Key presses (only timing, not content)
      */
     document.addEventListener('keydown', function(e) {
+        if (!isEnabled('key')) {
+            return;
+        }
         behaviorData.key_events.push({
             t: Date.now(),
-            // Safe metadata only
-            keyCode: e.keyCode,
-            location: e.location,
+            // Safe metadata only (timing alone in strict privacy mode)
+            keyCode: CONFIG.STRICT_PRIVACY ? undefined : e.keyCode,
+            location: CONFIG.STRICT_PRIVACY ? undefined : e.location,
             // Modifier keys (safe to collect)
             ctrl: e.ctrlKey,
             shift: e.shiftKey,
             alt: e.altKey,
-            meta: e.metaKey
+            meta: e.metaKey,
+            trusted: e.isTrusted
+        });
+
+        capEvents('key_events', 300);
+    });
+
+    /**
+     * TOUCH ACTIVITY COLLECTION
+     * Why: Mobile visitors produce no mouse data; contact size and force are hard to fake
+     * When: Touch start/end, and touch movement throttled (20 per second by default)
+     */
+    let lastTouchMoveTime = 0;
+    const recordTouch = (phase) => function(e) {
+        if (!isEnabled('touch')) {
+            return;
+        }
+        const now = Date.now();
+        if (phase === 'move') {
+            if (now - lastTouchMoveTime <= CONFIG.THROTTLE.touch) {
+                return;
+            }
+            lastTouchMoveTime = now;
+        }
+
+        // touchend has no active touches left, so describe the one that lifted
+        const touch = e.touches[0] || e.changedTouches[0];
+        behaviorData.touch_events.push({
+            ph: phase,
+            t: now,
+            x: touch ? touch.clientX : undefined,
+            y: touch ? touch.clientY : undefined,
+            n: e.touches.length,
+            rx: touch && typeof touch.radiusX === 'number' ? touch.radiusX : undefined,
+            ry: touch && typeof touch.radiusY === 'number' ? touch.radiusY : undefined,
+            f: touch && typeof touch.force === 'number' ? touch.force : undefined
+        });
+
+        capEvents('touch_events', 500);
+    };
+    document.addEventListener('touchstart', recordTouch('start'), { passive: true });
+    document.addEventListener('touchmove', recordTouch('move'), { passive: true });
+    document.addEventListener('touchend', recordTouch('end'), { passive: true });
+    document.addEventListener('touchcancel', recordTouch('cancel'), { passive: true });
+
+    /**
+     * POINTER ACTIVITY COLLECTION
+     * Why: Pen and touch pointers report pressure, contact size and tilt
+     * When: Pointer presses and releases; movement only for pen/touch (mousemove covers mice),
+     *   throttled (20 per second by default)
+     */
+    let lastPointerMoveTime = 0;
+    const recordPointer = (phase) => function(e) {
+        if (!isEnabled('pointer')) {
+            return;
+        }
+        const now = Date.now();
+        if (phase === 'move') {
+            if (e.pointerType === 'mouse' || now - lastPointerMoveTime <= CONFIG.THROTTLE.pointer) {
+                return;
+            }
+            lastPointerMoveTime = now;
+        }
+
+        behaviorData.pointer_events.push({
+            ph: phase,
+            t: now,
+            x: e.clientX,
+            y: e.clientY,
+            ptr: (e.pointerType || '').substring(0, 16),
+            pr: e.pressure,
+            w: e.width,
+            h: e.height,
+            tx: e.tiltX,
+            ty: e.tiltY,
+            primary: e.isPrimary
         });
 
-        if (behaviorData.key_events.length > CONFIG.MAX_EVENTS) {
-            behaviorData.key_events = behaviorData.key_events.slice(-300);
+        capEvents('pointer_events', 500);
+    };
+    document.addEventListener('pointerdown', recordPointer('down'), true);
+    document.addEventListener('pointermove', recordPointer('move'), { passive: true });
+    document.addEventListener('pointerup', recordPointer('up'), true);
+    document.addEventListener('pointercancel', recordPointer('cancel'), true);
+
+    /**
+     * DEVICE SENSOR COLLECTION
+     * Why: Handheld devices jitter constantly; emulators report flat or missing readings
+     * When: By default at most 10 motion and 5 orientation samples per second. Browsers that
+     *   gate sensors behind a permission prompt (iOS) simply send none; we never prompt.
+     */
+    const sensorValue = (value) => (typeof value === 'number' ? value : null);
+
+    let lastMotionTime = 0;
+    window.addEventListener('devicemotion', function(e) {
+        const now = Date.now();
+        if (!isEnabled('motion') || now - lastMotionTime <= CONFIG.THROTTLE.motion) {
+            return;
         }
+        lastMotionTime = now;
+
+        const accel = e.accelerationIncludingGravity || {};
+        const rotation = e.rotationRate || {};
+        behaviorData.motion_events.push({
+            t: now,
+            ax: sensorValue(accel.x),
+            ay: sensorValue(accel.y),
+            az: sensorValue(accel.z),
+            ra: sensorValue(rotation.alpha),
+            rb: sensorValue(rotation.beta),
+            rg: sensorValue(rotation.gamma),
+            iv: typeof e.interval === 'number' ? e.interval : undefined
+        });
+
+        capEvents('motion_events', 500);
+    });
+
+    let lastOrientationTime = 0;
+    window.addEventListener('deviceorientation', function(e) {
+        const now = Date.now();
+        if (!isEnabled('orientation') || now - lastOrientationTime <= CONFIG.THROTTLE.orientation) {
+            return;
+        }
+        lastOrientationTime = now;
+
+        behaviorData.orientation_events.push({
+            t: now,
+            a: sensorValue(e.alpha),
+            b: sensorValue(e.beta),
+            g: sensorValue(e.gamma),
+            abs: Boolean(e.absolute)
+        });
+
+        capEvents('orientation_events', 500);
     });
 
     /**
      * PAGE NAVIGATION COLLECTION
      * Why: Gives insight into user journeys and session structure
-     * When: Page load and navigation events
+     * When: Page load (once the collector starts) and navigation events
      */
-    
-    // Initial page view
-    behaviorData.page_views.push({
-        url: window.location.pathname,
-        title: document.title,
-        ref: document.referrer,
-        t: Date.now(),
-        loadTime: performance.timing ? performance.timing.loadEventEnd - performance.timing.navigationStart : 0
-    });
 
     // Single Page Application support
     window.addEventListener('popstate', function() {
-        behaviorData.page_views.push({
-            url: window.location.pathname,
-            title: document.title,
-            ref: document.referrer,
-            t: Date.now(),
-            type: 'spa_navigation'
-        });
+        triggerPageView('spa_navigation');
     });
 
     // Capture pushState/replaceState for SPAs
@@ -243,30 +643,155 @@
         triggerPageView('spa_replacestate');
     };
 
-    function triggerPageView(type) {
-        behaviorData.page_views.push({
-            url: window.location.pathname,
-            title: document.title,
-            ref: document.referrer,
+    function triggerPageView(type, extra) {
+        if (!isEnabled('page_views')) {
+            return;
+        }
+        behaviorData.page_views.push(Object.assign({
+            url: window.location.pathname.substring(0, 2048),
+            // Titles and referrers can carry personal data, so strict privacy mode leaves them out
+            title: CONFIG.STRICT_PRIVACY ? undefined : document.title.substring(0, 512),
+            ref: CONFIG.STRICT_PRIVACY ? undefined : document.referrer.substring(0, 2048),
             t: Date.now(),
             type: type
-        });
+        }, extra));
     }
 
+    // =============================================
+    // HONEYPOTS
+    // =============================================
+
+    /**
+     * HONEYPOT LINKS AND FIELDS
+     * Why: People never see these elements, so any interaction comes from a crawler or form-filling bot
+     * How: An off-screen link in the body and an off-screen text field in every form (opt-in)
+     */
+    const HONEYPOT_STYLE = 'position:absolute;left:-10000px;top:auto;width:1px;height:1px;overflow:hidden;';
+
+    const recordHoneypot = (kind, action) => {
+        if (isEnabled('honeypot') && behaviorData.honeypot_events.length < 100) {
+            behaviorData.honeypot_events.push({ kind: kind, action: action, t: Date.now() });
+        }
+    };
+
+    const addHoneypotField = (form) => {
+        if (form.querySelector('input[data-bd-honeypot]')) {
+            return;
+        }
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.name = 'bd_website';
+        input.tabIndex = -1;
+        input.autocomplete = 'off';
+        input.setAttribute('aria-hidden', 'true');
+        input.setAttribute('data-bd-honeypot', 'true');
+        input.style.cssText = HONEYPOT_STYLE;
+        input.addEventListener('focus', () => recordHoneypot('field', 'focus'));
+        input.addEventListener('input', () => recordHoneypot('field', 'input'));
+        form.appendChild(input);
+    };
+
+    const injectHoneypots = () => {
+        const link = document.createElement('a');
+        link.href = '#bd-hp';
+        link.textContent = 'Site index';
+        link.tabIndex = -1;
+        link.rel = 'nofollow';
+        link.setAttribute('aria-hidden', 'true');
+        link.style.cssText = HONEYPOT_STYLE;
+        link.addEventListener('click', function(e) {
+            e.preventDefault();
+            recordHoneypot('link', 'click');
+        });
+        document.body.appendChild(link);
+
+        Array.prototype.forEach.call(document.forms, addHoneypotField);
+
+        // Bots often fill every field at once and submit without any input events
+        document.addEventListener('submit', function(e) {
+            const field = e.target && e.target.querySelector && e.target.querySelector('input[data-bd-honeypot]');
+            if (field && field.value) {
+                recordHoneypot('field', 'filled');
+            }
+        }, true);
+    };
+
     // =============================================
     // DATA TRANSMISSION
     // =============================================
+    /**
+     * GZIP COMPRESSION
+     * Why: Beacons are capped at ~64KB and large batches compress well
+     * How: CompressionStream where supported; the backend detects gzip by its magic bytes
+     */
+    const canCompress = typeof CompressionStream !== 'undefined' && typeof Response !== 'undefined';
+
+    const compressPayload = (json) => {
+        const stream = new Blob([json]).stream().pipeThrough(new CompressionStream('gzip'));
+        return new Response(stream).blob();
+    };
+
+    /**
+     * TRANSMIT A PAYLOAD
+     * Sent as text/plain so cross-origin beacons and fetches need no CORS preflight
+     */
+    const transmit = (body, attempt) => {
+        attempt = attempt || 0;
+        const blob = new Blob([body], { type: 'text/plain' });
+
+        // Use sendBeacon for reliability (especially on page unload)
+        const success = navigator.sendBeacon
+            ? navigator.sendBeacon(CONFIG.API_ENDPOINT, blob)
+            : false;
+
+        if (!success) {
+            // Fallback to fetch API
+            fetch(CONFIG.API_ENDPOINT, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'text/plain',
+                },
+                body: blob,
+                keepalive: true // Ensure request completes even if page unloads
+            }).then(response => {
+                if (response.status >= 500) {
+                    throw new Error('Server responded with ' + response.status);
+                }
+            }).catch(error => {
+                // Same body and batch_id, so a retry can never be stored twice
+                if (attempt < CONFIG.MAX_RETRIES) {
+                    setTimeout(() => transmit(body, attempt + 1), CONFIG.RETRY_DELAY * Math.pow(2, attempt));
+                } else {
+                    console.warn('Bot detection: Failed to send data', error);
+                }
+            });
+        }
+    };
 
     /**
      * SEND DATA TO BACKEND API
      * When: Every 10 seconds and when user leaves the page
+     * What: Only events collected since the previous batch
      */
-    const sendData = () => {
+    const sendData = (isUnloading) => {
+        // Nothing leaves the page until the session is known to be sampled in
+        if (sampledIn !== true || !collecting) {
+            return;
+        }
+
+        const newPageViews = behaviorData.page_views.slice(sentPageViews);
+
         // Don't send if no events collected
         if (behaviorData.mouse_events.length === 0 && 
             behaviorData.click_events.length === 0 && 
             behaviorData.scroll_events.length === 0 && 
-            behaviorData.key_events.length === 0) {
+            behaviorData.key_events.length === 0 &&
+            behaviorData.touch_events.length === 0 &&
+            behaviorData.pointer_events.length === 0 &&
+            behaviorData.motion_events.length === 0 &&
+            behaviorData.orientation_events.length === 0 &&
+            behaviorData.honeypot_events.length === 0 &&
+            newPageViews.length === 0) {
             return;
         }
 
@@ -274,41 +799,51 @@
         const dataToSend = {
             session_id: behaviorData.session_id,
             session_start: behaviorData.session_start,
+            site_key: CONFIG.SITE_KEY || undefined,
+            batch_id: generateBatchId(),
+            seq: nextBatchSeq(),
             mouse_events: [...behaviorData.mouse_events],
             click_events: [...behaviorData.click_events],
             scroll_events: [...behaviorData.scroll_events],
             key_events: [...behaviorData.key_events],
+            touch_events: [...behaviorData.touch_events],
+            pointer_events: [...behaviorData.pointer_events],
+            motion_events: [...behaviorData.motion_events],
+            orientation_events: [...behaviorData.orientation_events],
+            honeypot_events: behaviorData.honeypot_events.length ? [...behaviorData.honeypot_events] : undefined,
             fingerprint: behaviorData.fingerprint,
-            page_views: [...behaviorData.page_views],
-            current_url: window.location.href,
+            page_views: newPageViews,
+            current_url: (CONFIG.STRICT_PRIVACY
+                ? window.location.origin + window.location.pathname
+                : window.location.href).substring(0, 2048),
             collected_at: Date.now()
         };
 
-        // Use sendBeacon for reliability (especially on page unload)
         try {
-            const success = navigator.sendBeacon 
-                ? navigator.sendBeacon(CONFIG.API_ENDPOINT, JSON.stringify(dataToSend))
-                : false;
-
-            if (!success) {
-                // Fallback to fetch API
-                fetch(CONFIG.API_ENDPOINT, {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json',
-                    },
-                    body: JSON.stringify(dataToSend),
-                    keepalive: true // Ensure request completes even if page unloads
-                }).catch(error => {
-                    console.warn('Bot detection: Failed to send data', error);
-                });
+            const json = JSON.stringify(dataToSend);
+
+            // Compression is async, so unload flushes go out uncompressed
+            if (!isUnloading && canCompress && json.length > CONFIG.COMPRESSION_THRESHOLD) {
+                compressPayload(json)
+                    .then(transmit)
+                    .catch(() => transmit(json));
+            } else {
+                transmit(json);
             }
 
-            // Clear sent events (keep recent ones for context)
-            behaviorData.mouse_events = behaviorData.mouse_events.slice(-50);
-            behaviorData.click_events = behaviorData.click_events.slice(-20);
-            behaviorData.scroll_events = behaviorData.scroll_events.slice(-10);
-            behaviorData.key_events = behaviorData.key_events.slice(-30);
+            hasSentData = true;
+
+            // Clear sent events so each one is sent exactly once
+            behaviorData.mouse_events = [];
+            behaviorData.click_events = [];
+            behaviorData.scroll_events = [];
+            behaviorData.key_events = [];
+            behaviorData.touch_events = [];
+            behaviorData.pointer_events = [];
+            behaviorData.motion_events = [];
+            behaviorData.orientation_events = [];
+            behaviorData.honeypot_events = [];
+            sentPageViews = behaviorData.page_views.length;
             
         } catch (error) {
             console.warn('Bot detection: Error sending data', error);
@@ -319,36 +854,342 @@
     // SCHEDULED DATA TRANSMISSION
     // =============================================
 
-    // Send data every 10 seconds
-    setInterval(sendData, CONFIG.BATCH_INTERVAL);
+    // Send data every batch_interval (10 seconds by default), once the session is sampled in
+    const scheduleBatches = () => setInterval(() => sendData(false), CONFIG.BATCH_INTERVAL);
 
     // Send data when user leaves the page
     window.addEventListener('beforeunload', function() {
         // Add final page view for exit
-        behaviorData.page_views.push({
-            url: window.location.pathname,
-            title: document.title,
-            ref: document.referrer,
-            t: Date.now(),
-            type: 'page_exit'
-        });
-        
-        sendData();
+        triggerPageView('page_exit');
+
+        sendData(true);
     });
 
     // Send data when page becomes visible (user returns to tab)
     document.addEventListener('visibilitychange', function() {
         if (document.visibilityState === 'visible') {
-            behaviorData.page_views.push({
-                url: window.location.pathname,
-                title: document.title,
-                ref: document.referrer,
-                t: Date.now(),
-                type: 'tab_return'
-            });
+            triggerPageView('tab_return');
         }
     });
 
+    // =============================================
+    // VERDICT FEEDBACK
+    // =============================================
+
+    /**
+     * VERDICT POLLING
+     * Why: Lets the host page react to a detection (show a challenge, hide a form, tag analytics)
+     * When: Every verdict_interval (15 seconds by default) while the tab is visible, once a batch
+     *   has been sent
+     */
+    let latestVerdict = null;
+    let verdictToken = null;
+    const verdictListeners = [];
+
+    const publishVerdict = (verdict) => {
+        const detail = {
+            ...verdict,
+            // True the first time and whenever the session crosses the bot threshold
+            changed: !latestVerdict || latestVerdict.is_bot !== verdict.is_bot
+        };
+        latestVerdict = verdict;
+
+        verdictListeners.slice().forEach(callback => {
+            try {
+                callback(detail);
+            } catch (error) {
+                console.warn('Bot detection: Verdict callback failed', error);
+            }
+        });
+        document.dispatchEvent(new CustomEvent('botdetector:verdict', { detail: detail }));
+    };
+
+    const fetchVerdict = () => {
+        if (!hasSentData || document.visibilityState !== 'visible') {
+            return;
+        }
+
+        fetch(CONFIG.VERDICT_ENDPOINT + encodeURIComponent(behaviorData.session_id) + CONFIG.SITE_QUERY, {
+            method: 'GET',
+            credentials: 'omit',
+            cache: 'no-store'
+        }).then(response => (response.ok ? response.json() : null))
+            .then(result => {
+                if (!result || !result.success || !result.data) {
+                    return;
+                }
+                setVerdictToken(result.data.token);
+                // Only publish scores we have not seen yet
+                if (latestVerdict && latestVerdict.scored_at === result.data.scored_at) {
+                    return;
+                }
+                publishVerdict({
+                    session_id: result.data.session_id,
+                    bot_probability: result.data.bot_probability,
+                    is_bot: result.data.is_bot,
+                    scored_at: result.data.scored_at
+                });
+            })
+            .catch(() => {
+                // Verdicts are best effort; the next poll tries again
+            });
+    };
+
+    const scheduleVerdicts = () => setInterval(fetchVerdict, CONFIG.VERDICT_INTERVAL);
+
+    // Tokens may have expired while the tab was hidden
+    document.addEventListener('visibilitychange', fetchVerdict);
+
+    /**
+     * VERDICT TOKEN PROPAGATION
+     * Why: The page's own backend verifies the signed token instead of trusting the browser
+     * How: Hidden field on forms and a header on fetches, only for the same-origin paths in
+     *   token_paths. Tokens are single use, so each one goes to one request and is replaced.
+     */
+    const isProtectedUrl = (url) => {
+        try {
+            const parsed = new URL(url || '', window.location.href);
+            // Never leak the token to third parties (or trigger CORS preflights there)
+            if (parsed.origin !== window.location.origin) {
+                return false;
+            }
+            return CONFIG.TOKEN_PATHS.some(prefix => (
+                parsed.pathname === prefix || parsed.pathname.indexOf(prefix + '/') === 0
+            ));
+        } catch (error) {
+            return false;
+        }
+    };
+
+    // The token has gone out with a request and will not verify again
+    const spendToken = () => {
+        verdictToken = null;
+        fetchVerdict();
+    };
+
+    // Put the current token in a protected form, or take a stale one out. Returns whether
+    // the form now carries a token.
+    const addTokenToForm = (form, submitter) => {
+        if (!form || form.tagName !== 'FORM') {
+            return false;
+        }
+        // Read the attributes: form.action is shadowed by a field named "action", and a
+        // submit button's formaction overrides the form's own
+        const action = (submitter && submitter.getAttribute && submitter.getAttribute('formaction')) ||
+            form.getAttribute('action');
+        let input = form.querySelector('input[name="' + CONFIG.TOKEN_FIELD + '"]');
+
+        // The action may have changed since the token was added, and spent tokens must not be resent
+        if (!verdictToken || !isProtectedUrl(action)) {
+            if (input && input.type === 'hidden') {
+                input.remove();
+            }
+            return false;
+        }
+        if (!input) {
+            input = document.createElement('input');
+            input.type = 'hidden';
+            input.name = CONFIG.TOKEN_FIELD;
+            form.appendChild(input);
+        }
+        input.value = verdictToken;
+        return true;
+    };
+
+    function setVerdictToken(token) {
+        if (!token) {
+            return;
+        }
+        verdictToken = token;
+        Array.prototype.forEach.call(document.forms, form => addTokenToForm(form));
+    }
+
+    // Capture phase, so the field is in place before the page's own submit handlers run
+    document.addEventListener('submit', (e) => {
+        if (addTokenToForm(e.target, e.submitter)) {
+            spendToken();
+            Array.prototype.forEach.call(document.forms, form => form !== e.target && addTokenToForm(form));
+        }
+    }, true);
+
+    const originalFetch = window.fetch;
+    if (typeof originalFetch === 'function') {
+        window.fetch = function(input, init) {
+            try {
+                const isRequest = typeof Request !== 'undefined' && input instanceof Request;
+                const url = new URL(isRequest ? input.url : String(input), window.location.href);
+
+                if (verdictToken && isProtectedUrl(url.href)) {
+                    const headers = new Headers((init && init.headers) || (isRequest ? input.headers : undefined));
+                    if (!headers.has(CONFIG.TOKEN_HEADER)) {
+                        headers.set(CONFIG.TOKEN_HEADER, verdictToken);
+                        init = Object.assign({}, init, { headers: headers });
+                        spendToken();
+                    }
+                }
+            } catch (error) {
+                // Leave the request untouched
+            }
+            return originalFetch.call(this, input, init);
+        };
+    }
+
+    // =============================================
+    // STARTUP
+    // =============================================
+
+    /**
+     * REMOTE CONFIG
+     * Why: Lets site owners change sampling, collectors and throttling without editing the page
+     * How: GET /api/config/:site_key; failures and slow responses fall back to the local options
+     */
+    const fetchRemoteConfig = () => {
+        if (!options.remote_config || !CONFIG.SITE_KEY || typeof fetch !== 'function') {
+            return Promise.resolve(null);
+        }
+
+        const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+        const timer = controller ? setTimeout(() => controller.abort(), CONFIG.REMOTE_CONFIG_TIMEOUT) : null;
+
+        return fetch(CONFIG.REMOTE_CONFIG_ENDPOINT + encodeURIComponent(CONFIG.SITE_KEY), {
+            method: 'GET',
+            credentials: 'omit',
+            signal: controller ? controller.signal : undefined
+        }).then(response => (response.ok ? response.json() : null))
+            .then(result => (result && result.success ? result.data : null))
+            .catch(() => null)
+            .then(remote => {
+                clearTimeout(timer);
+                return remote;
+            });
+    };
+
+    // Random draw kept for the whole session, so a session is sampled in on every page or
+    // on none, and raising sample_rate keeps the sessions already sampled in
+    const sampleDraw = () => {
+        let draw = parseFloat(sessionStorage.getItem('bot_detection_sample'));
+        if (!(draw >= 0 && draw < 1)) {
+            draw = Math.random();
+            sessionStorage.setItem('bot_detection_sample', String(draw));
+        }
+        return draw;
+    };
+
+    const clearBuffers = () => {
+        ['mouse_events', 'click_events', 'scroll_events', 'key_events', 'touch_events', 'pointer_events',
+            'motion_events', 'orientation_events', 'honeypot_events', 'page_views'].forEach(field => {
+            behaviorData[field] = [];
+        });
+        sentPageViews = 0;
+    };
+
+    // Initial page view, recorded once collection is first allowed
+    let landingRecorded = false;
+    const recordLandingPage = () => {
+        if (landingRecorded || !isEnabled('page_views')) {
+            return;
+        }
+        landingRecorded = true;
+        triggerPageView(undefined, {
+            loadTime: performance.timing ? performance.timing.loadEventEnd - performance.timing.navigationStart : 0
+        });
+    };
+
+    /**
+     * CONSENT
+     * Granting starts collection (if sampled in); revoking stops it and discards unsent events
+     */
+    const setConsent = (granted) => {
+        consentGranted = granted === true;
+        if (!started || sampledIn === false) {
+            return;
+        }
+        collecting = trackingAllowed();
+        if (collecting) {
+            recordLandingPage();
+        } else {
+            clearBuffers();
+        }
+    };
+
+    /**
+     * START COLLECTING
+     * Events are buffered from the start (when consent and Do Not Track allow); sending,
+     * verdict polling and honeypots wait for the remote config and the sampling decision
+     */
+    let started = false;
+    const start = (initOptions) => {
+        if (started) {
+            return false;
+        }
+        started = true;
+        pageOptions = mergeOptions(pageOptions, initOptions);
+        applyOptions(resolveOptions(null));
+        collecting = trackingAllowed();
+        recordLandingPage();
+
+        fetchRemoteConfig().then(remote => {
+            if (remote) {
+                applyOptions(resolveOptions(remote));
+            }
+
+            if (sampleDraw() >= CONFIG.SAMPLE_RATE) {
+                sampledIn = false;
+                collecting = false;
+                clearBuffers();
+                return;
+            }
+            sampledIn = true;
+
+            // The site's config may require consent the local options did not
+            collecting = trackingAllowed();
+            if (collecting) {
+                recordLandingPage();
+            } else {
+                clearBuffers();
+            }
+
+            if (isEnabled('honeypot')) {
+                if (document.body) {
+                    injectHoneypots();
+                } else {
+                    document.addEventListener('DOMContentLoaded', injectHoneypots);
+                }
+            }
+            scheduleBatches();
+            scheduleVerdicts();
+        });
+        return true;
+    };
+
+    // Public API for the embedding page
+    window.BotDetector = {
+        version: VERSION,
+        sessionId: behaviorData.session_id,
+        // Starts a collector loaded with data-auto-start="false"; false if already started
+        init: (initOptions) => start(initOptions),
+        // Resolved options (after remote config once it has loaded)
+        getOptions: () => mergeOptions(options, {}),
+        isSampled: () => sampledIn === true,
+        // Consent from the page's consent manager; see require_consent
+        setConsent: setConsent,
+        getScore: () => latestVerdict,
+        getToken: () => verdictToken,
+        // Returns a function that removes the callback
+        onVerdict: (callback) => {
+            if (typeof callback !== 'function') {
+                return () => {};
+            }
+            verdictListeners.push(callback);
+            return () => {
+                const index = verdictListeners.indexOf(callback);
+                if (index !== -1) {
+                    verdictListeners.splice(index, 1);
+                }
+            };
+        }
+    };
+
     // =============================================
     // ERROR HANDLING & LOGGING
     // =============================================
@@ -358,6 +1199,10 @@
         console.warn('Bot detection script error:', e.error);
     });
 
+    if (options.auto_start !== false) {
+        start();
+    }
+
     // Log script initialization
     console.log('Bot detection data collector initialized for session:', behaviorData.session_id);
 
@@ -0,0 +1,142 @@
+const ApiKey = require('../models/ApiKey');
+const Site = require('../models/Site');
+const { createApiKey } = require('../services/apiKeys');
+
+// Site-scoped admins may only manage keys for their own site
+const siteFilter = (req) => (req.apiKey.site ? { site: req.apiKey.site } : {});
+
+// POST /api/admin/keys - Create an API key (the plaintext key is only returned here)
+const createKey = async (req, res) => {
+  try {
+    const { name, roles } = req.body;
+    const site = req.body.site || req.apiKey.site || null;
+
+    if (!name || !Array.isArray(roles) || roles.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'name and a non-empty roles array are required'
+      });
+    }
+
+    if (req.body.site !== undefined && req.body.site !== null && typeof req.body.site !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'site must be a string'
+      });
+    }
+
+    const invalidRoles = roles.filter(role => !ApiKey.ROLES.includes(role));
+    if (invalidRoles.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid roles: ${invalidRoles.join(', ')}. Allowed: ${ApiKey.ROLES.join(', ')}`
+      });
+    }
+
+    if (req.apiKey.site && site !== req.apiKey.site) {
+      return res.status(403).json({
+        success: false,
+        message: 'Cannot create keys for another site'
+      });
+    }
+
+    if (!site && !roles.includes('admin')) {
+      return res.status(400).json({
+        success: false,
+        message: 'site is required for non-admin keys'
+      });
+    }
+
+    if (site && !(await Site.exists({ site_key: site }))) {
+      return res.status(400).json({
+        success: false,
+        message: 'site does not match a registered site_key'
+      });
+    }
+
+    const { apiKey, key } = await createApiKey({
+      name,
+      roles,
+      site,
+      createdBy: req.apiKey.name
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'API key created. Store it now, it will not be shown again.',
+      data: {
+        ...apiKey.toPublicJSON(),
+        key
+      }
+    });
+  } catch (error) {
+    console.error('Error creating API key:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'production' ? undefined : error.message
+    });
+  }
+};
+
+// GET /api/admin/keys - List API keys (without secrets)
+const listKeys = async (req, res) => {
+  try {
+    const query = siteFilter(req);
+    if (req.query.include_revoked !== 'true') {
+      query.revoked_at = null;
+    }
+
+    const keys = await ApiKey.find(query).sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      data: keys.map(key => key.toPublicJSON())
+    });
+  } catch (error) {
+    console.error('Error listing API keys:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'production' ? undefined : error.message
+    });
+  }
+};
+
+// DELETE /api/admin/keys/:id - Revoke an API key
+const revokeKey = async (req, res) => {
+  try {
+    const apiKey = await ApiKey.findOne({ _id: req.params.id, ...siteFilter(req) });
+
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found'
+      });
+    }
+
+    if (!apiKey.revoked_at) {
+      apiKey.revoked_at = new Date();
+      await apiKey.save();
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'API key revoked',
+      data: apiKey.toPublicJSON()
+    });
+  } catch (error) {
+    console.error('Error revoking API key:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'production' ? undefined : error.message
+    });
+  }
+};
+
+module.exports = {
+  createKey,
+  listKeys,
+  revokeKey
+};
@@ -1,36 +1,86 @@
 const BehaviorData = require('../models/BehaviorData');
+const Session = require('../models/Session');
+const { ingestBatch } = require('../services/ingestion');
+const { resolvePrivacy } = require('../services/privacy');
+const { requestMetadata } = require('../services/requestMeta');
+const { scoreSession } = require('../services/scoringEngine');
+const { getRejectionStats } = require('../services/rejectionStats');
+const { siteFilter } = require('../middleware/site');
+const { INTERNAL_FIELDS, sessionQuery } = require('../services/sessions');
+const { getTimeseries: buildTimeseries, BREAKDOWNS, UNIT_MS, MAX_BUCKETS } = require('../services/analytics');
 
-// POST /api/collect-behavior - Collect behavioral data
+// Keep Session.bot_score fresh on every ingest instead of only when a score is requested
+const SCORE_ON_INGEST = process.env.SCORE_ON_INGEST === 'true';
+
+// POST /api/collect-behavior - Collect behavioral data (one batch or an NDJSON/array of batches)
+// Batches have already been validated by the validateBehavior middleware
 const collectBehavior = async (req, res) => {
   try {
-    const behaviorData = req.body;
-    
-    // Basic validation
-    if (!behaviorData.session_id) {
+    const batches = req.batches || [req.body];
+
+    if (batches.length === 0) {
       return res.status(400).json({
         success: false,
-        message: 'session_id is required'
+        message: 'Request body is empty'
       });
     }
 
     // Add metadata
-    const dataToSave = {
-      ...behaviorData,
-      ip_address: req.ip || req.connection.remoteAddress,
-      user_agent: req.get('User-Agent')
+    const metadata = {
+      site: req.site.site_key,
+      ip_address: req.clientIp,
+      user_agent: req.get('User-Agent'),
+      request_meta: requestMetadata(req),
+      reputation_tags: req.reputationTags
     };
 
-    // Save to database
-    const savedData = await BehaviorData.create(dataToSave);
+    // Save to database, one batch at a time so retries and overlaps are deduplicated in order
+    const privacy = resolvePrivacy(req.site);
+    const results = [];
+    for (const batch of batches) {
+      results.push(await ingestBatch({ ...batch, ...metadata }, privacy));
+    }
 
-    console.log(`Data collected for session: ${behaviorData.session_id}`);
-    
-    res.status(200).json({
+    const sessionIds = [...new Set(batches.map(batch => batch.session_id))];
+    const storedCount = results.filter(result => !result.duplicate).length;
+    console.log(`Data collected for session: ${sessionIds.join(', ')} (${storedCount}/${batches.length} batch(es) stored)`);
+
+    const toRecord = (result) => ({
+      record_id: result.record ? result.record._id : null,
+      duplicate: result.duplicate
+    });
+
+    const response = {
       success: true,
       message: 'Behavior data collected successfully',
-      session_id: behaviorData.session_id,
-      record_id: savedData._id
-    });
+      session_id: batches[0].session_id,
+      ...toRecord(results[0])
+    };
+
+    if (batches.length > 1) {
+      response.batches = batches.length;
+      response.records = results.map((result, index) => ({
+        session_id: batches[index].session_id,
+        ...toRecord(result)
+      }));
+    }
+
+    // Optionally score the session right away (?score=true) so the site can act on it
+    const includeScore = req.query.score === 'true';
+    if (includeScore || SCORE_ON_INGEST) {
+      const scores = {};
+      for (const sessionId of sessionIds) {
+        scores[sessionId] = await scoreSession(sessionId, req.site.site_key);
+      }
+
+      if (includeScore && sessionIds.length === 1) {
+        response.score = scores[sessionIds[0]];
+      } else if (includeScore) {
+        response.scores = scores;
+      }
+    }
+
+    res.status(200).json(response);
   } catch (error) {
     console.error('Error collecting behavior data:', error);
     res.status(500).json({
@@ -51,7 +101,7 @@ const getBehaviorData = async (req, res) => {
     const skip = (page - 1) * limit;
 
     // Build query
-    let query = {};
+    let query = siteFilter(req);
     if (sessionId) {
       query.session_id = sessionId;
     }
@@ -93,7 +143,7 @@ const getBehaviorDataById = async (req, res) => {
   try {
     const recordId = req.params.id;
     
-    const data = await BehaviorData.findById(recordId).select('-__v');
+    const data = await BehaviorData.findOne({ _id: recordId, ...siteFilter(req) }).select('-__v');
     
     if (!data) {
       return res.status(404).json({
@@ -116,35 +166,23 @@ const getBehaviorDataById = async (req, res) => {
   }
 };
 
-// GET /api/sessions - Get all unique sessions
+// GET /api/sessions - Get sessions, most recently active first
 const getSessions = async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 50;
     const skip = (page - 1) * limit;
 
-    // Get unique sessions with their latest activity
-    const sessions = await BehaviorData.aggregate([
-      {
-        $group: {
-          _id: '$session_id',
-          session_start: { $first: '$session_start' },
-          fingerprint: { $first: '$fingerprint' },
-          last_activity: { $max: '$collected_at' },
-          page_views_count: { $sum: { $size: '$page_views' } },
-          mouse_events_count: { $sum: { $size: '$mouse_events' } },
-          click_events_count: { $sum: { $size: '$click_events' } },
-          scroll_events_count: { $sum: { $size: '$scroll_events' } },
-          key_events_count: { $sum: { $size: '$key_events' } },
-          total_records: { $sum: 1 }
-        }
-      },
-      { $sort: { last_activity: -1 } },
-      { $skip: skip },
-      { $limit: limit }
-    ]);
+    // Build query (score, label, activity window, fingerprint and reputation tag filters)
+    const query = { ...sessionQuery(req.query), ...siteFilter(req) };
+
+    const sessions = await Session.find(query)
+      .sort({ last_seen: -1 })
+      .skip(skip)
+      .limit(limit)
+      .select(INTERNAL_FIELDS);
 
-    const totalSessions = await BehaviorData.distinct('session_id').then(sessions => sessions.length);
+    const totalSessions = await Session.countDocuments(query);
 
     res.status(200).json({
       success: true,
@@ -168,35 +206,65 @@ const getSessions = async (req, res) => {
 // GET /api/stats - Get collection statistics
 const getStats = async (req, res) => {
   try {
-    const totalRecords = await BehaviorData.countDocuments();
-    const totalSessions = await BehaviorData.distinct('session_id').then(sessions => sessions.length);
-    
-    // Get records from last 24 hours
+    const scope = siteFilter(req);
     const last24Hours = new Date(Date.now() - 24 * 60 * 60 * 1000);
+
+    const totalRecords = req.siteScope
+      ? await BehaviorData.countDocuments(scope)
+      : await BehaviorData.estimatedDocumentCount();
+    const totalSessions = await Session.countDocuments(scope);
+
+    // Get records from last 24 hours
     const recentRecords = await BehaviorData.countDocuments({
+      ...scope,
       collected_at: { $gte: last24Hours }
     });
 
-    // Get event type counts from a sample of recent records
-    const sampleData = await BehaviorData.find({
-      collected_at: { $gte: last24Hours }
-    }).limit(1000);
+    // Event totals and bot split across sessions active in the last 24 hours
+    const [recent = {}] = await Session.aggregate([
+      { $match: { ...scope, last_seen: { $gte: last24Hours } } },
+      {
+        $group: {
+          _id: null,
+          sessions: { $sum: 1 },
+          total_mouse_events: { $sum: '$mouse_events_count' },
+          total_click_events: { $sum: '$click_events_count' },
+          total_scroll_events: { $sum: '$scroll_events_count' },
+          total_key_events: { $sum: '$key_events_count' },
+          total_page_views: { $sum: '$page_views_count' },
+          total_touch_events: { $sum: '$touch_events_count' },
+          total_pointer_events: { $sum: '$pointer_events_count' },
+          total_motion_events: { $sum: '$motion_events_count' },
+          total_orientation_events: { $sum: '$orientation_events_count' },
+          bot_sessions: { $sum: { $cond: ['$bot_score.is_bot', 1, 0] } },
+          scored_sessions: { $sum: { $cond: [{ $ifNull: ['$bot_score.scored_at', false] }, 1, 0] } }
+        }
+      }
+    ]);
 
     const eventStats = {
-      total_mouse_events: sampleData.reduce((sum, record) => sum + record.mouse_events.length, 0),
-      total_click_events: sampleData.reduce((sum, record) => sum + record.click_events.length, 0),
-      total_scroll_events: sampleData.reduce((sum, record) => sum + record.scroll_events.length, 0),
-      total_key_events: sampleData.reduce((sum, record) => sum + record.key_events.length, 0),
-      total_page_views: sampleData.reduce((sum, record) => sum + record.page_views.length, 0)
+      total_mouse_events: recent.total_mouse_events || 0,
+      total_click_events: recent.total_click_events || 0,
+      total_scroll_events: recent.total_scroll_events || 0,
+      total_key_events: recent.total_key_events || 0,
+      total_page_views: recent.total_page_views || 0,
+      total_touch_events: recent.total_touch_events || 0,
+      total_pointer_events: recent.total_pointer_events || 0,
+      total_motion_events: recent.total_motion_events || 0,
+      total_orientation_events: recent.total_orientation_events || 0
     };
 
     res.status(200).json({
       success: true,
       data: {
+        site: req.siteScope,
         total_records: totalRecords,
         total_sessions: totalSessions,
         recent_activity: {
-          last_24_hours: recentRecords
+          last_24_hours: recentRecords,
+          sessions_last_24_hours: recent.sessions || 0,
+          scored_sessions: recent.scored_sessions || 0,
+          bot_sessions: recent.bot_sessions || 0
         },
         event_statistics: eventStats
       }
@@ -211,10 +279,92 @@ const getStats = async (req, res) => {
   }
 };
 
+// GET /api/stats/timeseries - Get traffic and bot rates per minute/hour/day bucket
+const getTimeseries = async (req, res) => {
+  try {
+    const interval = req.query.interval || 'hour';
+    const breakdown = req.query.breakdown || 'none';
+
+    if (!UNIT_MS[interval]) {
+      return res.status(400).json({
+        success: false,
+        message: `interval must be one of ${Object.keys(UNIT_MS).join(', ')}`
+      });
+    }
+    if (!Object.prototype.hasOwnProperty.call(BREAKDOWNS, breakdown)) {
+      return res.status(400).json({
+        success: false,
+        message: `breakdown must be one of ${Object.keys(BREAKDOWNS).join(', ')}`
+      });
+    }
+
+    // Defaults to the last 24 buckets
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - 24 * UNIT_MS[interval]);
+
+    if (isNaN(from.getTime()) || isNaN(to.getTime()) || from >= to) {
+      return res.status(400).json({
+        success: false,
+        message: 'from and to must be valid dates with from before to'
+      });
+    }
+    if ((to - from) / UNIT_MS[interval] > MAX_BUCKETS[interval]) {
+      return res.status(400).json({
+        success: false,
+        message: `Range too wide for interval ${interval} (max ${MAX_BUCKETS[interval]} buckets)`
+      });
+    }
+
+    const series = await buildTimeseries({ from, to, unit: interval, breakdown, site: req.siteScope });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        site: req.siteScope,
+        interval,
+        breakdown,
+        from,
+        to,
+        series
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching timeseries:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'production' ? undefined : error.message
+    });
+  }
+};
+
+// GET /api/stats/rejections - Get rejected ingestion counts by reason
+const getRejections = async (req, res) => {
+  try {
+    const days = Math.min(parseInt(req.query.days) || 7, 90);
+
+    const stats = await getRejectionStats(days, req.siteScope);
+
+    res.status(200).json({
+      success: true,
+      data: stats
+    });
+  } catch (error) {
+    console.error('Error fetching rejection stats:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'production' ? undefined : error.message
+    });
+  }
+};
+
 module.exports = {
   collectBehavior,
   getBehaviorData,
   getBehaviorDataById,
   getSessions,
-  getStats
+  getStats,
+  getTimeseries,
+  getRejections
 };
\ No newline at end of file
@@ -0,0 +1,50 @@
+const { getHostedCollector } = require('../services/collector');
+
+// GET /collector.js - Minified collector script, always the current version
+// GET /collector/:version.js - The same script pinned to a version
+const serveCollector = async (req, res) => {
+  try {
+    const { version, code } = await getHostedCollector();
+
+    if (req.params.version && req.params.version !== version) {
+      return res.status(404).json({
+        success: false,
+        message: `Collector version ${req.params.version} is not available (current: ${version})`
+      });
+    }
+
+    res.set({
+      'Content-Type': 'application/javascript; charset=utf-8',
+      // Pinned URLs never change content; the unpinned one picks up releases within minutes
+      'Cache-Control': req.params.version ? 'public, max-age=31536000, immutable' : 'public, max-age=300',
+      // helmet defaults to same-origin, which would stop other sites from loading the script
+      'Cross-Origin-Resource-Policy': 'cross-origin',
+      'X-Collector-Version': version
+    });
+    res.status(200).send(code);
+  } catch (error) {
+    console.error('Error serving collector script:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'production' ? undefined : error.message
+    });
+  }
+};
+
+// GET /api/config/:site_key - Collector options configured for the site. Only the
+// options the site sets are returned; the script keeps its own defaults for the rest.
+const getCollectorConfig = (req, res) => {
+  const config = req.site.collector_config ? req.site.collector_config.toObject() : {};
+
+  res.set('Cache-Control', 'public, max-age=300');
+  res.status(200).json({
+    success: true,
+    data: config
+  });
+};
+
+module.exports = {
+  serveCollector,
+  getCollectorConfig
+};
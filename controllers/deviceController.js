@@ -0,0 +1,80 @@
+const Device = require('../models/Device');
+const { getDeviceHistory, deviceFlags } = require('../services/devices');
+const { siteFilter } = require('../middleware/site');
+
+const SORT_FIELDS = ['session_count', 'ip_count', 'user_agent_count', 'batch_count', 'last_seen'];
+
+// GET /api/devices - List devices, busiest first (surfaces shared profiles and IP rotation)
+const getDevices = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    const skip = (page - 1) * limit;
+    const sort = SORT_FIELDS.includes(req.query.sort) ? req.query.sort : 'session_count';
+
+    const query = siteFilter(req);
+    const minSessions = parseInt(req.query.min_sessions);
+    if (minSessions) {
+      query.session_count = { $gte: minSessions };
+    }
+
+    const devices = await Device.find(query)
+      .sort({ [sort]: -1 })
+      .skip(skip)
+      .limit(limit)
+      .select('-__v')
+      .lean();
+
+    const total = await Device.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      data: devices.map(device => ({ ...device, flags: deviceFlags(device) })),
+      pagination: {
+        current: page,
+        total: Math.ceil(total / limit),
+        totalDevices: total
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching devices:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'production' ? undefined : error.message
+    });
+  }
+};
+
+// GET /api/devices/:hash - Get a device's linked sessions, IPs and user agents
+const getDevice = async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+
+    const devices = await getDeviceHistory(req.params.hash, req.siteScope, limit);
+
+    if (devices.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Device not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: devices
+    });
+  } catch (error) {
+    console.error('Error fetching device:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'production' ? undefined : error.message
+    });
+  }
+};
+
+module.exports = {
+  getDevices,
+  getDevice
+};
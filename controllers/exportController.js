@@ -0,0 +1,37 @@
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { createExport, parseExportOptions, CONTENT_TYPES, FILE_EXTENSIONS } = require('../services/export');
+
+// GET /api/export - Stream sessions, raw events or per-session features as NDJSON, CSV or columnar
+const exportData = async (req, res) => {
+  // Site-scoped keys always export their own site
+  const { options, error } = parseExportOptions({ ...req.query, site: req.siteScope });
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error
+    });
+  }
+
+  const filename = `${options.dataset}-${new Date().toISOString().slice(0, 10)}.${FILE_EXTENSIONS[options.format]}`;
+  res.status(200);
+  res.set({
+    'Content-Type': CONTENT_TYPES[options.format],
+    'Content-Disposition': `attachment; filename="${filename}"`,
+    'Cache-Control': 'no-store'
+  });
+
+  try {
+    await pipeline(Readable.from(createExport(options)), res);
+  } catch (error) {
+    // The pipeline has already destroyed the response (and closed the cursor); a
+    // truncated download is all the client can be told once streaming has started
+    if (error.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+      console.error('Error exporting data:', error);
+    }
+  }
+};
+
+module.exports = {
+  exportData
+};
@@ -0,0 +1,132 @@
+const Session = require('../models/Session');
+const { labelSessions, labelSession, generateBulkId, getLabelHistory } = require('../services/labels');
+const { sessionQuery, INTERNAL_FIELDS } = require('../services/sessions');
+const { validateLabel, validateBulkLabel, MAX_BULK_LABEL } = require('../validation/labelPayload');
+const { siteFilter } = require('../middleware/site');
+
+const invalidLabel = (res, errors) => res.status(400).json({
+  success: false,
+  message: 'Invalid label',
+  errors
+});
+
+// POST /api/sessions/:session_id/label - Record a ground-truth label for one session
+const setLabel = async (req, res) => {
+  try {
+    const errors = validateLabel(req.body);
+    if (errors.length > 0) {
+      return invalidLabel(res, errors);
+    }
+
+    const query = { session_id: req.params.session_id, ...siteFilter(req) };
+    const found = await labelSession(query, { ...req.body, apiKey: req.apiKey });
+
+    if (!found) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    const session = await Session.findOne(query).select(INTERNAL_FIELDS);
+
+    res.status(200).json({
+      success: true,
+      data: session
+    });
+  } catch (error) {
+    console.error('Error labeling session:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'production' ? undefined : error.message
+    });
+  }
+};
+
+// DELETE /api/sessions/:session_id/label - Remove a session's label (kept in the history)
+const clearLabel = async (req, res) => {
+  try {
+    const query = { session_id: req.params.session_id, label: { $exists: true }, ...siteFilter(req) };
+    const found = await labelSession(query, { label: null, note: req.body && req.body.note, apiKey: req.apiKey });
+
+    if (!found) {
+      return res.status(404).json({
+        success: false,
+        message: 'Labeled session not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Label removed'
+    });
+  } catch (error) {
+    console.error('Error clearing session label:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'production' ? undefined : error.message
+    });
+  }
+};
+
+// POST /api/sessions/label - Label every session matching a GET /api/sessions filter
+const bulkLabel = async (req, res) => {
+  try {
+    const errors = validateBulkLabel(req.body);
+    if (errors.length > 0) {
+      return invalidLabel(res, errors);
+    }
+
+    const { filter, limit = MAX_BULK_LABEL, ...label } = req.body;
+    const bulkId = generateBulkId();
+    const labeled = await labelSessions(
+      { ...sessionQuery(filter), ...siteFilter(req) },
+      { ...label, limit, bulkId, apiKey: req.apiKey }
+    );
+
+    res.status(200).json({
+      success: true,
+      data: {
+        bulk_id: bulkId,
+        labeled,
+        // More sessions may match; filter on label 'unlabeled' to continue where this stopped
+        limit_reached: labeled === limit
+      }
+    });
+  } catch (error) {
+    console.error('Error bulk labeling sessions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'production' ? undefined : error.message
+    });
+  }
+};
+
+// GET /api/sessions/:session_id/labels - Label history of a session, newest first
+const getLabels = async (req, res) => {
+  try {
+    const history = await getLabelHistory(req.params.session_id, req.siteScope);
+
+    res.status(200).json({
+      success: true,
+      data: history
+    });
+  } catch (error) {
+    console.error('Error fetching label history:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'production' ? undefined : error.message
+    });
+  }
+};
+
+module.exports = {
+  setLabel,
+  clearLabel,
+  bulkLabel,
+  getLabels
+};
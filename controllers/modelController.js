@@ -0,0 +1,165 @@
+const ScoringModel = require('../models/ScoringModel');
+const { createModel, setModelStatus, compareShadow } = require('../services/models');
+const { validateModelUpload } = require('../validation/modelPayload');
+
+// Models score every site, so only global admin keys may change the registry
+const requireGlobalAdmin = (req, res) => {
+  if (req.apiKey.site) {
+    res.status(403).json({
+      success: false,
+      message: 'Only global admin keys can manage models'
+    });
+    return false;
+  }
+  return true;
+};
+
+// POST /api/admin/models - Upload a trained model as a new (inactive) version
+const uploadModel = async (req, res) => {
+  try {
+    if (!requireGlobalAdmin(req, res)) return;
+
+    const errors = validateModelUpload(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid model',
+        errors
+      });
+    }
+
+    const { description, definition, metrics } = req.body;
+    const model = await createModel({
+      type: definition.type,
+      description,
+      definition,
+      metrics,
+      created_by: req.apiKey.name
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Model uploaded. Activate it or put it in shadow mode to start scoring.',
+      data: model
+    });
+  } catch (error) {
+    console.error('Error uploading model:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'production' ? undefined : error.message
+    });
+  }
+};
+
+// GET /api/admin/models - List models, newest first (definitions omitted)
+const listModels = async (req, res) => {
+  try {
+    const models = await ScoringModel.find().sort({ createdAt: -1 }).select('-definition -__v');
+
+    res.status(200).json({
+      success: true,
+      data: models
+    });
+  } catch (error) {
+    console.error('Error listing models:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'production' ? undefined : error.message
+    });
+  }
+};
+
+// GET /api/admin/models/:version - Get a model including its definition
+const getModel = async (req, res) => {
+  try {
+    const model = await ScoringModel.findOne({ version: req.params.version }).select('-__v');
+
+    if (!model) {
+      return res.status(404).json({
+        success: false,
+        message: 'Model not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: model
+    });
+  } catch (error) {
+    console.error('Error fetching model:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'production' ? undefined : error.message
+    });
+  }
+};
+
+// PATCH /api/admin/models/:version - Set status to active, shadow or inactive
+const updateModelStatus = async (req, res) => {
+  try {
+    if (!requireGlobalAdmin(req, res)) return;
+
+    const { status } = req.body;
+    if (!ScoringModel.MODEL_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `status must be one of ${ScoringModel.MODEL_STATUSES.join(', ')}`
+      });
+    }
+
+    const model = await setModelStatus(req.params.version, status);
+
+    if (!model) {
+      return res.status(404).json({
+        success: false,
+        message: 'Model not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Model ${model.version} is now ${model.status}`,
+      data: model
+    });
+  } catch (error) {
+    console.error('Error updating model status:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'production' ? undefined : error.message
+    });
+  }
+};
+
+// GET /api/admin/models/:version/comparison - Compare a shadow model with the active scores
+const getModelComparison = async (req, res) => {
+  try {
+    const comparison = await compareShadow(req.params.version, req.apiKey.site);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        version: req.params.version,
+        ...comparison
+      }
+    });
+  } catch (error) {
+    console.error('Error comparing model:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'production' ? undefined : error.message
+    });
+  }
+};
+
+module.exports = {
+  uploadModel,
+  listModels,
+  getModel,
+  updateModelStatus,
+  getModelComparison
+};
@@ -0,0 +1,37 @@
+const { eraseSession } = require('../services/privacy');
+
+// DELETE /api/sessions/:session_id - Erase all data stored for a session (data-subject request)
+const deleteSession = async (req, res) => {
+  try {
+    const deleted = await eraseSession(req.params.session_id, req.siteScope);
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    console.log(`Session ${req.params.session_id} erased by API key ${req.apiKey.name}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Session data erased',
+      data: {
+        session_id: req.params.session_id,
+        deleted
+      }
+    });
+  } catch (error) {
+    console.error('Error erasing session:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'production' ? undefined : error.message
+    });
+  }
+};
+
+module.exports = {
+  deleteSession
+};
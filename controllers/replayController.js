@@ -0,0 +1,83 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const { buildTimeline } = require('../services/timeline');
+
+const VIEWER_PATH = path.join(__dirname, '..', 'public', 'replay.html');
+
+// Placeholder on the viewer's inline <script> and <style> tags
+const NONCE_PLACEHOLDER = /\{\{NONCE\}\}/g;
+
+let viewerPromise = null;
+
+const readViewer = () => {
+  if (!viewerPromise) {
+    viewerPromise = fs.readFile(VIEWER_PATH, 'utf8').catch(error => {
+      viewerPromise = null;
+      throw error;
+    });
+  }
+  return viewerPromise;
+};
+
+// GET /api/sessions/:session_id/timeline - Every event of a session in time order, split into pages
+const getTimeline = async (req, res) => {
+  try {
+    const timeline = await buildTimeline(req.params.session_id, req.siteScope);
+
+    if (!timeline) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: timeline
+    });
+  } catch (error) {
+    console.error('Error building session timeline:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'production' ? undefined : error.message
+    });
+  }
+};
+
+// GET /replay - Session replay viewer. It only talks to this API, with the read key the
+// analyst enters; the CSP allows nothing but its own nonce-tagged inline script and style.
+const serveReplayViewer = async (req, res) => {
+  try {
+    const html = await readViewer();
+    const nonce = crypto.randomBytes(16).toString('base64');
+
+    res.set({
+      'Content-Type': 'text/html; charset=utf-8',
+      'Cache-Control': 'no-store',
+      'Content-Security-Policy': [
+        "default-src 'none'",
+        `script-src 'nonce-${nonce}'`,
+        `style-src 'nonce-${nonce}'`,
+        "connect-src 'self'",
+        "base-uri 'none'",
+        "form-action 'none'",
+        "frame-ancestors 'none'"
+      ].join('; ')
+    });
+    res.status(200).send(html.replace(NONCE_PLACEHOLDER, nonce));
+  } catch (error) {
+    console.error('Error serving replay viewer:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'production' ? undefined : error.message
+    });
+  }
+};
+
+module.exports = {
+  getTimeline,
+  serveReplayViewer
+};
@@ -0,0 +1,202 @@
+const ReputationEntry = require('../models/ReputationEntry');
+const Site = require('../models/Site');
+const { checkReputation, importEntries, invalidateReputation } = require('../services/reputation');
+
+const MAX_ENTRIES = 1000;
+
+// Site-scoped admins see global entries and their own site's, and only manage their own
+const visibleFilter = (req) => (req.apiKey.site ? { site: { $in: [null, req.apiKey.site] } } : {});
+const manageableFilter = (req) => (req.apiKey.site ? { site: req.apiKey.site } : {});
+
+// GET /api/admin/reputation - List reputation entries (?list=, ?kind=, ?site=, ?source=, ?page=, ?limit=)
+const listEntries = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 100, MAX_ENTRIES);
+
+    const query = visibleFilter(req);
+    ['list', 'kind', 'source'].forEach(field => {
+      if (req.query[field]) query[field] = String(req.query[field]);
+    });
+    if (req.query.site) {
+      query.site = req.query.site === 'global' ? null : String(req.query.site);
+      if (req.apiKey.site && query.site !== null && query.site !== req.apiKey.site) {
+        return res.status(403).json({
+          success: false,
+          message: 'API key is not valid for this site'
+        });
+      }
+    }
+
+    const [entries, total] = await Promise.all([
+      ReputationEntry.find(query)
+        .sort({ list: 1, kind: 1, value: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .select('-__v')
+        .lean(),
+      ReputationEntry.countDocuments(query)
+    ]);
+    const totalPages = Math.ceil(total / limit);
+
+    res.status(200).json({
+      success: true,
+      data: entries,
+      pagination: {
+        current: page,
+        total: totalPages,
+        totalRecords: total,
+        hasNext: page < totalPages,
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    console.error('Error listing reputation entries:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'production' ? undefined : error.message
+    });
+  }
+};
+
+// POST /api/admin/reputation - Add entries to a list: { list, kind, values: [...], site?, note? }
+// (or a single value). Existing entries keep their place and get the new note.
+const addEntries = async (req, res) => {
+  try {
+    const { list, kind, value, note } = req.body;
+    const values = req.body.values !== undefined ? req.body.values : [value];
+    const site = req.apiKey.site || req.body.site || null;
+
+    if (!ReputationEntry.LISTS.includes(list) || !ReputationEntry.KINDS.includes(kind)) {
+      return res.status(400).json({
+        success: false,
+        message: `list must be one of ${ReputationEntry.LISTS.join(', ')} and kind one of ${ReputationEntry.KINDS.join(', ')}`
+      });
+    }
+
+    if (!Array.isArray(values) || values.length === 0 || values.length > MAX_ENTRIES) {
+      return res.status(400).json({
+        success: false,
+        message: `values must be a list of 1 to ${MAX_ENTRIES} entries`
+      });
+    }
+
+    if (req.body.site !== undefined && req.body.site !== null && typeof req.body.site !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'site must be a string'
+      });
+    }
+
+    if (req.apiKey.site && req.body.site && req.body.site !== req.apiKey.site) {
+      return res.status(403).json({
+        success: false,
+        message: 'Cannot add entries for another site'
+      });
+    }
+
+    if (site && !(await Site.exists({ site_key: site }))) {
+      return res.status(400).json({
+        success: false,
+        message: 'site does not match a registered site_key'
+      });
+    }
+
+    const result = await importEntries({
+      list,
+      kind,
+      site,
+      values: values.map(entry => ({ value: entry, note })),
+      source: 'admin',
+      createdBy: req.apiKey.name
+    });
+
+    if (result.added + result.updated === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No valid entries',
+        errors: result.invalid
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Reputation entries saved',
+      data: result
+    });
+  } catch (error) {
+    console.error('Error adding reputation entries:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'production' ? undefined : error.message
+    });
+  }
+};
+
+// DELETE /api/admin/reputation/:id - Remove an entry
+const deleteEntry = async (req, res) => {
+  try {
+    const entry = await ReputationEntry.findOneAndDelete({ _id: req.params.id, ...manageableFilter(req) });
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Reputation entry not found'
+      });
+    }
+
+    invalidateReputation();
+
+    res.status(200).json({
+      success: true,
+      message: 'Reputation entry deleted',
+      data: entry
+    });
+  } catch (error) {
+    console.error('Error deleting reputation entry:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'production' ? undefined : error.message
+    });
+  }
+};
+
+// GET /api/admin/reputation/check?ip=&user_agent=&site= - Tags and matching entries for a
+// sender, as ingestion would see it
+const checkEntry = async (req, res) => {
+  try {
+    const site = req.apiKey.site || req.query.site || null;
+    const result = await checkReputation({
+      ip: req.query.ip,
+      userAgent: req.query.user_agent,
+      site
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ip: req.query.ip || null,
+        user_agent: req.query.user_agent || null,
+        site,
+        ...result
+      }
+    });
+  } catch (error) {
+    console.error('Error checking reputation:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'production' ? undefined : error.message
+    });
+  }
+};
+
+module.exports = {
+  listEntries,
+  addEntries,
+  deleteEntry,
+  checkEntry
+};
@@ -0,0 +1,42 @@
+const { scoreSession } = require('../services/scoringEngine');
+
+// Score a session and respond with it. Only rescoreSession stores the result on the
+// session and fires score alerts, so GETs stay free of side effects.
+const respondWithScore = async (req, res, record) => {
+  try {
+    const sessionId = req.params.session_id;
+
+    const score = await scoreSession(sessionId, req.siteScope, { record });
+
+    if (!score) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: score
+    });
+  } catch (error) {
+    console.error('Error scoring session:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'production' ? undefined : error.message
+    });
+  }
+};
+
+// GET /api/score/:session_id - Compute the bot probability for a session
+const getScore = (req, res) => respondWithScore(req, res, false);
+
+// POST /api/score/:session_id - Compute the bot probability for a session and store it as
+// the session's latest score (fires score alerts)
+const rescoreSession = (req, res) => respondWithScore(req, res, true);
+
+module.exports = {
+  getScore,
+  rescoreSession
+};
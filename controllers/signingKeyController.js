@@ -0,0 +1,54 @@
+const SigningKey = require('../models/SigningKey');
+const { rotateSigningKey, TOKEN_TTL_SECONDS } = require('../services/verdictTokens');
+
+// POST /api/admin/signing-keys/rotate - Start signing verdict tokens with a new key
+// (global admins only). Tokens signed with the previous key stay valid until they expire.
+const rotateVerdictKey = async (req, res) => {
+  try {
+    if (req.apiKey.site) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only global admin keys can rotate signing keys'
+      });
+    }
+
+    const key = await rotateSigningKey(req.apiKey.name);
+
+    res.status(201).json({
+      success: true,
+      message: `Signing key rotated. Tokens signed with the previous key verify for another ${TOKEN_TTL_SECONDS} seconds.`,
+      data: key.toPublicJSON()
+    });
+  } catch (error) {
+    console.error('Error rotating signing key:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'production' ? undefined : error.message
+    });
+  }
+};
+
+// GET /api/admin/signing-keys - List signing keys (secrets are never returned)
+const listVerdictKeys = async (req, res) => {
+  try {
+    const keys = await SigningKey.find().sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      data: keys.map(key => key.toPublicJSON())
+    });
+  } catch (error) {
+    console.error('Error listing signing keys:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'production' ? undefined : error.message
+    });
+  }
+};
+
+module.exports = {
+  rotateVerdictKey,
+  listVerdictKeys
+};
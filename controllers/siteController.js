@@ -0,0 +1,171 @@
+const Site = require('../models/Site');
+const { generateSiteKey, invalidateSite, normalizeOrigins } = require('../services/sites');
+const { validateCollectorConfig } = require('../validation/collectorConfig');
+const { validatePrivacyConfig } = require('../validation/privacyConfig');
+
+const isValidOrigins = (origins) => Array.isArray(origins) &&
+  origins.every(origin => typeof origin === 'string' && (origin === '*' || /^https?:\/\/[^/\s]+$/i.test(origin.trim())));
+
+// Site-scoped admins only see and manage their own site
+const siteFilter = (req) => (req.apiKey.site ? { site_key: req.apiKey.site } : {});
+
+const invalidConfig = (res, field, errors) => res.status(400).json({
+  success: false,
+  message: `Invalid ${field}`,
+  errors
+});
+
+// First problem with the collector_config, privacy and block_deny_listed fields of a request
+// body, or null
+const configErrors = ({ collector_config, privacy, block_deny_listed }) => {
+  const collectorErrors = validateCollectorConfig(collector_config);
+  if (collectorErrors.length > 0) {
+    return { field: 'collector_config', errors: collectorErrors };
+  }
+  const privacyErrors = validatePrivacyConfig(privacy);
+  if (privacyErrors.length > 0) {
+    return { field: 'privacy', errors: privacyErrors };
+  }
+  // null falls back to the server-wide BLOCK_DENY_LISTED setting
+  if (block_deny_listed !== undefined && block_deny_listed !== null && typeof block_deny_listed !== 'boolean') {
+    return {
+      field: 'block_deny_listed',
+      errors: [{ field: 'block_deny_listed', reason: 'type', message: 'must be of type boolean' }]
+    };
+  }
+  return null;
+};
+
+// POST /api/admin/sites - Register a site (global admins only)
+const createSite = async (req, res) => {
+  try {
+    const { name, allowed_origins = [], collector_config, privacy, block_deny_listed } = req.body;
+
+    if (req.apiKey.site) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only global admin keys can create sites'
+      });
+    }
+
+    if (!name) {
+      return res.status(400).json({
+        success: false,
+        message: 'name is required'
+      });
+    }
+
+    if (!isValidOrigins(allowed_origins)) {
+      return res.status(400).json({
+        success: false,
+        message: 'allowed_origins must be a list of origins like https://www.example.com or *'
+      });
+    }
+
+    const invalid = configErrors(req.body);
+    if (invalid) {
+      return invalidConfig(res, invalid.field, invalid.errors);
+    }
+
+    const site = await Site.create({
+      name,
+      site_key: generateSiteKey(),
+      allowed_origins: normalizeOrigins(allowed_origins),
+      collector_config: collector_config || undefined,
+      privacy: privacy || undefined,
+      block_deny_listed: typeof block_deny_listed === 'boolean' ? block_deny_listed : undefined
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Site created',
+      data: site
+    });
+  } catch (error) {
+    console.error('Error creating site:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'production' ? undefined : error.message
+    });
+  }
+};
+
+// GET /api/admin/sites - List sites
+const listSites = async (req, res) => {
+  try {
+    const sites = await Site.find(siteFilter(req)).sort({ createdAt: -1 }).select('-__v');
+
+    res.status(200).json({
+      success: true,
+      data: sites
+    });
+  } catch (error) {
+    console.error('Error listing sites:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'production' ? undefined : error.message
+    });
+  }
+};
+
+// PATCH /api/admin/sites/:site_key - Update a site's name, origins, active flag, collector config,
+// privacy rules or deny-list blocking
+const updateSite = async (req, res) => {
+  try {
+    const { name, allowed_origins, active, collector_config, privacy, block_deny_listed } = req.body;
+
+    if (allowed_origins !== undefined && !isValidOrigins(allowed_origins)) {
+      return res.status(400).json({
+        success: false,
+        message: 'allowed_origins must be a list of origins like https://www.example.com or *'
+      });
+    }
+
+    const invalid = configErrors(req.body);
+    if (invalid) {
+      return invalidConfig(res, invalid.field, invalid.errors);
+    }
+
+    const site = await Site.findOne({ ...siteFilter(req), site_key: req.params.site_key });
+
+    if (!site) {
+      return res.status(404).json({
+        success: false,
+        message: 'Site not found'
+      });
+    }
+
+    if (name !== undefined) site.name = name;
+    if (allowed_origins !== undefined) site.allowed_origins = normalizeOrigins(allowed_origins);
+    if (active !== undefined) site.active = Boolean(active);
+    // Replaces the whole config; null removes it
+    if (collector_config !== undefined) site.collector_config = collector_config || undefined;
+    // Applies to batches ingested from now on; run the retention backfill to re-date stored ones
+    if (privacy !== undefined) site.privacy = privacy || undefined;
+    if (block_deny_listed !== undefined) site.block_deny_listed = typeof block_deny_listed === 'boolean' ? block_deny_listed : undefined;
+    await site.save();
+
+    invalidateSite(site.site_key);
+
+    res.status(200).json({
+      success: true,
+      message: 'Site updated',
+      data: site
+    });
+  } catch (error) {
+    console.error('Error updating site:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'production' ? undefined : error.message
+    });
+  }
+};
+
+module.exports = {
+  createSite,
+  listSites,
+  updateSite
+};
@@ -0,0 +1,103 @@
+const { currentVerdict } = require('../services/verdicts');
+const { issueToken, verifyToken } = require('../services/verdictTokens');
+
+// GET /api/verdict/:session_id - Latest verdict for the collector's own session
+// Public (identified by site_key like ingestion); only the verdict itself is returned,
+// never the signals or features behind it. The signed token is what the host page
+// forwards to its backend, which checks it through POST /api/verify.
+const getVerdict = async (req, res) => {
+  try {
+    const verdict = await currentVerdict(req.params.session_id, req.site.site_key);
+
+    if (!verdict) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    const { token, expires_at } = await issueToken(verdict);
+
+    res.set('Cache-Control', 'no-store');
+    res.status(200).json({
+      success: true,
+      data: {
+        session_id: verdict.session_id,
+        bot_probability: verdict.bot_probability,
+        is_bot: verdict.is_bot,
+        scored_at: verdict.scored_at,
+        token,
+        token_expires_at: expires_at
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching verdict:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'production' ? undefined : error.message
+    });
+  }
+};
+
+// POST /api/verify - Validate a verdict token from a customer backend and return the
+// authoritative verdict. Each token verifies once; invalid tokens get valid: false
+// with a reason, like reCAPTCHA siteverify.
+const verify = async (req, res) => {
+  try {
+    const { token, session_id: expectedSessionId } = req.body || {};
+
+    if (!token || typeof token !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'token is required'
+      });
+    }
+
+    const invalid = (reason) => res.status(200).json({
+      success: true,
+      data: { valid: false, reason }
+    });
+
+    const result = await verifyToken(token, { site: req.apiKey.site, sessionId: expectedSessionId });
+    if (!result.valid) {
+      return invalid(result.reason);
+    }
+
+    const { claims } = result;
+
+    // The token's score may be minutes old; the current one is authoritative
+    const verdict = await currentVerdict(claims.sid, claims.site);
+    if (!verdict) {
+      return invalid('unknown_session');
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        valid: true,
+        session_id: claims.sid,
+        site: claims.site,
+        bot_probability: verdict.bot_probability,
+        is_bot: verdict.is_bot,
+        model_version: verdict.model_version,
+        scored_at: verdict.scored_at,
+        token_score: claims.score,
+        issued_at: new Date(claims.iat * 1000),
+        expires_at: new Date(claims.exp * 1000)
+      }
+    });
+  } catch (error) {
+    console.error('Error verifying token:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'production' ? undefined : error.message
+    });
+  }
+};
+
+module.exports = {
+  getVerdict,
+  verify
+};
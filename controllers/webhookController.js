@@ -0,0 +1,301 @@
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const Site = require('../models/Site');
+const { generateSecret, invalidateWebhooks, sendTestEvent, processQueue } = require('../services/webhooks');
+const { checkWebhookTarget } = require('../services/webhookTarget');
+const { validateWebhook } = require('../validation/webhookConfig');
+
+const MAX_DELIVERIES = 200;
+
+// Site-scoped admins only see and manage their own site's webhooks
+const siteFilter = (req) => (req.apiKey.site ? { site: req.apiKey.site } : {});
+
+const invalidWebhook = (res, errors) => res.status(400).json({
+  success: false,
+  message: 'Invalid webhook',
+  errors
+});
+
+// Webhooks may only call public hosts; the check is repeated before every delivery
+const targetErrors = async (url) => {
+  const error = url === undefined ? null : await checkWebhookTarget(url);
+  return error ? [{ field: 'url', reason: 'forbidden_host', message: error }] : [];
+};
+
+const findWebhook = (req) => Webhook.findOne({ _id: req.params.id, ...siteFilter(req) });
+
+const webhookNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Webhook not found'
+});
+
+// POST /api/admin/webhooks - Register a webhook (the signing secret is only returned here
+// and when it is rotated)
+const createWebhook = async (req, res) => {
+  try {
+    const errors = validateWebhook(req.body);
+    if (errors.length === 0) {
+      errors.push(...await targetErrors(req.body.url));
+    }
+    if (errors.length > 0) {
+      return invalidWebhook(res, errors);
+    }
+
+    const { url, events, thresholds, description } = req.body;
+    const site = req.body.site || req.apiKey.site;
+
+    if (!site) {
+      return res.status(400).json({
+        success: false,
+        message: 'site is required'
+      });
+    }
+
+    if (req.apiKey.site && site !== req.apiKey.site) {
+      return res.status(403).json({
+        success: false,
+        message: 'Cannot create webhooks for another site'
+      });
+    }
+
+    if (!(await Site.exists({ site_key: site }))) {
+      return res.status(400).json({
+        success: false,
+        message: 'site does not match a registered site_key'
+      });
+    }
+
+    const webhook = await Webhook.create({
+      site,
+      url,
+      secret: generateSecret(),
+      events,
+      thresholds,
+      description,
+      created_by: req.apiKey.name
+    });
+    invalidateWebhooks(site);
+
+    res.status(201).json({
+      success: true,
+      message: 'Webhook created. Store the secret now, it will not be shown again.',
+      data: {
+        ...webhook.toPublicJSON(),
+        secret: webhook.secret
+      }
+    });
+  } catch (error) {
+    console.error('Error creating webhook:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'production' ? undefined : error.message
+    });
+  }
+};
+
+// GET /api/admin/webhooks - List webhooks (without secrets), optionally for one ?site=
+const listWebhooks = async (req, res) => {
+  try {
+    const query = siteFilter(req);
+    if (!query.site && req.query.site) {
+      query.site = req.query.site;
+    }
+
+    const webhooks = await Webhook.find(query).sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      data: webhooks.map(webhook => webhook.toPublicJSON())
+    });
+  } catch (error) {
+    console.error('Error listing webhooks:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'production' ? undefined : error.message
+    });
+  }
+};
+
+// PATCH /api/admin/webhooks/:id - Change a webhook's URL, events, thresholds, description or
+// active flag; rotate_secret: true issues a new signing secret
+const updateWebhook = async (req, res) => {
+  try {
+    const errors = validateWebhook(req.body, { partial: true });
+    if (errors.length === 0) {
+      errors.push(...await targetErrors(req.body.url));
+    }
+    if (errors.length > 0) {
+      return invalidWebhook(res, errors);
+    }
+
+    if (req.body.site !== undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'A webhook cannot be moved to another site'
+      });
+    }
+
+    const webhook = await findWebhook(req);
+    if (!webhook) {
+      return webhookNotFound(res);
+    }
+
+    const { url, events, thresholds, description, active, rotate_secret: rotateSecret } = req.body;
+    if (url !== undefined) webhook.url = url;
+    if (events !== undefined) webhook.events = events;
+    // Merged field by field; unspecified thresholds keep their values
+    if (thresholds !== undefined) webhook.thresholds = { ...webhook.thresholds.toObject(), ...thresholds };
+    if (description !== undefined) webhook.description = description || undefined;
+    if (active !== undefined) webhook.active = active;
+    if (rotateSecret) webhook.secret = generateSecret();
+    await webhook.save();
+    invalidateWebhooks(webhook.site);
+
+    res.status(200).json({
+      success: true,
+      message: rotateSecret
+        ? 'Webhook updated. Store the new secret now, it will not be shown again.'
+        : 'Webhook updated',
+      data: {
+        ...webhook.toPublicJSON(),
+        secret: rotateSecret ? webhook.secret : undefined
+      }
+    });
+  } catch (error) {
+    console.error('Error updating webhook:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'production' ? undefined : error.message
+    });
+  }
+};
+
+// DELETE /api/admin/webhooks/:id - Remove a webhook; queued deliveries are dropped and its
+// delivery log expires as usual
+const deleteWebhook = async (req, res) => {
+  try {
+    const webhook = await findWebhook(req);
+    if (!webhook) {
+      return webhookNotFound(res);
+    }
+
+    await webhook.deleteOne();
+    await WebhookDelivery.updateMany(
+      { webhook: webhook._id, status: { $in: ['pending', 'delivering'] } },
+      { $set: { status: 'failed', last_error: 'Webhook was deleted', locked_until: null } }
+    );
+    invalidateWebhooks(webhook.site);
+
+    res.status(200).json({
+      success: true,
+      message: 'Webhook deleted',
+      data: webhook.toPublicJSON()
+    });
+  } catch (error) {
+    console.error('Error deleting webhook:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'production' ? undefined : error.message
+    });
+  }
+};
+
+// POST /api/admin/webhooks/:id/test - Send a signed 'test' event now and report the outcome
+const testWebhook = async (req, res) => {
+  try {
+    const webhook = await findWebhook(req);
+    if (!webhook) {
+      return webhookNotFound(res);
+    }
+
+    const delivery = await sendTestEvent(webhook, req.apiKey.name);
+
+    res.status(200).json({
+      success: true,
+      message: delivery.status === 'delivered'
+        ? 'Test event delivered'
+        : 'Test event was not accepted by the endpoint; it will be retried',
+      data: delivery
+    });
+  } catch (error) {
+    console.error('Error sending test webhook:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'production' ? undefined : error.message
+    });
+  }
+};
+
+// GET /api/admin/webhooks/:id/deliveries - Delivery log, newest first (?status=, ?limit=)
+const listDeliveries = async (req, res) => {
+  try {
+    const webhook = await findWebhook(req);
+    if (!webhook) {
+      return webhookNotFound(res);
+    }
+
+    const query = { webhook: webhook._id };
+    if (req.query.status) {
+      if (!WebhookDelivery.STATUSES.includes(req.query.status)) {
+        return res.status(400).json({
+          success: false,
+          message: `status must be one of ${WebhookDelivery.STATUSES.join(', ')}`
+        });
+      }
+      query.status = req.query.status;
+    }
+    const limit = Math.min(parseInt(req.query.limit) || 50, MAX_DELIVERIES);
+
+    const deliveries = await WebhookDelivery.find(query)
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .select('-__v')
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      data: deliveries
+    });
+  } catch (error) {
+    console.error('Error listing webhook deliveries:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'production' ? undefined : error.message
+    });
+  }
+};
+
+// GET /api/cron/webhooks - Send due webhook retries (scheduled by Vercel Cron)
+const runWebhookQueue = async (req, res) => {
+  try {
+    const processed = await processQueue();
+
+    res.status(200).json({
+      success: true,
+      data: { processed }
+    });
+  } catch (error) {
+    console.error('Error processing webhook queue:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'production' ? undefined : error.message
+    });
+  }
+};
+
+module.exports = {
+  createWebhook,
+  listWebhooks,
+  updateWebhook,
+  deleteWebhook,
+  testWebhook,
+  listDeliveries,
+  runWebhookQueue
+};
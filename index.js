@@ -4,7 +4,14 @@ require('dotenv').config();
 
 const connectDB = require('./config/database');
 const behaviorRoutes = require('./routes/behaviorRoutes');
-const { collectBehaviorLimiter, apiLimiter, corsOptions, helmet } = require('./middleware/security');
+const adminRoutes = require('./routes/adminRoutes');
+const collectorRoutes = require('./routes/collectorRoutes');
+const replayRoutes = require('./routes/replayRoutes');
+const cronRoutes = require('./routes/cronRoutes');
+const { apiLimiter, corsOptions, helmet } = require('./middleware/security');
+const { parseIngestBody } = require('./middleware/ingestParser');
+const { resolveClientIp, TRUST_PROXY } = require('./middleware/clientIp');
+const { startWebhookWorker } = require('./services/webhooks');
 
 // Initialize Express app
 const app = express();
@@ -12,6 +19,16 @@ const app = express();
 // Connect to MongoDB
 connectDB();
 
+// Retry queued webhook deliveries in the background. Vercel freezes functions between
+// requests, so there Vercel Cron calls /api/cron/webhooks instead (see vercel.json).
+if (!process.env.VERCEL) {
+  startWebhookWorker();
+}
+
+// Client address behind proxies (X-Forwarded-For from trusted hops, see middleware/clientIp)
+app.set('trust proxy', TRUST_PROXY);
+app.use(resolveClientIp);
+
 // Security middleware
 app.use(helmet());
 
@@ -22,6 +39,8 @@ app.use(cors(corsOptions));
 app.options('*', cors(corsOptions));
 
 // Body parsing middleware
+// Ingestion takes beacons (text/plain), gzip/deflate and NDJSON bodies, so it gets its own parser
+app.use('/api/collect-behavior', parseIngestBody);
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
 
@@ -35,8 +54,20 @@ app.get('/', (req, res) => {
   });
 });
 
-// API routes with rate limiting
-app.use('/api', collectBehaviorLimiter, behaviorRoutes);
+// Hosted collector script
+app.use(collectorRoutes);
+
+// Session replay viewer
+app.use(replayRoutes);
+
+// Admin routes (API key management)
+app.use('/api/admin', apiLimiter, adminRoutes);
+
+// Scheduled jobs (CRON_SECRET protected)
+app.use('/api/cron', cronRoutes);
+
+// API routes (rate limited per route group in behaviorRoutes)
+app.use('/api', behaviorRoutes);
 
 // 404 handler
 app.use('*', (req, res) => {
@@ -61,7 +92,8 @@ const PORT = process.env.PORT || 3000;
 app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
   console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
-  console.log('CORS: Enabled for all origins');
+  console.log(`Trusted proxies: ${JSON.stringify(TRUST_PROXY)}`);
+  console.log(`CORS: Ingestion restricted to registered site origins; API origins: ${process.env.CORS_ALLOWED_ORIGINS || 'all'}`);
 });
 
 module.exports = app;
\ No newline at end of file
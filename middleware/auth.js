@@ -0,0 +1,51 @@
+const { findActiveKey, hasRole } = require('../services/apiKeys');
+
+// Read the key from "Authorization: Bearer <key>" or "X-API-Key: <key>"
+const extractKey = (req) => {
+  const authorization = req.get('Authorization');
+  if (authorization && authorization.startsWith('Bearer ')) {
+    return authorization.slice(7).trim();
+  }
+  return req.get('X-API-Key');
+};
+
+// Require a valid, unrevoked API key holding `role`; the key is exposed as req.apiKey
+const requireApiKey = (role) => async (req, res, next) => {
+  try {
+    const apiKey = await findActiveKey(extractKey(req));
+
+    if (!apiKey) {
+      return res.status(401).json({
+        success: false,
+        message: 'A valid API key is required'
+      });
+    }
+
+    if (!hasRole(apiKey, role)) {
+      return res.status(403).json({
+        success: false,
+        message: `API key does not have the '${role}' role`
+      });
+    }
+
+    req.apiKey = apiKey;
+
+    // Usage tracking must not slow down or fail the request
+    apiKey.updateOne({ last_used_at: new Date() }).catch(error => {
+      console.error('Error updating API key usage:', error);
+    });
+
+    next();
+  } catch (error) {
+    console.error('Error authenticating API key:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'production' ? undefined : error.message
+    });
+  }
+};
+
+module.exports = {
+  requireApiKey
+};
@@ -0,0 +1,47 @@
+const net = require('net');
+const { normalizeIp } = require('../services/ip');
+
+// Express 'trust proxy' setting: which peers may set X-Forwarded-For. 'true'/'false', a hop
+// count, or a comma-separated list of addresses, CIDR blocks and the presets loopback,
+// linklocal and uniquelocal. Vercel overwrites X-Forwarded-For with the client address,
+// so one hop is trusted there by default; elsewhere nothing is.
+const parseTrustProxy = (value) => {
+  if (value === undefined || value === '') {
+    return process.env.VERCEL ? 1 : false;
+  }
+  if (value === 'true' || value === 'false') {
+    return value === 'true';
+  }
+  return /^\d+$/.test(value) ? Number(value) : value.split(',').map(entry => entry.trim()).filter(Boolean);
+};
+
+const TRUST_PROXY = parseTrustProxy(process.env.TRUST_PROXY);
+
+// Single-address header a trusted proxy sets instead of (or more reliably than)
+// X-Forwarded-For, e.g. x-real-ip or cf-connecting-ip; unset uses X-Forwarded-For only
+const CLIENT_IP_HEADER = process.env.CLIENT_IP_HEADER ? process.env.CLIENT_IP_HEADER.toLowerCase() : null;
+
+// Resolve the client address once per request as req.clientIp, with req.clientIpSource
+// naming where it came from. The header is only believed when the connecting peer is a
+// trusted proxy; otherwise req.ip applies the trust proxy setting to X-Forwarded-For.
+const resolveClientIp = (req, res, next) => {
+  const peer = req.socket.remoteAddress;
+  const trusted = req.app.get('trust proxy fn');
+  const headerIp = CLIENT_IP_HEADER ? normalizeIp(req.get(CLIENT_IP_HEADER)) : null;
+
+  if (headerIp && net.isIP(headerIp) && peer && trusted(peer, 0)) {
+    req.clientIp = headerIp;
+    req.clientIpSource = CLIENT_IP_HEADER;
+  } else {
+    req.clientIp = normalizeIp(req.ip || peer);
+    req.clientIpSource = req.ips.length > 0 ? 'x-forwarded-for' : 'socket';
+  }
+  next();
+};
+
+module.exports = {
+  resolveClientIp,
+  parseTrustProxy,
+  TRUST_PROXY,
+  CLIENT_IP_HEADER
+};
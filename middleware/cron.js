@@ -0,0 +1,34 @@
+const crypto = require('crypto');
+
+// Secret Vercel Cron sends as "Authorization: Bearer <CRON_SECRET>"; cron routes are
+// disabled without it
+const CRON_SECRET = process.env.CRON_SECRET || null;
+
+const sameSecret = (given, expected) => {
+  const a = crypto.createHash('sha256').update(given).digest();
+  const b = crypto.createHash('sha256').update(expected).digest();
+  return crypto.timingSafeEqual(a, b);
+};
+
+const requireCronSecret = (req, res, next) => {
+  if (!CRON_SECRET) {
+    return res.status(404).json({
+      success: false,
+      message: 'API endpoint not found'
+    });
+  }
+
+  const authorization = req.get('Authorization') || '';
+  if (!authorization.startsWith('Bearer ') || !sameSecret(authorization.slice(7).trim(), CRON_SECRET)) {
+    return res.status(401).json({
+      success: false,
+      message: 'A valid cron secret is required'
+    });
+  }
+
+  next();
+};
+
+module.exports = {
+  requireCronSecret
+};
@@ -0,0 +1,122 @@
+const express = require('express');
+const zlib = require('zlib');
+
+// Size limits for ingestion requests
+const MAX_REQUEST_BYTES = parseInt(process.env.INGEST_MAX_REQUEST_BYTES) || 10 * 1024 * 1024; // 10mb, decompressed
+const MAX_BATCH_BYTES = parseInt(process.env.INGEST_MAX_BATCH_BYTES) || 1024 * 1024; // 1mb per batch
+const MAX_BATCHES_PER_REQUEST = parseInt(process.env.INGEST_MAX_BATCHES) || 50;
+
+// Read the body as raw bytes whatever the Content-Type (sendBeacon sends text/plain).
+// Content-Encoding: gzip/deflate is inflated by body-parser itself.
+const rawParser = express.raw({
+  type: () => true,
+  limit: MAX_REQUEST_BYTES,
+  inflate: true
+});
+
+const ingestError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// Beacons cannot set Content-Encoding, so compressed bodies are detected by magic bytes
+const decompress = (buffer) => {
+  const options = { maxOutputLength: MAX_REQUEST_BYTES };
+  try {
+    // gzip
+    if (buffer[0] === 0x1f && buffer[1] === 0x8b) {
+      return zlib.gunzipSync(buffer, options);
+    }
+    // zlib-wrapped deflate
+    if (buffer[0] === 0x78 && [0x01, 0x5e, 0x9c, 0xda].includes(buffer[1])) {
+      return zlib.inflateSync(buffer, options);
+    }
+  } catch (error) {
+    if (error.code === 'ERR_BUFFER_TOO_LARGE') {
+      throw ingestError(413, 'Decompressed payload exceeds size limit');
+    }
+    throw ingestError(400, 'Invalid compressed payload');
+  }
+  return buffer;
+};
+
+// Parse a single JSON document (object or array of batches) or NDJSON lines into batches
+const parseBatches = (text) => {
+  try {
+    const parsed = JSON.parse(text);
+    const batches = Array.isArray(parsed) ? parsed : [parsed];
+    return batches.map(batch => ({ batch, bytes: Buffer.byteLength(JSON.stringify(batch)) }));
+  } catch (error) {
+    // Not a single JSON document, fall through to NDJSON
+  }
+
+  return text.split(/\r?\n/)
+    .map((line, index) => ({ line: line.trim(), number: index + 1 }))
+    .filter(({ line }) => line.length > 0)
+    .map(({ line, number }) => {
+      try {
+        return { batch: JSON.parse(line), bytes: Buffer.byteLength(line) };
+      } catch (error) {
+        throw ingestError(400, `Invalid JSON on line ${number}`);
+      }
+    });
+};
+
+const decodeBatches = (buffer) => {
+  const text = decompress(buffer).toString('utf8').trim();
+  if (!text) {
+    return [];
+  }
+
+  const batches = parseBatches(text);
+
+  if (batches.length > MAX_BATCHES_PER_REQUEST) {
+    throw ingestError(413, `Too many batches in request (max ${MAX_BATCHES_PER_REQUEST})`);
+  }
+
+  batches.forEach(({ batch, bytes }, index) => {
+    if (!batch || typeof batch !== 'object' || Array.isArray(batch)) {
+      throw ingestError(400, `Batch ${index} is not a JSON object`);
+    }
+    if (bytes > MAX_BATCH_BYTES) {
+      throw ingestError(413, `Batch ${index} exceeds size limit of ${MAX_BATCH_BYTES} bytes`);
+    }
+  });
+
+  return batches.map(({ batch }) => batch);
+};
+
+// Body parser for POST /api/collect-behavior. Accepts JSON, text/plain beacons,
+// gzip/deflate bodies and NDJSON, and exposes the parsed batches as req.batches.
+const parseIngestBody = (req, res, next) => {
+  if (req.method !== 'POST') {
+    return next();
+  }
+
+  rawParser(req, res, (error) => {
+    if (error) {
+      return res.status(error.status || 400).json({
+        success: false,
+        message: error.type === 'entity.too.large' ? 'Payload too large' : 'Invalid request body'
+      });
+    }
+
+    try {
+      req.batches = Buffer.isBuffer(req.body) ? decodeBatches(req.body) : [];
+      req.body = req.batches.length === 1 ? req.batches[0] : {};
+      next();
+    } catch (parseError) {
+      res.status(parseError.status || 400).json({
+        success: false,
+        message: parseError.message
+      });
+    }
+  });
+};
+
+module.exports = {
+  parseIngestBody,
+  decodeBatches,
+  MAX_BATCH_BYTES
+};
@@ -0,0 +1,41 @@
+const { checkReputation, isDenyListed } = require('../services/reputation');
+const { recordRejection } = require('../services/rejectionStats');
+
+// Server-wide default for sites that do not set block_deny_listed
+const BLOCK_DENY_LISTED = process.env.BLOCK_DENY_LISTED === 'true';
+
+// Match the sender against the reputation lists and expose the tags as req.reputationTags
+// for ingestion to store. Deny-listed senders are rejected when the site blocks them.
+// Runs after resolveIngestSite.
+const checkIngestReputation = async (req, res, next) => {
+  try {
+    const { tags } = await checkReputation({
+      ip: req.clientIp,
+      userAgent: req.get('User-Agent'),
+      site: req.site.site_key
+    });
+    req.reputationTags = tags;
+  } catch (error) {
+    // Fail open: the batch is stored untagged rather than lost
+    console.error('Error checking reputation lists:', error);
+    return next();
+  }
+
+  const block = typeof req.site.block_deny_listed === 'boolean' ? req.site.block_deny_listed : BLOCK_DENY_LISTED;
+  if (block && isDenyListed(req.reputationTags)) {
+    recordRejection(['deny_listed'], req.site.site_key).catch(error => {
+      console.error('Error recording rejection stats:', error);
+    });
+
+    return res.status(403).json({
+      success: false,
+      message: 'Request blocked'
+    });
+  }
+
+  next();
+};
+
+module.exports = {
+  checkIngestReputation
+};
@@ -1,50 +1,209 @@
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
+const { findSiteByKey, DEFAULT_SITE_KEY } = require('../services/sites');
+const { fingerprintHash } = require('../services/fingerprint');
+const { createCounterStore, blockStore } = require('../services/rateLimitStore');
+const { checkRateLimitAlert } = require('../services/alerts');
+const { anonymizeIp, DEFAULT_PRIVACY, IP_HASH_KEY } = require('../services/privacy');
+const { hashIp } = require('../services/ip');
 
-// CORS configuration - Allow ALL origins
-const corsOptions = {
-  origin: function (origin, callback) {
-    // Allow ALL origins
-    callback(null, true);
-    
-    // Optional: Log origins for monitoring (remove in production if needed)
-    if (origin) {
-      console.log('CORS request from origin:', origin);
-    }
-  },
+// Routes called by the embedded collector (and everything below them); only the
+// site's registered origins may use them
+const INGEST_PATHS = ['/api/collect-behavior', '/api/verdict', '/api/config'];
+
+const isIngestPath = (path) => INGEST_PATHS.some(prefix => path === prefix || path.startsWith(`${prefix}/`));
+
+// Ingest requests name their site in ?site_key=, except remote config which has it in the path
+const ingestSiteKey = (req, path = req.path) => {
+  const configMatch = /^\/api\/config\/([^/]+)$/.exec(path);
+  return req.query.site_key || (configMatch && configMatch[1]) || DEFAULT_SITE_KEY;
+};
+
+// Origins allowed on the remaining (API key protected) routes; unset allows all
+const API_ALLOWED_ORIGINS = process.env.CORS_ALLOWED_ORIGINS
+  ? process.env.CORS_ALLOWED_ORIGINS.split(',').map(origin => origin.trim().toLowerCase())
+  : null;
+
+const baseCorsOptions = {
   credentials: false, // Set to false to allow wildcard origin
-  methods: ['GET', 'POST', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
+  methods: ['GET', 'POST', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-API-Key'],
   preflightContinue: false,
   optionsSuccessStatus: 204
 };
 
-// Rate limiting for behavior data collection
-const collectBehaviorLimiter = rateLimit({
-  windowMs: 1 * 60 * 1000, // 1 minute
-  max: 100, // limit each IP to 100 requests per windowMs
-  message: {
-    success: false,
+// CORS configuration - resolved per request. Ingestion requests name their site (see
+// ingestSiteKey) so the preflight can be checked against that site's allowed origins.
+const corsOptions = (req, callback) => {
+  const origin = req.get('Origin');
+
+  if (!origin) {
+    return callback(null, { ...baseCorsOptions, origin: false });
+  }
+
+  if (isIngestPath(req.path)) {
+    findSiteByKey(ingestSiteKey(req))
+      .then(site => callback(null, {
+        ...baseCorsOptions,
+        origin: Boolean(site && site.allowsOrigin(origin.toLowerCase()))
+      }))
+      .catch(callback);
+    return;
+  }
+
+  callback(null, {
+    ...baseCorsOptions,
+    origin: !API_ALLOWED_ORIGINS || API_ALLOWED_ORIGINS.includes(origin.toLowerCase())
+  });
+};
+
+// Rate limit policies per route group. Each policy counts requests separately per
+// key dimension; a request is rejected as soon as any dimension is over its limit.
+const RATE_LIMIT_POLICIES = {
+  ingest: {
+    windowMs: 1 * 60 * 1000, // 1 minute
+    limits: {
+      ip: 120,
+      session: 30, // collector sends a batch every 10 seconds
+      fingerprint: 600 // many real devices share a fingerprint, so keep this loose
+    },
     message: 'Too many behavior data submissions, please try again later.'
   },
-  standardHeaders: true,
-  legacyHeaders: false
-});
-
-// Rate limiting for API data retrieval
-const apiLimiter = rateLimit({
-  windowMs: 1 * 60 * 1000, // 1 minute
-  max: 200, // limit each IP to 200 requests per windowMs
-  message: {
-    success: false,
+  verdict: {
+    windowMs: 1 * 60 * 1000, // 1 minute
+    limits: {
+      ip: 60,
+      session: 12 // collector polls every 15 seconds
+    },
+    message: 'Too many verdict requests, please try again later.'
+  },
+  config: {
+    windowMs: 1 * 60 * 1000, // 1 minute
+    limits: {
+      ip: 60 // fetched once per page load
+    },
+    message: 'Too many config requests, please try again later.'
+  },
+  read: {
+    windowMs: 1 * 60 * 1000, // 1 minute
+    limits: {
+      ip: 200
+    },
     message: 'Too many API requests, please try again later.'
+  }
+};
+
+// Ingestion batches are parsed before the limiters run (see parseIngestBody)
+const firstBatch = (req) => (req.batches && req.batches[0]) || req.body || {};
+
+// Rate-limit keys are stored (with the Mongo store) before the request's site is known.
+// With IP_HASH_KEY set the address is keyed by its hash, which keeps per-address limits
+// without storing it; otherwise the server-wide ip_handling applies. Counters expire
+// with their window and blocks at most STRIKE_DECAY_MS after the last one ends.
+const rateLimitIp = (ip) => (IP_HASH_KEY ? hashIp(ip, IP_HASH_KEY) : anonymizeIp(ip, DEFAULT_PRIVACY.ip_handling));
+
+const KEY_EXTRACTORS = {
+  // Resolved by resolveClientIp (trusted proxies and CLIENT_IP_HEADER)
+  ip: (req) => rateLimitIp(req.clientIp || req.ip),
+  session: (req) => {
+    const sessionId = (req.params && req.params.session_id) || firstBatch(req).session_id;
+    return typeof sessionId === 'string' && sessionId.length <= 128 ? sessionId : null;
   },
-  standardHeaders: true,
-  legacyHeaders: false
-});
+  fingerprint: (req) => fingerprintHash(firstBatch(req).fingerprint)
+};
+
+const rateLimitKey = (policyName, dimension, req) => {
+  const value = KEY_EXTRACTORS[dimension](req);
+  return value ? `${policyName}:${dimension}:${value}` : null;
+};
+
+const tooManyRequests = (res, message, blockedUntil) => {
+  const retryAfter = Math.max(1, Math.ceil((blockedUntil.getTime() - Date.now()) / 1000));
+  res.set('Retry-After', String(retryAfter));
+  res.status(429).json({
+    success: false,
+    message,
+    retry_after: retryAfter
+  });
+};
+
+// Build the middleware chain for a policy: a check against escalating blocks, then one
+// express-rate-limit instance per key dimension. Exceeding a limit blocks the key for
+// 1m, 5m, 30m, then 24h on repeat violations.
+const createRateLimiter = (policyName) => {
+  const policy = RATE_LIMIT_POLICIES[policyName];
+  const dimensions = Object.keys(policy.limits);
+
+  const checkBlocked = async (req, res, next) => {
+    try {
+      const keys = dimensions.map(dimension => rateLimitKey(policyName, dimension, req)).filter(Boolean);
+      const block = await blockStore.isBlocked(keys);
+      if (block) {
+        return tooManyRequests(res, policy.message, block.blocked_until);
+      }
+    } catch (error) {
+      // Fail open: a store outage must not take ingestion down
+      console.error('Error checking rate limit blocks:', error);
+    }
+    next();
+  };
+
+  const limiters = dimensions.map(dimension => rateLimit({
+    windowMs: policy.windowMs,
+    max: policy.limits[dimension],
+    store: createCounterStore(),
+    keyGenerator: (req) => rateLimitKey(policyName, dimension, req),
+    skip: (req) => !rateLimitKey(policyName, dimension, req),
+    handler: async (req, res) => {
+      const key = rateLimitKey(policyName, dimension, req);
+      try {
+        const block = await blockStore.strike(key);
+        console.warn(`Rate limit exceeded for ${key}, blocked (level ${block.level}) until ${block.blocked_until.toISOString()}`);
+        tooManyRequests(res, policy.message, block.blocked_until);
+
+        // Collector routes name their site, so repeat offenders can be reported to its webhooks
+        const path = req.baseUrl + req.path;
+        if (dimension === 'ip' && isIngestPath(path)) {
+          await checkRateLimitAlert({
+            site: ingestSiteKey(req, path),
+            policy: policyName,
+            ip: req.clientIp || req.ip,
+            level: block.level,
+            blockedUntil: block.blocked_until
+          }).catch(error => {
+            console.error('Error checking rate limit alerts:', error);
+          });
+        }
+      } catch (error) {
+        console.error('Error recording rate limit violation:', error);
+        tooManyRequests(res, policy.message, new Date(Date.now() + policy.windowMs));
+      }
+    },
+    standardHeaders: true,
+    legacyHeaders: false
+  }));
+
+  return [checkBlocked, ...limiters];
+};
+
+// Rate limiting for behavior data collection (per IP, session and fingerprint)
+const collectBehaviorLimiter = createRateLimiter('ingest');
+
+// Rate limiting for collector verdict polling (per IP and session)
+const verdictLimiter = createRateLimiter('verdict');
+
+// Rate limiting for collector remote config (per IP)
+const configLimiter = createRateLimiter('config');
+
+// Rate limiting for API data retrieval
+const apiLimiter = createRateLimiter('read');
 
 module.exports = {
+  RATE_LIMIT_POLICIES,
+  createRateLimiter,
   collectBehaviorLimiter,
+  verdictLimiter,
+  configLimiter,
   apiLimiter,
   corsOptions,
   helmet
@@ -0,0 +1,78 @@
+const { findSiteByKey, DEFAULT_SITE_KEY } = require('../services/sites');
+
+// Resolve the site an ingest request belongs to and enforce its origin allowlist.
+// Every batch must carry the same site_key (or the route names it as :site_key);
+// the site is exposed as req.site.
+const resolveIngestSite = async (req, res, next) => {
+  try {
+    const batches = req.batches || [req.body];
+    const siteKeys = [...new Set(batches.map(batch => batch.site_key || req.params.site_key || req.query.site_key || DEFAULT_SITE_KEY))];
+
+    if (siteKeys.length !== 1 || !siteKeys[0]) {
+      return res.status(400).json({
+        success: false,
+        message: siteKeys.length > 1 ? 'All batches must belong to the same site' : 'site_key is required'
+      });
+    }
+
+    const site = await findSiteByKey(siteKeys[0]);
+    if (!site) {
+      return res.status(403).json({
+        success: false,
+        message: 'Unknown or inactive site_key'
+      });
+    }
+
+    // Requests without an Origin header come from servers, not from other websites
+    const origin = req.get('Origin');
+    if (origin && !site.allowsOrigin(origin.toLowerCase())) {
+      return res.status(403).json({
+        success: false,
+        message: 'Origin not allowed for this site'
+      });
+    }
+
+    if (req.apiKey && req.apiKey.site && req.apiKey.site !== site.site_key) {
+      return res.status(403).json({
+        success: false,
+        message: 'API key is not valid for this site'
+      });
+    }
+
+    req.site = site;
+    next();
+  } catch (error) {
+    console.error('Error resolving site:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'production' ? undefined : error.message
+    });
+  }
+};
+
+// Scope read routes to a site. Site-scoped keys only see their own site; global keys
+// see every site unless they narrow it with ?site=. The result is req.siteScope.
+const resolveReadSite = (req, res, next) => {
+  const keySite = req.apiKey && req.apiKey.site;
+  const requested = req.query.site;
+
+  if (keySite && requested && requested !== keySite) {
+    return res.status(403).json({
+      success: false,
+      message: 'API key is not valid for this site'
+    });
+  }
+
+  req.siteScope = keySite || requested || null;
+  next();
+};
+
+// Mongo filter for the current read scope
+const siteFilter = (req) => (req.siteScope ? { site: req.siteScope } : {});
+
+module.exports = {
+  resolveIngestSite,
+  resolveReadSite,
+  siteFilter
+};
@@ -0,0 +1,37 @@
+const { validateBehaviorPayload } = require('../validation/behaviorPayload');
+const { recordRejection } = require('../services/rejectionStats');
+const { DEFAULT_SITE_KEY } = require('../services/sites');
+
+// Validate every batch of a collect-behavior request; the request is rejected as a
+// whole with a 400 listing each invalid field when any batch fails.
+const validateBehavior = (req, res, next) => {
+  const batches = req.batches || [req.body];
+  const multiBatch = batches.length > 1;
+
+  const errors = [];
+  batches.forEach((batch, index) => {
+    validateBehaviorPayload(batch).forEach(error => {
+      errors.push(multiBatch ? { batch: index, ...error } : error);
+    });
+  });
+
+  if (errors.length === 0) {
+    return next();
+  }
+
+  // Tracking must never turn a 400 into a 500
+  const siteKey = (batches[0] && batches[0].site_key) || DEFAULT_SITE_KEY;
+  recordRejection(errors.map(error => error.reason), siteKey).catch(error => {
+    console.error('Error recording rejection stats:', error);
+  });
+
+  res.status(400).json({
+    success: false,
+    message: 'Invalid behavior data',
+    errors
+  });
+};
+
+module.exports = {
+  validateBehavior
+};
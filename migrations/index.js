@@ -0,0 +1,229 @@
+const BehaviorData = require('../models/BehaviorData');
+const RejectionStat = require('../models/RejectionStat');
+const { fingerprintHash } = require('../services/fingerprint');
+const { ipPrefix } = require('../services/ip');
+const { pagePath } = require('../services/ingestion');
+
+const BULK_SIZE = 1000;
+
+// Rewrite every document below `version` one by one: `compute(doc)` returns the
+// fields to $set, which are written in bulk together with the new schema_version
+const rewriteEach = async (collection, version, projection, compute) => {
+  let modified = 0;
+  let operations = [];
+
+  const flush = async () => {
+    if (operations.length > 0) {
+      modified += (await collection.bulkWrite(operations, { ordered: false })).modifiedCount;
+      operations = [];
+    }
+  };
+
+  const cursor = collection.find({ schema_version: { $lt: version } }, { projection });
+  for await (const doc of cursor) {
+    operations.push({
+      updateOne: {
+        filter: { _id: doc._id },
+        update: { $set: { ...compute(doc), schema_version: version } }
+      }
+    });
+    if (operations.length >= BULK_SIZE) {
+      await flush();
+    }
+  }
+  await flush();
+
+  return modified;
+};
+
+// Ordered BehaviorData migrations. Each one upgrades documents from the previous
+// version to `version`; `up` receives the raw MongoDB collection and returns the
+// number of documents changed.
+const migrations = [
+  {
+    version: 2,
+    description: 'Version documents stored before the full collector payload was persisted',
+    up: async (collection) => {
+      // The extra mouse/click/scroll/key/page-view/fingerprint fields were dropped
+      // when these documents were written and cannot be recovered; flag them so
+      // feature extraction treats the fields as missing rather than zero.
+      const result = await collection.updateMany(
+        { schema_version: { $exists: false } },
+        { $set: { schema_version: 2, partial_payload: true } }
+      );
+      return result.modifiedCount;
+    }
+  },
+  {
+    version: 3,
+    description: 'Tag documents stored before multi-tenancy with DEFAULT_SITE_KEY',
+    up: async (collection) => {
+      // Without DEFAULT_SITE_KEY the documents stay untagged and are only
+      // visible to global (non site-scoped) API keys
+      const update = { schema_version: 3 };
+      if (process.env.DEFAULT_SITE_KEY) {
+        update.site = process.env.DEFAULT_SITE_KEY;
+      }
+      const result = await collection.updateMany(
+        { schema_version: { $lt: 3 } },
+        { $set: update }
+      );
+      return result.modifiedCount;
+    }
+  },
+  {
+    version: 4,
+    description: 'Compute server-side fingerprint hashes',
+    up: (collection) => rewriteEach(collection, 4, { fingerprint: 1 }, doc => ({
+      fingerprint_hash: fingerprintHash(doc.fingerprint)
+    }))
+  },
+  {
+    version: 5,
+    description: 'Version documents stored before consistency flags were computed',
+    up: async (collection) => {
+      // The automation fields were never collected for these documents, so there is
+      // nothing to evaluate; an empty flag list would claim a clean fingerprint
+      const result = await collection.updateMany(
+        { schema_version: { $lt: 5 } },
+        { $set: { schema_version: 5 } }
+      );
+      return result.modifiedCount;
+    }
+  },
+  {
+    version: 6,
+    description: 'Derive page_path and ip_prefix for analytics breakdowns',
+    up: (collection) => rewriteEach(collection, 6, { current_url: 1, ip_address: 1 }, doc => ({
+      page_path: pagePath(doc.current_url),
+      ip_prefix: ipPrefix(doc.ip_address)
+    }))
+  },
+  {
+    version: 7,
+    description: 'Version documents stored before interaction-integrity and honeypot signals',
+    up: async (collection) => {
+      // isTrusted, pointer and visibility fields were never collected for these
+      // documents; they stay missing so scoring does not read them as trusted
+      const result = await collection.updateMany(
+        { schema_version: { $lt: 7 } },
+        { $set: { schema_version: 7 } }
+      );
+      return result.modifiedCount;
+    }
+  },
+  {
+    version: 8,
+    description: 'Version documents stored before touch, pointer and sensor collection',
+    up: async (collection) => {
+      // Missing touch/pointer/sensor arrays mean "not collected", not "no activity"
+      const result = await collection.updateMany(
+        { schema_version: { $lt: 8 } },
+        { $set: { schema_version: 8 } }
+      );
+      return result.modifiedCount;
+    }
+  },
+  {
+    version: 9,
+    description: 'Version documents stored before retention and IP anonymization',
+    up: async (collection) => {
+      // Retention only applies from ingest onwards: these documents have no expires_at
+      // and are kept until erased, with their addresses as they were received
+      const result = await collection.updateMany(
+        { schema_version: { $lt: 9 } },
+        { $set: { schema_version: 9 } }
+      );
+      return result.modifiedCount;
+    }
+  },
+  {
+    version: 10,
+    description: 'Version documents stored before reputation lists',
+    up: async (collection) => {
+      // reputation_tags stays unset: the lists these batches would have matched then
+      // are unknown, and scoring treats a missing field as "not checked"
+      const result = await collection.updateMany(
+        { schema_version: { $lt: 10 } },
+        { $set: { schema_version: 10 } }
+      );
+      return result.modifiedCount;
+    }
+  },
+  {
+    version: 11,
+    description: 'Version documents stored before request metadata was recorded',
+    up: async (collection) => {
+      // The request headers of these batches were never kept, so request_meta stays unset
+      const result = await collection.updateMany(
+        { schema_version: { $lt: 11 } },
+        { $set: { schema_version: 11 } }
+      );
+      return result.modifiedCount;
+    }
+  }
+];
+
+// Unique indexes replaced by wider ones. Mongoose creates the new index but never drops
+// the old one, which would keep rejecting what the new one allows.
+const RETIRED_INDEXES = [
+  {
+    model: BehaviorData,
+    name: 'session_id_1_batch_id_1',
+    description: 'Batch ids are unique per site and session'
+  },
+  {
+    model: RejectionStat,
+    name: 'day_1_reason_1',
+    description: 'Rejection stats are counted per site'
+  }
+];
+
+// Drop every retired index still present; resolves to one result per index
+const dropRetiredIndexes = async ({ dryRun = false } = {}) => {
+  const results = [];
+
+  for (const { model, name, description } of RETIRED_INDEXES) {
+    // indexExists fails when the collection does not exist yet
+    const present = await model.collection.indexExists(name).catch(() => false);
+    if (present && !dryRun) {
+      await model.collection.dropIndex(name);
+    }
+    results.push({ collection: model.collection.name, name, description, present, dropped: present && !dryRun });
+  }
+
+  return results;
+};
+
+// Apply every migration newer than the oldest stored document, in order
+const runMigrations = async ({ dryRun = false } = {}) => {
+  const collection = BehaviorData.collection;
+  const results = [];
+
+  for (const migration of migrations) {
+    const pending = await collection.countDocuments({
+      $or: [
+        { schema_version: { $exists: false } },
+        { schema_version: { $lt: migration.version } }
+      ]
+    });
+
+    if (pending === 0) {
+      results.push({ version: migration.version, pending, modified: 0 });
+      continue;
+    }
+
+    const modified = dryRun ? 0 : await migration.up(collection);
+    results.push({ version: migration.version, pending, modified });
+  }
+
+  return results;
+};
+
+module.exports = {
+  migrations,
+  runMigrations,
+  dropRetiredIndexes,
+  RETIRED_INDEXES,
+  SCHEMA_VERSION: BehaviorData.SCHEMA_VERSION
+};
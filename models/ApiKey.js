@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+// 'label' allows writing ground-truth session labels; analysts usually also need 'read'.
+// 'verify' is for customer backends checking verdict tokens through /api/verify.
+const ROLES = ['ingest', 'read', 'label', 'verify', 'admin'];
+
+// API keys are stored as SHA-256 hashes; the plaintext is only shown once on creation
+const apiKeySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  key_hash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // First characters of the key, kept so keys can be recognised in listings
+  key_prefix: {
+    type: String,
+    required: true
+  },
+  roles: {
+    type: [{ type: String, enum: ROLES }],
+    validate: {
+      validator: roles => roles.length > 0,
+      message: 'At least one role is required'
+    }
+  },
+  // Site the key is scoped to; null means all sites (admin keys only)
+  site: {
+    type: String,
+    default: null,
+    index: true
+  },
+  created_by: String,
+  last_used_at: Date,
+  revoked_at: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+apiKeySchema.methods.toPublicJSON = function () {
+  return {
+    id: this._id,
+    name: this.name,
+    key_prefix: this.key_prefix,
+    roles: this.roles,
+    site: this.site,
+    created_by: this.created_by,
+    last_used_at: this.last_used_at,
+    revoked_at: this.revoked_at,
+    createdAt: this.createdAt
+  };
+};
+
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+ApiKey.ROLES = ROLES;
+
+module.exports = ApiKey;
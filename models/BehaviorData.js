@@ -1,9 +1,19 @@
 const mongoose = require('mongoose');
 
+// Bump when the stored document shape changes and add a matching entry in migrations/
+const SCHEMA_VERSION = 11;
+
+// Collector reports 'unknown' for unsupported hardware APIs; store those as null
+const numberOrNull = (value) => (typeof value === 'number' && isFinite(value) ? value : null);
+
 const mouseEventSchema = new mongoose.Schema({
   x: Number,
   y: Number,
-  t: Number // timestamp
+  t: Number, // timestamp
+  pageX: Number,
+  pageY: Number,
+  movementX: Number,
+  movementY: Number
 });
 
 const clickEventSchema = new mongoose.Schema({
@@ -11,16 +21,90 @@ const clickEventSchema = new mongoose.Schema({
   y: Number,
   btn: Number,
   tgt: String,
-  t: Number
+  t: Number,
+  id: String,
+  className: String,
+  text: String,
+  // Interaction integrity: synthetic element.click() calls are untrusted, have no
+  // preceding pointerdown and often hit (0,0) or invisible elements
+  trusted: Boolean, // event.isTrusted
+  pd: Boolean, // a pointerdown preceded the click
+  ptr: String, // pointerType of that pointerdown (mouse, pen, touch)
+  pr: Number, // its pressure
+  vis: Boolean // target was visible
 });
 
 const scrollEventSchema = new mongoose.Schema({
   x: Number,
   y: Number,
-  t: Number
+  t: Number,
+  vw: Number, // viewport width
+  vh: Number, // viewport height
+  docH: Number, // document height
+  docW: Number // document width
 });
 
 const keyEventSchema = new mongoose.Schema({
+  t: Number,
+  keyCode: Number,
+  location: Number,
+  ctrl: Boolean,
+  shift: Boolean,
+  alt: Boolean,
+  meta: Boolean,
+  trusted: Boolean // event.isTrusted
+});
+
+const touchEventSchema = new mongoose.Schema({
+  ph: String, // phase: start, move, end or cancel
+  t: Number,
+  x: Number, // first touch point (clientX/Y)
+  y: Number,
+  n: Number, // number of active touches
+  rx: Number, // radiusX
+  ry: Number, // radiusY
+  f: Number // force (0-1)
+});
+
+const pointerEventSchema = new mongoose.Schema({
+  ph: String, // phase: down, move, up or cancel
+  t: Number,
+  x: Number,
+  y: Number,
+  ptr: String, // pointerType
+  pr: Number, // pressure
+  w: Number, // contact width
+  h: Number, // contact height
+  tx: Number, // tiltX
+  ty: Number, // tiltY
+  primary: Boolean
+});
+
+// devicemotion sample; acceleration includes gravity, rotation rate is in deg/s
+const motionEventSchema = new mongoose.Schema({
+  t: Number,
+  ax: Number,
+  ay: Number,
+  az: Number,
+  ra: Number, // rotationRate.alpha
+  rb: Number, // rotationRate.beta
+  rg: Number, // rotationRate.gamma
+  iv: Number // sampling interval (ms)
+});
+
+// deviceorientation sample, in degrees
+const orientationEventSchema = new mongoose.Schema({
+  t: Number,
+  a: Number, // alpha
+  b: Number, // beta
+  g: Number, // gamma
+  abs: Boolean // absolute orientation
+});
+
+// Interaction with an invisible honeypot link or field injected by the collector
+const honeypotEventSchema = new mongoose.Schema({
+  kind: String, // link or field
+  action: String, // click, focus, input or filled
   t: Number
 });
 
@@ -28,9 +112,17 @@ const pageViewSchema = new mongoose.Schema({
   url: String,
   title: String,
   ref: String,
-  t: Number
+  t: Number,
+  type: String, // e.g. spa_pushstate, page_exit, tab_return
+  loadTime: Number
 });
 
+const connectionSchema = new mongoose.Schema({
+  effectiveType: String,
+  downlink: Number,
+  rtt: Number
+}, { _id: false });
+
 const fingerprintSchema = new mongoose.Schema({
   ua: String,
   lang: String,
@@ -39,37 +131,144 @@ const fingerprintSchema = new mongoose.Schema({
   scrh: Number,
   color: Number,
   tz: String,
-  maxTouch: Number
+  maxTouch: Number,
+  cookies: Boolean,
+  java: Boolean,
+  pdf: Boolean,
+  doNotTrack: String,
+  connection: connectionSchema,
+  deviceMemory: { type: Number, set: numberOrNull },
+  hardwareConcurrency: { type: Number, set: numberOrNull },
+  // Headless / automation tells
+  webdriver: Boolean,
+  plugins: Number,
+  mimeTypes: Number,
+  glVendor: String,
+  glRenderer: String,
+  chrome: Boolean, // window.chrome present
+  notifPerm: String, // Notification.permission
+  permState: String // Permissions API state for 'notifications'
 });
 
+const consistencyFlagSchema = new mongoose.Schema({
+  rule: String,
+  severity: String,
+  detail: String
+}, { _id: false });
+
+// Server-side view of the request that delivered the batch (see services/requestMeta)
+const requestMetaSchema = new mongoose.Schema({
+  // Where ip_address came from: socket, x-forwarded-for or the CLIENT_IP_HEADER name
+  client_ip_source: String,
+  // X-Forwarded-For entries as received, then the connecting peer
+  forwarded_for: [String],
+  real_ip: String, // X-Real-IP
+  forwarded_proto: String, // X-Forwarded-Proto
+  accept_language: String,
+  // Sec-CH-UA* client hints keyed by lowercased header name
+  client_hints: {
+    type: Map,
+    of: String
+  },
+  http_version: String, // e.g. 1.1 or 2.0
+  // Only present when TLS terminates at this server
+  tls: {
+    protocol: String,
+    cipher: String,
+    alpn: String
+  },
+  header_order: [String] // lowercased header names in the order sent
+}, { _id: false });
+
 const behaviorDataSchema = new mongoose.Schema({
   session_id: {
     type: String,
     required: true,
     index: true
   },
+  // site_key of the Site the batch was collected on
+  site: {
+    type: String,
+    index: true
+  },
   session_start: {
     type: Number,
     required: true
   },
+  // Client-generated batch identifier; retries reuse it so they are stored once
+  batch_id: String,
+  // Per-session batch sequence number assigned by the collector
+  seq: Number,
   mouse_events: [mouseEventSchema],
   click_events: [clickEventSchema],
   scroll_events: [scrollEventSchema],
   key_events: [keyEventSchema],
+  touch_events: [touchEventSchema],
+  pointer_events: [pointerEventSchema],
+  motion_events: [motionEventSchema],
+  orientation_events: [orientationEventSchema],
+  honeypot_events: [honeypotEventSchema],
   fingerprint: fingerprintSchema,
+  // Server-computed hash of the stable fingerprint fields (see services/fingerprint)
+  fingerprint_hash: {
+    type: String,
+    index: true
+  },
+  // Fingerprint contradictions found by services/consistencyRules
+  consistency_flags: [consistencyFlagSchema],
   page_views: [pageViewSchema],
+  current_url: String,
+  // Path of current_url, used for analytics breakdowns
+  page_path: String,
   collected_at: {
     type: Date,
     default: Date.now
   },
   ip_address: String,
-  user_agent: String
+  // Network prefix of ip_address (/24 or /48), used for analytics breakdowns
+  ip_prefix: String,
+  user_agent: String,
+  request_meta: requestMetaSchema,
+  // Reputation list matches of the sending IP and user agent (see services/reputation);
+  // unset on batches stored before reputation lists existed
+  reputation_tags: {
+    type: [String],
+    default: undefined
+  },
+  // When the retention policy removes this batch (TTL index); unset keeps it forever
+  expires_at: Date,
+  // Version of the document shape; documents stored before versioning have none (version 1)
+  schema_version: {
+    type: Number,
+    index: true
+  },
+  // Set by migrations on documents whose original payload lost fields when stored
+  partial_payload: Boolean
 }, {
   timestamps: true
 });
 
+// Stamp new documents only; a default would also apply to unversioned documents on read
+behaviorDataSchema.pre('validate', function (next) {
+  if (this.isNew && this.schema_version == null) {
+    this.schema_version = SCHEMA_VERSION;
+  }
+  next();
+});
+
 // Index for better query performance
 behaviorDataSchema.index({ session_id: 1, collected_at: -1 });
 behaviorDataSchema.index({ 'collected_at': -1 });
+behaviorDataSchema.index({ site: 1, collected_at: -1 });
+behaviorDataSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+// Session ids are only unique per site; replaces the session_id_1_batch_id_1 index
+// (dropped by npm run migrate)
+behaviorDataSchema.index(
+  { site: 1, session_id: 1, batch_id: 1 },
+  { unique: true, partialFilterExpression: { batch_id: { $type: 'string' } } }
+);
+
+const BehaviorData = mongoose.model('BehaviorData', behaviorDataSchema);
+BehaviorData.SCHEMA_VERSION = SCHEMA_VERSION;
 
-module.exports = mongoose.model('BehaviorData', behaviorDataSchema);
\ No newline at end of file
+module.exports = BehaviorData;
\ No newline at end of file
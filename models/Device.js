@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// A device profile (server-side fingerprint hash) seen on a site, with rolled-up counts
+// of the distinct sessions, IPs and user agents linked to it (see DeviceLink)
+const deviceSchema = new mongoose.Schema({
+  site: String,
+  fingerprint_hash: {
+    type: String,
+    required: true
+  },
+  // Most recent fingerprint reported for this hash
+  fingerprint: mongoose.Schema.Types.Mixed,
+  first_seen: Date,
+  last_seen: Date,
+  batch_count: {
+    type: Number,
+    default: 0
+  },
+  session_count: {
+    type: Number,
+    default: 0
+  },
+  ip_count: {
+    type: Number,
+    default: 0
+  },
+  user_agent_count: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+deviceSchema.index({ site: 1, fingerprint_hash: 1 }, { unique: true });
+deviceSchema.index({ site: 1, session_count: -1 });
+deviceSchema.index({ site: 1, ip_count: -1 });
+
+module.exports = mongoose.model('Device', deviceSchema);
@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+const LINK_TYPES = ['session', 'ip', 'user_agent'];
+
+// One session, IP or user agent observed for a device fingerprint hash
+const deviceLinkSchema = new mongoose.Schema({
+  site: String,
+  fingerprint_hash: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    enum: LINK_TYPES,
+    required: true
+  },
+  value: {
+    type: String,
+    required: true
+  },
+  first_seen: Date,
+  last_seen: Date,
+  batch_count: {
+    type: Number,
+    default: 0
+  },
+  // expires_at of the latest batch linked (retention, see services/privacy); unset keeps it
+  expires_at: Date
+});
+
+deviceLinkSchema.index({ site: 1, fingerprint_hash: 1, type: 1, value: 1 }, { unique: true });
+deviceLinkSchema.index({ site: 1, fingerprint_hash: 1, type: 1, last_seen: -1 });
+deviceLinkSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+const DeviceLink = mongoose.model('DeviceLink', deviceLinkSchema);
+DeviceLink.LINK_TYPES = LINK_TYPES;
+
+module.exports = DeviceLink;
@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+// Escalating block for a rate-limit key that keeps exceeding its limit
+const rateLimitBlockSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Number of violations since the key was last forgiven; selects the block duration
+  level: {
+    type: Number,
+    default: 0
+  },
+  blocked_until: Date,
+  // Strikes are forgotten (and the document removed) after this time
+  expires_at: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+rateLimitBlockSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RateLimitBlock', rateLimitBlockSchema);
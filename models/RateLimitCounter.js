@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+// Fixed-window hit counter shared by every instance of the API
+const rateLimitCounterSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  hits: {
+    type: Number,
+    default: 0
+  },
+  reset_at: {
+    type: Date,
+    required: true
+  }
+});
+
+// MongoDB removes counters once their window has passed
+rateLimitCounterSchema.index({ reset_at: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RateLimitCounter', rateLimitCounterSchema);
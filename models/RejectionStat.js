@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// Daily count of rejected ingestion requests per site and reason
+const rejectionStatSchema = new mongoose.Schema({
+  day: {
+    type: String, // YYYY-MM-DD (UTC)
+    required: true
+  },
+  reason: {
+    type: String,
+    required: true
+  },
+  // site_key the request was sent for; null when it named no known site
+  site: {
+    type: String,
+    default: null
+  },
+  count: {
+    type: Number,
+    default: 0
+  },
+  last_rejected_at: Date
+}, {
+  timestamps: true
+});
+
+// Replaces the day_1_reason_1 index (dropped by npm run migrate)
+rejectionStatSchema.index({ day: 1, site: 1, reason: 1 }, { unique: true });
+
+module.exports = mongoose.model('RejectionStat', rejectionStatSchema);
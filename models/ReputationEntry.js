@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+// datacenter: hosting and cloud ranges; crawler: verified search engine and monitoring
+// bots; deny: traffic we never want; allow: internal traffic exempt from the deny list
+const LISTS = ['datacenter', 'crawler', 'deny', 'allow'];
+
+// ip: a CIDR block (a bare address is a /32 or /128); user_agent: a case-insensitive
+// pattern matched anywhere in the User-Agent header, with '*' as a wildcard
+const KINDS = ['ip', 'user_agent'];
+
+// One entry of a reputation list (see services/reputation). Entries without a site
+// apply to every site.
+const reputationEntrySchema = new mongoose.Schema({
+  list: {
+    type: String,
+    enum: LISTS,
+    required: true
+  },
+  kind: {
+    type: String,
+    enum: KINDS,
+    required: true
+  },
+  // Canonical CIDR block, or user-agent pattern ('*' matches any run of characters)
+  value: {
+    type: String,
+    required: true
+  },
+  site: {
+    type: String,
+    default: null
+  },
+  note: String,
+  // Where the entry came from: 'admin', or the name given to an import (e.g. 'aws-ranges')
+  source: {
+    type: String,
+    default: 'admin'
+  },
+  created_by: String
+}, {
+  timestamps: true
+});
+
+reputationEntrySchema.index({ list: 1, kind: 1, value: 1, site: 1 }, { unique: true });
+reputationEntrySchema.index({ source: 1 });
+
+const ReputationEntry = mongoose.model('ReputationEntry', reputationEntrySchema);
+ReputationEntry.LISTS = LISTS;
+ReputationEntry.KINDS = KINDS;
+
+module.exports = ReputationEntry;
@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+
+// How far rollups have been built for each unit/breakdown pair
+const rollupStateSchema = new mongoose.Schema({
+  unit: {
+    type: String,
+    required: true
+  },
+  breakdown: {
+    type: String,
+    required: true
+  },
+  rolled_up_to: Date
+}, {
+  timestamps: true
+});
+
+rollupStateSchema.index({ unit: 1, breakdown: 1 }, { unique: true });
+
+module.exports = mongoose.model('RollupState', rollupStateSchema);
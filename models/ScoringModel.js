@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+const MODEL_TYPES = ['logistic_regression', 'gradient_boosted_trees'];
+
+// inactive: stored only; active: produces Session.bot_score; shadow: scores alongside
+// the active model into Session.shadow_score. At most one model is active and one shadow.
+const MODEL_STATUSES = ['inactive', 'active', 'shadow'];
+
+// A trained model uploaded to the registry (see services/modelRuntime for the format)
+const scoringModelSchema = new mongoose.Schema({
+  version: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  type: {
+    type: String,
+    enum: MODEL_TYPES,
+    required: true
+  },
+  description: String,
+  // Serialized model, validated by validation/modelPayload
+  definition: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: MODEL_STATUSES,
+    default: 'inactive'
+  },
+  // Offline evaluation results supplied by the trainer, stored as-is
+  metrics: mongoose.Schema.Types.Mixed,
+  created_by: String,
+  activated_at: Date
+}, {
+  timestamps: true
+});
+
+scoringModelSchema.index({ status: 1 });
+
+const ScoringModel = mongoose.model('ScoringModel', scoringModelSchema);
+ScoringModel.MODEL_TYPES = MODEL_TYPES;
+ScoringModel.MODEL_STATUSES = MODEL_STATUSES;
+
+module.exports = ScoringModel;
@@ -0,0 +1,127 @@
+const mongoose = require('mongoose');
+
+// Per-session watermarks used to deduplicate overlapping batches from older collectors
+const watermarkSchema = new mongoose.Schema({
+  mouse_events: Number,
+  click_events: Number,
+  scroll_events: Number,
+  key_events: Number,
+  page_views: Number,
+  touch_events: Number,
+  pointer_events: Number,
+  motion_events: Number,
+  orientation_events: Number
+}, { _id: false });
+
+// Also used for shadow_score, written by a candidate model running in shadow mode
+const botScoreSchema = new mongoose.Schema({
+  bot_probability: Number,
+  is_bot: Boolean,
+  // Registry version of the model that produced the score, or 'heuristic'
+  model_version: String,
+  scored_at: Date
+}, { _id: false });
+
+// Current ground-truth label; every change is also recorded in SessionLabel
+const labelSchema = new mongoose.Schema({
+  label: String,
+  source: String,
+  confidence: Number,
+  annotator: String,
+  labeled_at: Date
+}, { _id: false });
+
+// Rolled-up view of a session, upserted on every ingested batch (see services/sessions)
+const sessionSchema = new mongoose.Schema({
+  // Chosen by the collector, so only unique together with the site
+  session_id: {
+    type: String,
+    required: true
+  },
+  site: String,
+  // Earliest page load reported for the session (client clock)
+  session_start: Number,
+  // Server time of the first and latest stored batch
+  first_seen: Date,
+  last_seen: Date,
+  // Client timestamps of the earliest and latest event
+  first_event_at: Number,
+  last_event_at: Number,
+  duration_ms: {
+    type: Number,
+    default: 0
+  },
+  batch_count: {
+    type: Number,
+    default: 0
+  },
+  mouse_events_count: {
+    type: Number,
+    default: 0
+  },
+  click_events_count: {
+    type: Number,
+    default: 0
+  },
+  scroll_events_count: {
+    type: Number,
+    default: 0
+  },
+  key_events_count: {
+    type: Number,
+    default: 0
+  },
+  page_views_count: {
+    type: Number,
+    default: 0
+  },
+  touch_events_count: {
+    type: Number,
+    default: 0
+  },
+  pointer_events_count: {
+    type: Number,
+    default: 0
+  },
+  motion_events_count: {
+    type: Number,
+    default: 0
+  },
+  orientation_events_count: {
+    type: Number,
+    default: 0
+  },
+  honeypot_events_count: {
+    type: Number,
+    default: 0
+  },
+  page_paths: [String],
+  ip_addresses: [String],
+  user_agents: [String],
+  // Latest fingerprint reported by the collector
+  fingerprint: mongoose.Schema.Types.Mixed,
+  fingerprint_hash: String,
+  consistency_flags: [mongoose.Schema.Types.Mixed],
+  // Reputation list matches of any batch (see services/reputation), e.g. datacenter_ip
+  reputation_tags: [String],
+  bot_score: botScoreSchema,
+  shadow_score: botScoreSchema,
+  label: labelSchema,
+  // Ingestion state
+  last_seq: Number,
+  watermarks: watermarkSchema
+}, {
+  timestamps: true
+});
+
+sessionSchema.index({ site: 1, session_id: 1 }, { unique: true });
+sessionSchema.index({ session_id: 1 });
+sessionSchema.index({ site: 1, last_seen: -1 });
+sessionSchema.index({ last_seen: -1 });
+sessionSchema.index({ site: 1, 'bot_score.bot_probability': -1 });
+sessionSchema.index({ fingerprint_hash: 1 });
+sessionSchema.index({ site: 1, reputation_tags: 1, last_seen: -1 });
+sessionSchema.index({ site: 1, 'label.label': 1, last_seen: -1 });
+sessionSchema.index({ 'shadow_score.model_version': 1 }, { sparse: true });
+
+module.exports = mongoose.model('Session', sessionSchema);
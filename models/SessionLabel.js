@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+const LABELS = ['human', 'bot'];
+const LABEL_SOURCES = ['manual', 'captcha', 'honeypot', 'known_crawler'];
+const ACTIONS = ['label', 'clear'];
+
+// Append-only history of ground-truth labels; Session.label holds the current one
+const sessionLabelSchema = new mongoose.Schema({
+  session_id: {
+    type: String,
+    required: true
+  },
+  site: String,
+  action: {
+    type: String,
+    enum: ACTIONS,
+    required: true
+  },
+  label: {
+    type: String,
+    enum: LABELS
+  },
+  source: {
+    type: String,
+    enum: LABEL_SOURCES
+  },
+  confidence: {
+    type: Number,
+    min: 0,
+    max: 1
+  },
+  annotator: String,
+  note: String,
+  // Label the session had before this change (null when it was unlabeled)
+  previous: mongoose.Schema.Types.Mixed,
+  // Set when the change came from a bulk request; shared by every entry of that request
+  bulk_id: String,
+  api_key_id: mongoose.Schema.Types.ObjectId,
+  api_key_name: String
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+sessionLabelSchema.index({ session_id: 1, createdAt: -1 });
+sessionLabelSchema.index({ bulk_id: 1 }, { sparse: true });
+
+const SessionLabel = mongoose.model('SessionLabel', sessionLabelSchema);
+SessionLabel.LABELS = LABELS;
+SessionLabel.LABEL_SOURCES = LABEL_SOURCES;
+
+module.exports = SessionLabel;
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+// HMAC key for verdict tokens. The newest unretired key signs; retired keys keep
+// verifying until tokens signed with them have expired.
+const signingKeySchema = new mongoose.Schema({
+  kid: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  secret: {
+    type: String,
+    required: true
+  },
+  retired_at: {
+    type: Date,
+    default: null
+  },
+  created_by: String
+}, {
+  timestamps: true
+});
+
+signingKeySchema.methods.toPublicJSON = function () {
+  return {
+    kid: this.kid,
+    retired_at: this.retired_at,
+    created_by: this.created_by,
+    createdAt: this.createdAt
+  };
+};
+
+module.exports = mongoose.model('SigningKey', signingKeySchema);
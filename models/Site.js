@@ -0,0 +1,109 @@
+const mongoose = require('mongoose');
+
+// Event collectors botDetect.js can run; honeypots are off unless listed
+const COLLECTORS = [
+  'mouse', 'click', 'scroll', 'key', 'touch', 'pointer', 'motion', 'orientation', 'page_views', 'honeypot'
+];
+
+// 'strict' stops the collector from sending element text, key codes, page titles,
+// referrers and URL query strings
+const PRIVACY_MODES = ['standard', 'strict'];
+
+// How ingest stores client IP addresses: as received, with the host part zeroed,
+// or as a keyed hash (requires IP_HASH_KEY)
+const IP_HANDLING = ['raw', 'truncate', 'hash'];
+
+// Privacy rules applied to the site's batches at ingest. Unset fields fall back to
+// the server-wide defaults (see services/privacy).
+const privacySchema = new mongoose.Schema({
+  ip_handling: {
+    type: String,
+    enum: IP_HANDLING
+  },
+  // Days raw event batches are kept; 0 keeps them forever. Session summaries are always kept.
+  retention_days: Number,
+  redact_click_text: Boolean, // drop the text of clicked elements
+  strip_query_strings: Boolean // drop query strings and fragments from page and referrer URLs
+}, { _id: false });
+
+// Collector options served by GET /api/config/:site_key. Every field is optional;
+// unset fields leave the script's own (or build-time) defaults in place.
+const collectorConfigSchema = new mongoose.Schema({
+  collectors: {
+    type: [{ type: String, enum: COLLECTORS }],
+    default: undefined
+  },
+  // Share of sessions that collect at all (0-1), decided once per session
+  sample_rate: Number,
+  batch_interval: Number, // ms between batches
+  verdict_interval: Number, // ms between verdict polls
+  max_events: Number, // buffered events per type before the oldest are dropped
+  // Minimum ms between recorded events per throttled collector
+  throttle: {
+    mouse: Number,
+    touch: Number,
+    pointer: Number,
+    motion: Number,
+    orientation: Number
+  },
+  privacy_mode: {
+    type: String,
+    enum: PRIVACY_MODES
+  },
+  require_consent: Boolean, // collect nothing until the page calls BotDetector.setConsent(true)
+  respect_dnt: Boolean, // collect nothing when Do Not Track or Global Privacy Control is on
+  // Same-origin path prefixes (e.g. /login) whose forms and fetches carry the verdict token
+  token_paths: {
+    type: [String],
+    default: undefined
+  },
+  // API base URL the collector sends to, e.g. https://bots.example.com/api
+  endpoint: String
+}, { _id: false });
+
+// A website the collector is embedded on. The site key is public: it ships in the
+// collector script tag and tags every batch with the site it came from.
+const siteSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  site_key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Exact origins (e.g. https://www.example.com) allowed to send data; '*' allows any
+  allowed_origins: {
+    type: [String],
+    default: []
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  // Reject ingestion from deny-listed IPs and user agents; unset follows BLOCK_DENY_LISTED
+  block_deny_listed: Boolean,
+  collector_config: {
+    type: collectorConfigSchema,
+    default: undefined
+  },
+  privacy: {
+    type: privacySchema,
+    default: undefined
+  }
+}, {
+  timestamps: true
+});
+
+siteSchema.methods.allowsOrigin = function (origin) {
+  return this.allowed_origins.includes('*') || this.allowed_origins.includes(origin);
+};
+
+const Site = mongoose.model('Site', siteSchema);
+Site.COLLECTORS = COLLECTORS;
+Site.PRIVACY_MODES = PRIVACY_MODES;
+Site.IP_HANDLING = IP_HANDLING;
+
+module.exports = Site;
@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// Pre-aggregated traffic for one closed hour or day bucket, per site and breakdown value.
+// Written with $merge by services/analytics.
+const statsRollupSchema = new mongoose.Schema({
+  unit: {
+    type: String,
+    enum: ['hour', 'day'],
+    required: true
+  },
+  breakdown: {
+    type: String,
+    required: true
+  },
+  bucket: {
+    type: Date,
+    required: true
+  },
+  site: String,
+  key: String,
+  sessions: Number,
+  batches: Number,
+  mouse_events: Number,
+  click_events: Number,
+  scroll_events: Number,
+  key_events: Number,
+  page_views: Number,
+  touch_events: Number,
+  pointer_events: Number,
+  motion_events: Number,
+  orientation_events: Number,
+  bot_sessions: Number,
+  human_sessions: Number,
+  refreshed_at: Date
+}, {
+  collection: 'statsrollups'
+});
+
+// Required by $merge to match existing rollups
+statsRollupSchema.index({ unit: 1, breakdown: 1, bucket: 1, site: 1, key: 1 }, { unique: true });
+
+module.exports = mongoose.model('StatsRollup', statsRollupSchema);
@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+
+// Verdict token ids already accepted by /api/verify, kept until the token expires
+const usedTokenSchema = new mongoose.Schema({
+  jti: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  session_id: String,
+  site: String,
+  expires_at: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+usedTokenSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('UsedToken', usedTokenSchema);
@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+
+// Detection events a webhook can subscribe to (see services/alerts). 'test' events
+// are sent on request and reach every webhook.
+const EVENTS = ['score_threshold', 'fingerprint_burst', 'ingest_spike', 'rate_limit_abuse'];
+
+// When each event fires for this webhook
+const thresholdsSchema = new mongoose.Schema({
+  // A session's bot probability reaches this value
+  score: {
+    type: Number,
+    default: 0.8
+  },
+  // New sessions sharing one fingerprint hash within an hour
+  fingerprint_sessions_per_hour: {
+    type: Number,
+    default: 20
+  },
+  // Batches in the last 10 minutes exceed this multiple of the site's 24h average...
+  spike_factor: {
+    type: Number,
+    default: 3
+  },
+  // ...and this absolute count, so quiet sites do not alert on a handful of visits
+  spike_min_batches: {
+    type: Number,
+    default: 100
+  },
+  // An IP's escalation level on a rate limiter (1 = first block)
+  rate_limit_strikes: {
+    type: Number,
+    default: 3
+  }
+}, { _id: false });
+
+// HTTPS endpoint notified about detection events on one site. Payloads are signed
+// with the webhook's secret (HMAC-SHA256, see services/webhooks).
+const webhookSchema = new mongoose.Schema({
+  site: {
+    type: String,
+    required: true,
+    index: true
+  },
+  url: {
+    type: String,
+    required: true
+  },
+  secret: {
+    type: String,
+    required: true
+  },
+  events: {
+    type: [{ type: String, enum: EVENTS }],
+    default: EVENTS
+  },
+  thresholds: {
+    type: thresholdsSchema,
+    default: () => ({})
+  },
+  description: String,
+  active: {
+    type: Boolean,
+    default: true
+  },
+  created_by: String
+}, {
+  timestamps: true
+});
+
+webhookSchema.methods.toPublicJSON = function () {
+  return {
+    id: this._id,
+    site: this.site,
+    url: this.url,
+    events: this.events,
+    thresholds: this.thresholds,
+    description: this.description,
+    active: this.active,
+    created_by: this.created_by,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt
+  };
+};
+
+const Webhook = mongoose.model('Webhook', webhookSchema);
+Webhook.EVENTS = EVENTS;
+
+module.exports = Webhook;
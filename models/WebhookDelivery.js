@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+// pending: waiting for its next attempt; delivering: claimed by a worker;
+// delivered: answered with a 2xx; failed: out of attempts (or the webhook is gone)
+const STATUSES = ['pending', 'delivering', 'delivered', 'failed'];
+
+const attemptSchema = new mongoose.Schema({
+  attempted_at: Date,
+  status_code: Number, // null when no response arrived
+  error: String,
+  duration_ms: Number
+}, { _id: false });
+
+// One event for one webhook. Doubles as the persistent delivery queue and as the
+// delivery log; documents are removed once expires_at passes.
+const webhookDeliverySchema = new mongoose.Schema({
+  webhook: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Webhook',
+    required: true
+  },
+  site: String,
+  event: {
+    type: String,
+    required: true
+  },
+  // Identifies the occurrence (e.g. one session crossing the threshold) so it is only sent once
+  dedupe_key: String,
+  // Set for session events so erasure requests can remove them
+  session_id: String,
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: STATUSES,
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  next_attempt_at: {
+    type: Date,
+    default: Date.now
+  },
+  // A worker holds a claimed delivery until then; afterwards it may be claimed again
+  locked_until: Date,
+  delivered_at: Date,
+  last_status_code: Number,
+  last_error: String,
+  attempt_log: [attemptSchema],
+  expires_at: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+webhookDeliverySchema.index({ status: 1, next_attempt_at: 1 });
+webhookDeliverySchema.index({ webhook: 1, createdAt: -1 });
+webhookDeliverySchema.index({ session_id: 1 }, { sparse: true });
+webhookDeliverySchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+webhookDeliverySchema.index(
+  { webhook: 1, dedupe_key: 1 },
+  { unique: true, partialFilterExpression: { dedupe_key: { $type: 'string' } } }
+);
+
+const WebhookDelivery = mongoose.model('WebhookDelivery', webhookDeliverySchema);
+WebhookDelivery.STATUSES = STATUSES;
+
+module.exports = WebhookDelivery;
@@ -0,0 +1,78 @@
+const express = require('express');
+const router = express.Router();
+const {
+  createKey,
+  listKeys,
+  revokeKey
+} = require('../controllers/apiKeyController');
+const {
+  createSite,
+  listSites,
+  updateSite
+} = require('../controllers/siteController');
+const {
+  uploadModel,
+  listModels,
+  getModel,
+  updateModelStatus,
+  getModelComparison
+} = require('../controllers/modelController');
+const {
+  rotateVerdictKey,
+  listVerdictKeys
+} = require('../controllers/signingKeyController');
+const {
+  createWebhook,
+  listWebhooks,
+  updateWebhook,
+  deleteWebhook,
+  testWebhook,
+  listDeliveries
+} = require('../controllers/webhookController');
+const {
+  listEntries,
+  addEntries,
+  deleteEntry,
+  checkEntry
+} = require('../controllers/reputationController');
+const { requireApiKey } = require('../middleware/auth');
+
+// Every admin route requires an admin API key
+router.use(requireApiKey('admin'));
+
+// API key management
+router.post('/keys', createKey);
+router.get('/keys', listKeys);
+router.delete('/keys/:id', revokeKey);
+
+// Site registry
+router.post('/sites', createSite);
+router.get('/sites', listSites);
+router.patch('/sites/:site_key', updateSite);
+
+// Model registry
+router.post('/models', uploadModel);
+router.get('/models', listModels);
+router.get('/models/:version', getModel);
+router.patch('/models/:version', updateModelStatus);
+router.get('/models/:version/comparison', getModelComparison);
+
+// Verdict token signing keys
+router.post('/signing-keys/rotate', rotateVerdictKey);
+router.get('/signing-keys', listVerdictKeys);
+
+// Detection webhooks
+router.post('/webhooks', createWebhook);
+router.get('/webhooks', listWebhooks);
+router.patch('/webhooks/:id', updateWebhook);
+router.delete('/webhooks/:id', deleteWebhook);
+router.post('/webhooks/:id/test', testWebhook);
+router.get('/webhooks/:id/deliveries', listDeliveries);
+
+// IP and user-agent reputation lists
+router.get('/reputation', listEntries);
+router.post('/reputation', addEntries);
+router.get('/reputation/check', checkEntry);
+router.delete('/reputation/:id', deleteEntry);
+
+module.exports = router;
@@ -5,16 +5,77 @@ const {
   getBehaviorData,
   getBehaviorDataById,
   getSessions,
-  getStats
+  getStats,
+  getTimeseries,
+  getRejections
 } = require('../controllers/behaviorController');
+const { getScore, rescoreSession } = require('../controllers/scoreController');
+const { getDevices, getDevice } = require('../controllers/deviceController');
+const { exportData } = require('../controllers/exportController');
+const { setLabel, clearLabel, bulkLabel, getLabels } = require('../controllers/labelController');
+const { getVerdict, verify } = require('../controllers/verdictController');
+const { getCollectorConfig } = require('../controllers/collectorController');
+const { deleteSession } = require('../controllers/privacyController');
+const { getTimeline } = require('../controllers/replayController');
+const { validateBehavior } = require('../middleware/validateBehavior');
+const { requireApiKey } = require('../middleware/auth');
+const { resolveIngestSite, resolveReadSite } = require('../middleware/site');
+const { checkIngestReputation } = require('../middleware/reputation');
+const { collectBehaviorLimiter, verdictLimiter, configLimiter, apiLimiter } = require('../middleware/security');
+
+// The browser collector cannot keep a secret, so ingest keys are only enforced
+// when INGEST_REQUIRE_API_KEY=true (e.g. for server-side collectors)
+const ingestAuth = process.env.INGEST_REQUIRE_API_KEY === 'true' ? [requireApiKey('ingest')] : [];
 
 // POST route for collecting behavioral data
-router.post('/collect-behavior', collectBehavior);
+router.post(
+  '/collect-behavior',
+  collectBehaviorLimiter,
+  ...ingestAuth,
+  validateBehavior,
+  resolveIngestSite,
+  checkIngestReputation,
+  collectBehavior
+);
+
+// GET route the collector polls for its own session's verdict (site_key, no API key)
+router.get('/verdict/:session_id', verdictLimiter, resolveIngestSite, getVerdict);
+
+// GET route the collector loads its site's remote config from (site_key, no API key)
+router.get('/config/:site_key', configLimiter, resolveIngestSite, getCollectorConfig);
+
+// POST route for customer backends to check a verdict token (requires a 'verify' API key)
+router.post('/verify', apiLimiter, requireApiKey('verify'), verify);
+
+// GET routes for retrieving data (require a 'read' API key, scoped to the key's site)
+const requireRead = [apiLimiter, requireApiKey('read'), resolveReadSite];
+router.get('/behavior-data', requireRead, getBehaviorData);
+router.get('/behavior-data/:id', requireRead, getBehaviorDataById);
+router.get('/sessions', requireRead, getSessions);
+router.get('/sessions/:session_id/labels', requireRead, getLabels);
+router.get('/sessions/:session_id/timeline', requireRead, getTimeline);
+router.get('/stats', requireRead, getStats);
+router.get('/stats/timeseries', requireRead, getTimeseries);
+router.get('/stats/rejections', requireRead, getRejections);
+
+// Ground-truth labeling (requires a 'label' API key)
+const requireLabel = [apiLimiter, requireApiKey('label'), resolveReadSite];
+router.post('/sessions/label', requireLabel, bulkLabel);
+router.post('/sessions/:session_id/label', requireLabel, setLabel);
+router.delete('/sessions/:session_id/label', requireLabel, clearLabel);
+
+// DELETE route for data-subject erasure requests (requires an 'admin' API key)
+router.delete('/sessions/:session_id', apiLimiter, requireApiKey('admin'), resolveReadSite, deleteSession);
+
+// Real-time bot scoring: GET only computes the score, POST also stores it on the session
+router.get('/score/:session_id', requireRead, getScore);
+router.post('/score/:session_id', requireRead, rescoreSession);
+
+// GET routes for cross-session device linking
+router.get('/devices', requireRead, getDevices);
+router.get('/devices/:hash', requireRead, getDevice);
 
-// GET routes for retrieving data
-router.get('/behavior-data', getBehaviorData);
-router.get('/behavior-data/:id', getBehaviorDataById);
-router.get('/sessions', getSessions);
-router.get('/stats', getStats);
+// GET route for streaming training-data exports
+router.get('/export', requireRead, exportData);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,9 @@
+const express = require('express');
+const router = express.Router();
+const { serveCollector } = require('../controllers/collectorController');
+
+// GET routes for the hosted collector script (public)
+router.get('/collector.js', serveCollector);
+router.get('/collector/:version.js', serveCollector);
+
+module.exports = router;
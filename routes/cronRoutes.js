@@ -0,0 +1,9 @@
+const express = require('express');
+const router = express.Router();
+const { runWebhookQueue } = require('../controllers/webhookController');
+const { requireCronSecret } = require('../middleware/cron');
+
+// GET route Vercel Cron calls to send due webhook retries (see vercel.json)
+router.get('/webhooks', requireCronSecret, runWebhookQueue);
+
+module.exports = router;
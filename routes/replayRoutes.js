@@ -0,0 +1,9 @@
+const express = require('express');
+const router = express.Router();
+const { serveReplayViewer } = require('../controllers/replayController');
+const { apiLimiter } = require('../middleware/security');
+
+// GET route for the session replay viewer (the page itself is public; its data needs a 'read' API key)
+router.get('/replay', apiLimiter, serveReplayViewer);
+
+module.exports = router;
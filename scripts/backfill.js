@@ -0,0 +1,143 @@
+// Rebuild derived collections from stored BehaviorData
+// Usage: node scripts/backfill.js <sessions|devices|rollups|retention> [--force]
+require('dotenv').config();
+const mongoose = require('mongoose');
+
+const connectDB = require('../config/database');
+const BehaviorData = require('../models/BehaviorData');
+const Device = require('../models/Device');
+const DeviceLink = require('../models/DeviceLink');
+const Session = require('../models/Session');
+const StatsRollup = require('../models/StatsRollup');
+const RollupState = require('../models/RollupState');
+const Site = require('../models/Site');
+const { fingerprintHash } = require('../services/fingerprint');
+const { recordDeviceActivity } = require('../services/devices');
+const { recordSessionBatch } = require('../services/sessions');
+const { refreshRollups, BREAKDOWNS, ROLLUP_UNITS } = require('../services/analytics');
+const { resolvePrivacy } = require('../services/privacy');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Replay every batch in collection order through `handler`
+const replayBatches = async (name, fields, handler) => {
+  let processed = 0;
+  const cursor = BehaviorData.find({})
+    .sort({ collected_at: 1 })
+    .select(fields)
+    .lean()
+    .cursor();
+
+  for await (const batch of cursor) {
+    await handler(batch);
+    processed++;
+    if (processed % 10000 === 0) {
+      console.log(`${name}: ${processed} batches processed`);
+    }
+  }
+
+  return processed;
+};
+
+// Existing documents are cleared first so each target can be rerun safely
+const TARGETS = {
+  // Stored bot scores and labels are kept; rescore sessions through POST /api/score afterwards if needed.
+  // Summaries of sessions whose raw batches have expired cannot be rebuilt, so this refuses to
+  // run under a retention policy unless --force is given.
+  sessions: async () => {
+    if (!process.argv.includes('--force') && await BehaviorData.exists({ expires_at: { $exists: true } })) {
+      throw new Error('Raw batches expire under a retention policy; rebuilding would lose ' +
+        'the sessions whose batches have expired (use --force)');
+    }
+
+    const scores = await Session.find({ $or: [{ bot_score: { $exists: true } }, { label: { $exists: true } }] })
+      .select('-_id session_id site bot_score shadow_score label')
+      .lean();
+    await Session.deleteMany({});
+
+    const processed = await replayBatches(
+      'sessions',
+      '-_id -__v',
+      batch => recordSessionBatch({
+        ...batch,
+        fingerprint_hash: batch.fingerprint_hash || fingerprintHash(batch.fingerprint)
+      })
+    );
+
+    for (const { session_id, site, ...kept } of scores) {
+      await Session.updateOne({ site: site || null, session_id }, { $set: kept });
+    }
+
+    return processed;
+  },
+
+  devices: async () => {
+    await Promise.all([Device.deleteMany({}), DeviceLink.deleteMany({})]);
+
+    return replayBatches(
+      'devices',
+      'site session_id fingerprint fingerprint_hash ip_address user_agent collected_at',
+      batch => recordDeviceActivity({
+        ...batch,
+        fingerprint_hash: batch.fingerprint_hash || fingerprintHash(batch.fingerprint)
+      })
+    );
+  },
+
+  // Rollups are aggregated server-side, so this reports the batch count rather than replaying
+  rollups: async () => {
+    await Promise.all([StatsRollup.deleteMany({}), RollupState.deleteMany({})]);
+
+    for (const unit of ROLLUP_UNITS) {
+      for (const breakdown of Object.keys(BREAKDOWNS)) {
+        await refreshRollups(unit, breakdown, { force: true });
+        console.log(`rollups: ${unit}/${breakdown} rebuilt`);
+      }
+    }
+
+    return BehaviorData.estimatedDocumentCount();
+  },
+
+  // Re-date stored batches under each site's current retention period (the server default for
+  // batches of unregistered sites); the TTL index then removes any that are already past it
+  retention: async () => {
+    const sites = await Site.find({});
+    const redate = async (filter, { retention_days: days }) => {
+      const update = days > 0
+        ? [{ $set: { expires_at: { $add: [{ $ifNull: ['$createdAt', '$collected_at'] }, days * DAY_MS] } } }]
+        : { $unset: { expires_at: '' } };
+      const result = await BehaviorData.updateMany(filter, update);
+      return result.matchedCount;
+    };
+
+    let processed = 0;
+    for (const site of sites) {
+      processed += await redate({ site: site.site_key }, resolvePrivacy(site));
+      console.log(`retention: ${site.site_key} re-dated`);
+    }
+    processed += await redate({ site: { $nin: sites.map(site => site.site_key) } }, resolvePrivacy(null));
+
+    return processed;
+  }
+};
+
+const main = async () => {
+  const target = process.argv[2];
+
+  if (!TARGETS[target]) {
+    console.error(`Usage: node scripts/backfill.js <${Object.keys(TARGETS).join('|')}>`);
+    process.exit(1);
+  }
+
+  await connectDB();
+
+  const processed = await TARGETS[target]();
+  console.log(`${target}: backfilled from ${processed} batches`);
+
+  await mongoose.disconnect();
+};
+
+main().catch(error => {
+  console.error('Backfill failed:', error);
+  process.exit(1);
+});
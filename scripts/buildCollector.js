@@ -0,0 +1,55 @@
+// Build a self-hosted copy of the collector with options baked in as its defaults
+// Usage: node scripts/buildCollector.js [--endpoint <api base url>] [--site-key <key>]
+//        [--collectors mouse,click,...] [--sample-rate <0-1>] [--batch-interval <ms>]
+//        [--verdict-interval <ms>] [--max-events <n>] [--privacy-mode standard|strict]
+//        [--token-paths /login,/api/checkout] [--no-minify] [--out <file>]
+const fs = require('fs');
+const { buildCollector } = require('../services/collector');
+const { validateCollectorConfig } = require('../validation/collectorConfig');
+
+const getArg = (name) => {
+  const index = process.argv.indexOf(`--${name}`);
+  return index !== -1 ? process.argv[index + 1] : undefined;
+};
+
+const numberArg = (name) => (getArg(name) === undefined ? undefined : Number(getArg(name)));
+
+const main = async () => {
+  const config = {
+    endpoint: getArg('endpoint'),
+    collectors: getArg('collectors') === undefined ? undefined : getArg('collectors').split(',').filter(Boolean),
+    sample_rate: numberArg('sample-rate'),
+    batch_interval: numberArg('batch-interval'),
+    verdict_interval: numberArg('verdict-interval'),
+    max_events: numberArg('max-events'),
+    privacy_mode: getArg('privacy-mode'),
+    token_paths: getArg('token-paths') === undefined ? undefined : getArg('token-paths').split(',').filter(Boolean)
+  };
+  Object.keys(config).forEach(key => config[key] === undefined && delete config[key]);
+
+  const errors = validateCollectorConfig(config);
+  const siteKey = getArg('site-key');
+  if (siteKey !== undefined && !/^[A-Za-z0-9_-]{1,64}$/.test(siteKey)) {
+    errors.push({ field: 'site_key', message: 'has an invalid format' });
+  }
+  if (errors.length > 0) {
+    errors.forEach(error => console.error(`--${error.field.replace(/_/g, '-')} ${error.message}`));
+    process.exit(1);
+  }
+
+  const options = siteKey ? { ...config, site_key: siteKey } : config;
+  const { version, code } = await buildCollector(options, { minified: !process.argv.includes('--no-minify') });
+
+  const out = getArg('out');
+  if (out) {
+    fs.writeFileSync(out, code);
+    console.error(`Built collector v${version} to ${out}`);
+  } else {
+    process.stdout.write(code);
+  }
+};
+
+main().catch(error => {
+  console.error('Build failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,38 @@
+// Create an API key from the command line, e.g. to bootstrap the first admin key
+// Usage: node scripts/createApiKey.js --name <name> --roles admin[,read,ingest] [--site <site>]
+require('dotenv').config();
+const mongoose = require('mongoose');
+
+const connectDB = require('../config/database');
+const ApiKey = require('../models/ApiKey');
+const { createApiKey } = require('../services/apiKeys');
+
+const getArg = (name) => {
+  const index = process.argv.indexOf(`--${name}`);
+  return index !== -1 ? process.argv[index + 1] : undefined;
+};
+
+const main = async () => {
+  const name = getArg('name');
+  const roles = (getArg('roles') || '').split(',').filter(Boolean);
+  const site = getArg('site') || null;
+
+  if (!name || roles.length === 0 || roles.some(role => !ApiKey.ROLES.includes(role))) {
+    console.error(`Usage: node scripts/createApiKey.js --name <name> --roles <${ApiKey.ROLES.join('|')}>[,...] [--site <site>]`);
+    process.exit(1);
+  }
+
+  await connectDB();
+
+  const { apiKey, key } = await createApiKey({ name, roles, site, createdBy: 'cli' });
+  console.log(`Created API key "${apiKey.name}" (${apiKey.roles.join(', ')})${site ? ` for site ${site}` : ''}`);
+  console.log(`Key: ${key}`);
+  console.log('Store it now, it will not be shown again.');
+
+  await mongoose.disconnect();
+};
+
+main().catch(error => {
+  console.error('Failed to create API key:', error);
+  process.exit(1);
+});
@@ -0,0 +1,52 @@
+// Export training data from the command line
+// Usage: node scripts/export.js [--dataset sessions|events|features] [--format ndjson|csv|columnar]
+//        [--from <date>] [--to <date>] [--site <site>] [--label human|bot|unlabeled] [--out <file>]
+require('dotenv').config();
+const fs = require('fs');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const mongoose = require('mongoose');
+
+const connectDB = require('../config/database');
+const { createExport, parseExportOptions, DATASETS, FORMATS, LABELS } = require('../services/export');
+
+const getArg = (name) => {
+  const index = process.argv.indexOf(`--${name}`);
+  return index !== -1 ? process.argv[index + 1] : undefined;
+};
+
+const main = async () => {
+  const { options, error } = parseExportOptions({
+    dataset: getArg('dataset'),
+    format: getArg('format'),
+    from: getArg('from'),
+    to: getArg('to'),
+    site: getArg('site'),
+    label: getArg('label')
+  });
+
+  if (error) {
+    console.error(error);
+    console.error(`Usage: node scripts/export.js [--dataset ${DATASETS.join('|')}] [--format ${FORMATS.join('|')}] ` +
+      `[--from <date>] [--to <date>] [--site <site>] [--label ${LABELS.join('|')}] [--out <file>]`);
+    process.exit(1);
+  }
+
+  // Data goes to stdout unless --out is given, so keep log output (e.g. from connectDB) on stderr
+  console.log = console.error;
+
+  await connectDB();
+
+  const out = getArg('out');
+  await pipeline(Readable.from(createExport(options)), out ? fs.createWriteStream(out) : process.stdout);
+  if (out) {
+    console.error(`Exported ${options.dataset} as ${options.format} to ${out}`);
+  }
+
+  await mongoose.disconnect();
+};
+
+main().catch(error => {
+  console.error('Export failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,72 @@
+// Import a reputation list from a local file
+// Usage: node scripts/importReputation.js --list <datacenter|crawler|deny|allow> --kind <ip|user_agent>
+//        --file <path> [--source <name>] [--site <site_key>] [--replace]
+// Text files hold one CIDR block or user-agent pattern per line ('#' starts a comment line);
+// patterns match anywhere in the user agent, case-insensitively, with '*' as a wildcard.
+// JSON files hold an array of strings or of objects with value (or cidr, or pattern) and
+// an optional note. --replace removes entries from an earlier import of the same source
+// that the file no longer lists; source defaults to the file name.
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+
+const connectDB = require('../config/database');
+const ReputationEntry = require('../models/ReputationEntry');
+const { importEntries } = require('../services/reputation');
+
+const getArg = (name) => {
+  const index = process.argv.indexOf(`--${name}`);
+  return index !== -1 ? process.argv[index + 1] : undefined;
+};
+
+const readValues = (file) => {
+  const text = fs.readFileSync(file, 'utf8');
+
+  if (path.extname(file).toLowerCase() === '.json') {
+    return JSON.parse(text).map(item => (typeof item === 'string'
+      ? { value: item }
+      : { value: item.value || item.cidr || item.pattern, note: item.note }));
+  }
+
+  return text.split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'))
+    .map(line => ({ value: line }));
+};
+
+const main = async () => {
+  const list = getArg('list');
+  const kind = getArg('kind');
+  const file = getArg('file');
+
+  if (!ReputationEntry.LISTS.includes(list) || !ReputationEntry.KINDS.includes(kind) || !file) {
+    console.error(`Usage: node scripts/importReputation.js --list <${ReputationEntry.LISTS.join('|')}> ` +
+      `--kind <${ReputationEntry.KINDS.join('|')}> --file <path> [--source <name>] [--site <site_key>] [--replace]`);
+    process.exit(1);
+  }
+
+  const values = readValues(file);
+  await connectDB();
+
+  const result = await importEntries({
+    list,
+    kind,
+    values,
+    site: getArg('site') || null,
+    source: getArg('source') || path.basename(file),
+    replace: process.argv.includes('--replace'),
+    createdBy: 'cli'
+  });
+
+  console.log(`${list}/${kind}: ${values.length} values read, ${result.added} added, ${result.updated} already present, ` +
+    `${result.removed} removed, ${result.invalid.length} invalid`);
+  result.invalid.forEach(({ value, error }) => console.warn(`  skipped ${value}: ${error}`));
+
+  await mongoose.disconnect();
+};
+
+main().catch(error => {
+  console.error('Failed to import reputation list:', error);
+  process.exit(1);
+});
@@ -0,0 +1,33 @@
+// Upgrade stored BehaviorData documents to the current schema version and drop unique
+// indexes that newer ones replaced
+// Usage: node scripts/migrate.js [--dry-run]
+require('dotenv').config();
+const mongoose = require('mongoose');
+
+const connectDB = require('../config/database');
+const { migrations, runMigrations, dropRetiredIndexes, SCHEMA_VERSION } = require('../migrations');
+
+const main = async () => {
+  const dryRun = process.argv.includes('--dry-run');
+
+  await connectDB();
+  console.log(`Current schema version: ${SCHEMA_VERSION}${dryRun ? ' (dry run)' : ''}`);
+
+  const indexes = await dropRetiredIndexes({ dryRun });
+  indexes.filter(index => index.present).forEach(({ collection, name, description, dropped }) => {
+    console.log(`${collection}.${name} - ${description}: ${dropped ? 'dropped' : 'would be dropped'}`);
+  });
+
+  const results = await runMigrations({ dryRun });
+  results.forEach(({ version, pending, modified }) => {
+    const { description } = migrations.find(m => m.version === version);
+    console.log(`v${version} - ${description}: ${pending} pending, ${modified} migrated`);
+  });
+
+  await mongoose.disconnect();
+};
+
+main().catch(error => {
+  console.error('Migration failed:', error);
+  process.exit(1);
+});
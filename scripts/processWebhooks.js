@@ -0,0 +1,26 @@
+// Send every webhook delivery that is due, for deployments without a long-running server
+// Usage: node scripts/processWebhooks.js (e.g. from cron every minute)
+require('dotenv').config();
+const mongoose = require('mongoose');
+
+const connectDB = require('../config/database');
+const { processQueue, WORKER_BATCH_SIZE } = require('../services/webhooks');
+
+const main = async () => {
+  await connectDB();
+
+  let total = 0;
+  let processed;
+  do {
+    processed = await processQueue();
+    total += processed;
+  } while (processed === WORKER_BATCH_SIZE);
+  console.log(`Attempted ${total} webhook deliveries`);
+
+  await mongoose.disconnect();
+};
+
+main().catch(error => {
+  console.error('Webhook processing failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,121 @@
+const BehaviorData = require('../models/BehaviorData');
+const Session = require('../models/Session');
+const { webhooksFor, emitEvent } = require('./webhooks');
+const { findSiteByKey } = require('./sites');
+const { resolvePrivacy, anonymizeIp } = require('./privacy');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Ingest volume: the last SPIKE_WINDOW_MS compared with the average window over the
+// preceding day. Checked at most once per SPIKE_CHECK_INTERVAL_MS per site and process.
+const SPIKE_WINDOW_MS = 10 * 60 * 1000;
+const SPIKE_CHECK_INTERVAL_MS = 60 * 1000;
+const lastSpikeCheck = new Map();
+
+// Repeated conditions (a burst, a spike) alert once per bucket
+const hourBucket = (date = new Date()) => new Date(Math.floor(date.getTime() / HOUR_MS) * HOUR_MS).toISOString();
+const dayBucket = (date = new Date()) => date.toISOString().slice(0, 10);
+
+// A scored session reached a webhook's score threshold; sent once per session
+const checkScoreAlert = async (score, site) => {
+  const webhooks = (await webhooksFor(site, 'score_threshold'))
+    .filter(webhook => score.bot_probability >= webhook.thresholds.score);
+
+  await Promise.all(webhooks.map(webhook => emitEvent([webhook], 'score_threshold', {
+    session_id: score.session_id,
+    bot_probability: score.bot_probability,
+    is_bot: score.is_bot,
+    model_version: score.model_version,
+    threshold: webhook.thresholds.score,
+    scored_at: score.scored_at
+  }, { dedupeKey: `score_threshold:${score.session_id}`, sessionId: score.session_id })));
+};
+
+// Many new sessions sharing one fingerprint within the last hour
+const checkFingerprintBurst = async (record) => {
+  if (!record.fingerprint_hash) {
+    return;
+  }
+  const webhooks = await webhooksFor(record.site, 'fingerprint_burst');
+  if (webhooks.length === 0) {
+    return;
+  }
+
+  const sessions = await Session.countDocuments({
+    site: record.site,
+    fingerprint_hash: record.fingerprint_hash,
+    first_seen: { $gte: new Date(Date.now() - HOUR_MS) }
+  });
+
+  await Promise.all(webhooks
+    .filter(webhook => sessions >= webhook.thresholds.fingerprint_sessions_per_hour)
+    .map(webhook => emitEvent([webhook], 'fingerprint_burst', {
+      fingerprint_hash: record.fingerprint_hash,
+      sessions_last_hour: sessions,
+      threshold: webhook.thresholds.fingerprint_sessions_per_hour
+    }, { dedupeKey: `fingerprint_burst:${record.fingerprint_hash}:${hourBucket()}` })));
+};
+
+// Batches stored in the last window against the site's average window over the day before
+const checkIngestSpike = async (site) => {
+  const now = Date.now();
+  if (!site || now - (lastSpikeCheck.get(site) || 0) < SPIKE_CHECK_INTERVAL_MS) {
+    return;
+  }
+  lastSpikeCheck.set(site, now);
+
+  const webhooks = await webhooksFor(site, 'ingest_spike');
+  if (webhooks.length === 0) {
+    return;
+  }
+
+  const windowStart = new Date(now - SPIKE_WINDOW_MS);
+  const [current, previousDay] = await Promise.all([
+    BehaviorData.countDocuments({ site, collected_at: { $gte: windowStart } }),
+    BehaviorData.countDocuments({ site, collected_at: { $gte: new Date(windowStart.getTime() - DAY_MS), $lt: windowStart } })
+  ]);
+  const baseline = previousDay / (DAY_MS / SPIKE_WINDOW_MS);
+
+  await Promise.all(webhooks
+    .filter(webhook => current >= webhook.thresholds.spike_min_batches &&
+      current > baseline * webhook.thresholds.spike_factor)
+    .map(webhook => emitEvent([webhook], 'ingest_spike', {
+      window_minutes: SPIKE_WINDOW_MS / 60000,
+      batches: current,
+      baseline_batches: Math.round(baseline * 100) / 100,
+      spike_factor: webhook.thresholds.spike_factor
+    }, { dedupeKey: `ingest_spike:${hourBucket()}` })));
+};
+
+// Detection checks for a freshly stored batch
+const checkBatchAlerts = (record, { newSession }) => Promise.all([
+  newSession ? checkFingerprintBurst(record) : null,
+  checkIngestSpike(record.site)
+]);
+
+// An IP was blocked by a rate limiter again; sent once per IP, limiter and day. The IP
+// is reported the way the site's privacy rules store it.
+const checkRateLimitAlert = async ({ site, policy, ip, level, blockedUntil }) => {
+  const webhooks = (await webhooksFor(site, 'rate_limit_abuse'))
+    .filter(webhook => level >= webhook.thresholds.rate_limit_strikes);
+  if (webhooks.length === 0) {
+    return;
+  }
+
+  const privacy = resolvePrivacy(await findSiteByKey(site));
+  const reportedIp = anonymizeIp(ip, privacy.ip_handling);
+  await Promise.all(webhooks.map(webhook => emitEvent([webhook], 'rate_limit_abuse', {
+    ip: reportedIp,
+    policy,
+    level,
+    blocked_until: blockedUntil.toISOString(),
+    threshold: webhook.thresholds.rate_limit_strikes
+  }, { dedupeKey: `rate_limit_abuse:${policy}:${reportedIp}:${dayBucket()}` })));
+};
+
+module.exports = {
+  checkScoreAlert,
+  checkBatchAlerts,
+  checkRateLimitAlert
+};
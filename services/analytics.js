@@ -0,0 +1,228 @@
+const BehaviorData = require('../models/BehaviorData');
+const Session = require('../models/Session');
+const StatsRollup = require('../models/StatsRollup');
+const RollupState = require('../models/RollupState');
+
+const UNIT_MS = {
+  minute: 60 * 1000,
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000
+};
+
+// Largest number of buckets a single timeseries request may span
+const MAX_BUCKETS = {
+  minute: 24 * 60,
+  hour: 24 * 92,
+  day: 3660
+};
+
+// Units served from pre-aggregated rollups; minute buckets are always computed live
+const ROLLUP_UNITS = ['hour', 'day'];
+
+// Expression giving the breakdown value of a BehaviorData document
+const BREAKDOWNS = {
+  none: null,
+  site: '$site',
+  page: '$page_path',
+  ip_prefix: '$ip_prefix',
+  platform: '$fingerprint.plat'
+};
+
+// Recently closed buckets are rebuilt on each refresh because sessions get scored late
+const REFRESH_LOOKBACK_BUCKETS = 2;
+const REFRESH_INTERVAL_MS = 60 * 1000;
+
+const EVENT_FIELDS = [
+  'mouse_events', 'click_events', 'scroll_events', 'key_events', 'page_views',
+  'touch_events', 'pointer_events', 'motion_events', 'orientation_events'
+];
+const COUNT_FIELDS = ['batches', ...EVENT_FIELDS];
+
+// Start of the UTC bucket containing `date` (matches $dateTrunc's default timezone)
+const truncate = (date, unit) => new Date(Math.floor(new Date(date).getTime() / UNIT_MS[unit]) * UNIT_MS[unit]);
+
+const sumFields = (fields) => fields.reduce((acc, field) => ({ ...acc, [field]: { $sum: `$${field}` } }), {});
+
+// BehaviorData -> one row per (bucket, site, breakdown key) with distinct sessions,
+// batch and event totals, and the bot/human split taken from each session's latest score.
+// Null sites and keys become '' because $merge cannot match on null.
+const bucketPipeline = ({ match, unit, breakdown }) => [
+  { $match: match },
+  {
+    $project: {
+      session_id: 1,
+      bucket: { $dateTrunc: { date: '$collected_at', unit } },
+      site: { $ifNull: ['$site', ''] },
+      key: { $ifNull: [BREAKDOWNS[breakdown], ''] },
+      ...EVENT_FIELDS.reduce((acc, field) => ({
+        ...acc,
+        [field]: { $size: { $ifNull: [`$${field}`, []] } }
+      }), {})
+    }
+  },
+  {
+    $group: {
+      _id: { bucket: '$bucket', site: '$site', key: '$key', session_id: '$session_id' },
+      batches: { $sum: 1 },
+      ...sumFields(EVENT_FIELDS)
+    }
+  },
+  // Session ids are only unique per site; the bucket's '' site is a null Session.site
+  {
+    $lookup: {
+      from: Session.collection.name,
+      let: { site: '$_id.site', session_id: '$_id.session_id' },
+      pipeline: [
+        {
+          $match: {
+            $expr: {
+              $and: [
+                { $eq: ['$session_id', '$$session_id'] },
+                { $eq: [{ $ifNull: ['$site', ''] }, '$$site'] }
+              ]
+            }
+          }
+        },
+        { $project: { _id: 0, is_bot: '$bot_score.is_bot' } }
+      ],
+      as: 'session'
+    }
+  },
+  { $set: { is_bot: { $first: '$session.is_bot' } } },
+  {
+    $group: {
+      _id: { bucket: '$_id.bucket', site: '$_id.site', key: '$_id.key' },
+      sessions: { $sum: 1 },
+      ...sumFields(COUNT_FIELDS),
+      bot_sessions: { $sum: { $cond: [{ $eq: ['$is_bot', true] }, 1, 0] } },
+      human_sessions: { $sum: { $cond: [{ $eq: ['$is_bot', false] }, 1, 0] } }
+    }
+  },
+  {
+    $project: {
+      _id: 0,
+      bucket: '$_id.bucket',
+      site: '$_id.site',
+      key: '$_id.key',
+      sessions: 1,
+      bot_sessions: 1,
+      human_sessions: 1,
+      ...COUNT_FIELDS.reduce((acc, field) => ({ ...acc, [field]: 1 }), {})
+    }
+  }
+];
+
+// Combine per-site rows into one row per (bucket, key)
+const regroupStages = [
+  {
+    $group: {
+      _id: { bucket: '$bucket', key: '$key' },
+      ...sumFields(['sessions', 'bot_sessions', 'human_sessions', ...COUNT_FIELDS])
+    }
+  },
+  { $sort: { '_id.bucket': 1, '_id.key': 1 } }
+];
+
+// Bring the rollups for (unit, breakdown) up to the start of the current bucket
+const refreshRollups = async (unit, breakdown, { force = false } = {}) => {
+  const now = new Date();
+  const closedEnd = truncate(now, unit);
+  const state = await RollupState.findOne({ unit, breakdown }).lean();
+
+  if (!force && state && state.rolled_up_to >= closedEnd && now - state.updatedAt < REFRESH_INTERVAL_MS) {
+    return;
+  }
+
+  let from;
+  if (state && state.rolled_up_to) {
+    from = new Date(Math.min(state.rolled_up_to.getTime(), closedEnd.getTime() - REFRESH_LOOKBACK_BUCKETS * UNIT_MS[unit]));
+  } else {
+    const oldest = await BehaviorData.findOne().sort({ collected_at: 1 }).select('collected_at').lean();
+    if (!oldest) {
+      return;
+    }
+    from = truncate(oldest.collected_at, unit);
+  }
+
+  if (from < closedEnd) {
+    await BehaviorData.aggregate([
+      ...bucketPipeline({ match: { collected_at: { $gte: from, $lt: closedEnd } }, unit, breakdown }),
+      { $set: { unit, breakdown, refreshed_at: now } },
+      {
+        $merge: {
+          into: StatsRollup.collection.name,
+          on: ['unit', 'breakdown', 'bucket', 'site', 'key'],
+          whenMatched: 'replace',
+          whenNotMatched: 'insert'
+        }
+      }
+    ]);
+  }
+
+  await RollupState.updateOne({ unit, breakdown }, { $set: { rolled_up_to: closedEnd } }, { upsert: true });
+};
+
+const formatRow = (breakdown) => (row) => {
+  const result = {
+    bucket: row._id.bucket,
+    sessions: row.sessions,
+    batches: row.batches,
+    events: EVENT_FIELDS.reduce((acc, field) => ({ ...acc, [field]: row[field] }), {}),
+    bot_sessions: row.bot_sessions,
+    human_sessions: row.human_sessions,
+    unscored_sessions: row.sessions - row.bot_sessions - row.human_sessions
+  };
+  if (breakdown !== 'none') {
+    result.key = row._id.key || null;
+  }
+  return result;
+};
+
+// Traffic per bucket in [from, to). Closed hour/day buckets come from rollups; the
+// still-open bucket (and every minute bucket) is aggregated live from BehaviorData.
+const getTimeseries = async ({ from, to, unit, breakdown = 'none', site = null }) => {
+  const start = truncate(from, unit);
+  const closedEnd = ROLLUP_UNITS.includes(unit) ? truncate(new Date(), unit) : start;
+  const siteMatch = site ? { site } : {};
+
+  let rolled = [];
+  if (ROLLUP_UNITS.includes(unit) && start < closedEnd) {
+    await refreshRollups(unit, breakdown);
+    rolled = await StatsRollup.aggregate([
+      {
+        $match: {
+          unit,
+          breakdown,
+          bucket: { $gte: start, $lt: new Date(Math.min(to.getTime(), closedEnd.getTime())) },
+          ...siteMatch
+        }
+      },
+      ...regroupStages
+    ]);
+  }
+
+  let live = [];
+  const liveFrom = start > closedEnd ? start : closedEnd;
+  if (to > liveFrom) {
+    live = await BehaviorData.aggregate([
+      ...bucketPipeline({
+        match: { ...siteMatch, collected_at: { $gte: liveFrom, $lt: to } },
+        unit,
+        breakdown
+      }),
+      ...regroupStages
+    ]);
+  }
+
+  return [...rolled, ...live].map(formatRow(breakdown));
+};
+
+module.exports = {
+  getTimeseries,
+  refreshRollups,
+  truncate,
+  BREAKDOWNS,
+  UNIT_MS,
+  MAX_BUCKETS,
+  ROLLUP_UNITS
+};
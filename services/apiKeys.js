@@ -0,0 +1,40 @@
+const crypto = require('crypto');
+const ApiKey = require('../models/ApiKey');
+
+const KEY_PREFIX = 'bd_';
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+// Create a key and return it with its plaintext, which is not stored anywhere
+const createApiKey = async ({ name, roles, site = null, createdBy }) => {
+  const key = KEY_PREFIX + crypto.randomBytes(32).toString('base64url');
+
+  const apiKey = await ApiKey.create({
+    name,
+    roles,
+    site,
+    key_hash: hashKey(key),
+    key_prefix: key.slice(0, KEY_PREFIX.length + 6),
+    created_by: createdBy
+  });
+
+  return { apiKey, key };
+};
+
+// Resolve a plaintext key to its active ApiKey document, or null
+const findActiveKey = async (key) => {
+  if (!key || !key.startsWith(KEY_PREFIX)) {
+    return null;
+  }
+  return ApiKey.findOne({ key_hash: hashKey(key), revoked_at: null });
+};
+
+// Admin keys satisfy every role
+const hasRole = (apiKey, role) => apiKey.roles.includes('admin') || apiKey.roles.includes(role);
+
+module.exports = {
+  createApiKey,
+  findActiveKey,
+  hasRole,
+  hashKey
+};
@@ -0,0 +1,71 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { minify } = require('terser');
+
+const SOURCE_PATH = path.join(__dirname, '..', 'botDetect.js');
+
+// Line in botDetect.js that builds replace with their baked-in options
+const BUILD_OPTIONS_MARKER = 'const BUILD_OPTIONS = {};';
+
+// Options baked into the script served at /collector.js
+const HOSTED_OPTIONS = process.env.COLLECTOR_API_BASE ? { endpoint: process.env.COLLECTOR_API_BASE } : {};
+
+let sourcePromise = null;
+let hostedPromise = null;
+
+const readSource = () => {
+  if (!sourcePromise) {
+    sourcePromise = fs.readFile(SOURCE_PATH, 'utf8').catch(error => {
+      sourcePromise = null;
+      throw error;
+    });
+  }
+  return sourcePromise;
+};
+
+// Version declared in the collector source (const VERSION = '...')
+const versionOf = (source) => {
+  const match = /const VERSION = '([^']+)';/.exec(source);
+  if (!match) {
+    throw new Error('botDetect.js does not declare a VERSION');
+  }
+  return match[1];
+};
+
+// Build the collector with `options` as its build-time defaults (same fields as a
+// site's collector_config, plus site_key). Resolves to { version, code }.
+const buildCollector = async (options = {}, { minified = true } = {}) => {
+  const source = await readSource();
+  const version = versionOf(source);
+
+  if (!source.includes(BUILD_OPTIONS_MARKER)) {
+    throw new Error('botDetect.js is missing the build options marker');
+  }
+  const code = source.replace(BUILD_OPTIONS_MARKER, `const BUILD_OPTIONS = ${JSON.stringify(options)};`);
+  if (!minified) {
+    return { version, code };
+  }
+
+  const result = await minify(code, {
+    compress: true,
+    mangle: true,
+    format: { preamble: `/*! BotDetector collector v${version} */` }
+  });
+  return { version, code: result.code };
+};
+
+// The hosted build never changes while the process runs, so it is minified once
+const getHostedCollector = () => {
+  if (!hostedPromise) {
+    hostedPromise = buildCollector(HOSTED_OPTIONS).catch(error => {
+      hostedPromise = null;
+      throw error;
+    });
+  }
+  return hostedPromise;
+};
+
+module.exports = {
+  buildCollector,
+  getHostedCollector
+};
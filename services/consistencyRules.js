@@ -0,0 +1,169 @@
+// Rule engine for fingerprint self-consistency. Each rule inspects the collector
+// fingerprint (and the server-side User-Agent header) and returns a detail string
+// when it finds a contradiction typical of headless or spoofed browsers.
+
+const SEVERITY_RANK = { low: 1, medium: 2, high: 3 };
+
+const osFromUserAgent = (ua) => {
+  if (/iPhone|iPad|iPod/.test(ua)) return 'ios';
+  if (/Android/.test(ua)) return 'android';
+  if (/Windows/.test(ua)) return 'windows';
+  if (/Mac OS X|Macintosh/.test(ua)) return 'mac';
+  if (/CrOS/.test(ua)) return 'chromeos';
+  if (/Linux|X11/.test(ua)) return 'linux';
+  return null;
+};
+
+// navigator.platform values each OS is known to report
+const PLATFORMS_BY_OS = {
+  ios: [/^iPhone/, /^iPad/, /^iPod/, /^MacIntel$/], // iPadOS reports MacIntel
+  android: [/^Linux/, /^Android/, /^null$/],
+  windows: [/^Win/],
+  mac: [/^Mac/],
+  chromeos: [/^Linux/, /^CrOS/],
+  linux: [/^Linux/, /^X11/, /^FreeBSD/]
+};
+
+const isMobileUserAgent = (ua) => /iPhone|iPod|iPad|Android.*Mobile|Mobile Safari/.test(ua);
+
+// Android tablets leave 'Mobile' out of the user agent but are not desktop browsers either
+const isDesktopUserAgent = (ua) => !isMobileUserAgent(ua) && !/Android/.test(ua);
+
+// Android WebView ('; wv)') and Electron shells report Chrome/ but have no window.chrome
+// and no plugins, so they are not held to Chrome's rules
+const isChromeUserAgent = (ua) => /Chrome\//.test(ua) && !/Edg\/|OPR\/|CriOS|SamsungBrowser|; wv\)|Electron\//.test(ua);
+
+// Time zone prefixes plausible for the region of navigator.language. en-US and en-GB
+// are left out: they are the default browser language in much of the world, so they
+// say nothing about where a visitor is.
+const TIMEZONES_BY_REGION = {
+  CA: ['America/', 'Canada/'],
+  DE: ['Europe/'],
+  FR: ['Europe/'],
+  ES: ['Europe/', 'Atlantic/Canary'],
+  IT: ['Europe/'],
+  RU: ['Europe/', 'Asia/'],
+  CN: ['Asia/Shanghai', 'Asia/Urumqi', 'Asia/Hong_Kong', 'PRC'],
+  JP: ['Asia/Tokyo', 'Japan'],
+  KR: ['Asia/Seoul'],
+  IN: ['Asia/Kolkata', 'Asia/Calcutta'],
+  BR: ['America/'],
+  AU: ['Australia/'],
+  PK: ['Asia/Karachi']
+};
+
+const rules = [
+  {
+    id: 'headless_user_agent',
+    severity: 'high',
+    test: ({ fingerprint, userAgent }) => {
+      const ua = `${fingerprint.ua || ''} ${userAgent || ''}`;
+      return /HeadlessChrome|PhantomJS|Puppeteer|Playwright/i.test(ua) ? 'User agent names a headless browser' : null;
+    }
+  },
+  {
+    id: 'webdriver',
+    severity: 'high',
+    test: ({ fingerprint }) => (fingerprint.webdriver === true ? 'navigator.webdriver is true' : null)
+  },
+  {
+    id: 'permissions_quirk',
+    severity: 'high',
+    // Headless Chrome reports Notification.permission 'denied' while the Permissions API says 'prompt'
+    test: ({ fingerprint }) => (fingerprint.notifPerm === 'denied' && fingerprint.permState === 'prompt'
+      ? 'Notification permission is denied but the Permissions API reports prompt'
+      : null)
+  },
+  {
+    id: 'ua_header_mismatch',
+    // User-agent switcher extensions often change only one of the two
+    severity: 'medium',
+    test: ({ fingerprint, userAgent }) => (fingerprint.ua && userAgent && fingerprint.ua !== userAgent
+      ? 'Client user agent differs from the User-Agent request header'
+      : null)
+  },
+  {
+    id: 'ua_platform_mismatch',
+    severity: 'high',
+    test: ({ fingerprint }) => {
+      const os = osFromUserAgent(fingerprint.ua || '');
+      if (!os || !fingerprint.plat) return null;
+      return PLATFORMS_BY_OS[os].some(pattern => pattern.test(fingerprint.plat))
+        ? null
+        : `User agent says ${os} but platform is ${fingerprint.plat}`;
+    }
+  },
+  {
+    id: 'mobile_without_touch',
+    severity: 'medium',
+    test: ({ fingerprint }) => (isMobileUserAgent(fingerprint.ua || '') && fingerprint.maxTouch === 0
+      ? 'Mobile user agent reports no touch points'
+      : null)
+  },
+  {
+    id: 'software_renderer',
+    severity: 'medium',
+    test: ({ fingerprint }) => (/SwiftShader|llvmpipe|softpipe|Software Rasterizer|Mesa OffScreen/i.test(fingerprint.glRenderer || '')
+      ? `WebGL uses a software renderer (${fingerprint.glRenderer})`
+      : null)
+  },
+  {
+    id: 'chrome_object_missing',
+    severity: 'medium',
+    test: ({ fingerprint }) => (isChromeUserAgent(fingerprint.ua || '') && fingerprint.chrome === false
+      ? 'Chrome user agent without a window.chrome object'
+      : null)
+  },
+  {
+    id: 'no_plugins',
+    severity: 'medium',
+    // Desktop Chrome ships built-in PDF plugins; headless Chrome reports none
+    test: ({ fingerprint }) => (isChromeUserAgent(fingerprint.ua || '') && isDesktopUserAgent(fingerprint.ua || '') &&
+      fingerprint.plugins === 0
+      ? 'Desktop Chrome reports no plugins'
+      : null)
+  },
+  {
+    id: 'timezone_language_mismatch',
+    severity: 'low',
+    test: ({ fingerprint }) => {
+      const match = /^[a-z]{2,3}-([A-Z]{2})$/.exec(fingerprint.lang || '');
+      const prefixes = match && TIMEZONES_BY_REGION[match[1]];
+      if (!prefixes || !fingerprint.tz) return null;
+      return prefixes.some(prefix => fingerprint.tz.startsWith(prefix))
+        ? null
+        : `Language ${fingerprint.lang} does not match time zone ${fingerprint.tz}`;
+    }
+  },
+  {
+    id: 'utc_timezone',
+    severity: 'low',
+    // Default for many cloud servers and containers, rare for real visitors
+    test: ({ fingerprint }) => (/^(Etc\/)?(UTC|GMT|Universal|Zulu)$/.test(fingerprint.tz || '') ? 'Time zone is UTC' : null)
+  }
+];
+
+// Evaluate every rule; returns [{ rule, severity, detail }] for the ones that fire
+const evaluateConsistency = (fingerprint, userAgent) => {
+  if (!fingerprint || typeof fingerprint !== 'object') {
+    return [];
+  }
+
+  return rules.reduce((flags, rule) => {
+    const detail = rule.test({ fingerprint, userAgent });
+    if (detail) {
+      flags.push({ rule: rule.id, severity: rule.severity, detail });
+    }
+    return flags;
+  }, []);
+};
+
+// Highest severity rank among flags (0 when there are none)
+const maxSeverity = (flags) => flags.reduce((max, flag) => Math.max(max, SEVERITY_RANK[flag.severity] || 0), 0);
+
+module.exports = {
+  rules,
+  evaluateConsistency,
+  maxSeverity,
+  SEVERITY_RANK
+};
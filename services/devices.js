@@ -0,0 +1,107 @@
+const Device = require('../models/Device');
+const DeviceLink = require('../models/DeviceLink');
+
+// A device profile shared by this many sessions, or seen from this many IPs, is flagged
+const SHARED_PROFILE_SESSIONS = parseInt(process.env.DEVICE_SHARED_PROFILE_SESSIONS) || 20;
+const IP_ROTATION_IPS = parseInt(process.env.DEVICE_IP_ROTATION_IPS) || 10;
+
+const DUPLICATE_KEY_ERROR = 11000;
+
+// Run link upserts; concurrent first sightings of a link race on the unique index, and
+// the losing upserts are retried once to match the document the winner created.
+// Resolves to the indexes of the operations that created a link.
+const upsertLinks = async (operations) => {
+  try {
+    const result = await DeviceLink.bulkWrite(operations, { ordered: false });
+    return Object.keys(result.upsertedIds || {});
+  } catch (error) {
+    const writeErrors = error.writeErrors || [];
+    if (writeErrors.length === 0 || writeErrors.some(writeError => writeError.code !== DUPLICATE_KEY_ERROR)) {
+      throw error;
+    }
+    await DeviceLink.bulkWrite(writeErrors.map(writeError => operations[writeError.index]), { ordered: false });
+    return Object.keys(error.result.upsertedIds || {});
+  }
+};
+
+// Link a stored batch to its device: upsert the session/IP/user-agent links and
+// count the ones seen for the first time on the device. Links expire with the latest
+// batch behind them when the site has a retention period.
+const recordDeviceActivity = async ({
+  site, fingerprint_hash, fingerprint, session_id, ip_address, user_agent, collected_at, expires_at
+}) => {
+  if (!fingerprint_hash) {
+    return;
+  }
+
+  const seenAt = collected_at ? new Date(collected_at) : new Date();
+  const values = { session: session_id, ip: ip_address, user_agent };
+  const types = DeviceLink.LINK_TYPES.filter(type => values[type]);
+
+  const created = await upsertLinks(types.map(type => ({
+    updateOne: {
+      filter: { site, fingerprint_hash, type, value: values[type] },
+      update: {
+        $min: { first_seen: seenAt },
+        $max: { last_seen: seenAt },
+        $inc: { batch_count: 1 },
+        ...(expires_at ? { $set: { expires_at } } : { $unset: { expires_at: '' } })
+      },
+      upsert: true
+    }
+  })));
+
+  const inc = { batch_count: 1 };
+  created.forEach(index => {
+    inc[`${types[index]}_count`] = 1;
+  });
+
+  const update = {
+    $min: { first_seen: seenAt },
+    $max: { last_seen: seenAt },
+    $inc: inc
+  };
+  if (fingerprint) {
+    update.$set = { fingerprint };
+  }
+
+  await Device.updateOne({ site, fingerprint_hash }, update, { upsert: true });
+};
+
+const deviceFlags = (device) => {
+  const flags = [];
+  if (device.session_count >= SHARED_PROFILE_SESSIONS) flags.push('shared_profile');
+  if (device.ip_count >= IP_ROTATION_IPS) flags.push('ip_rotation');
+  return flags;
+};
+
+// Device history: the device per site plus its most recent sessions, IPs and user agents
+const getDeviceHistory = async (fingerprintHash, siteScope, linkLimit = 100) => {
+  const scope = siteScope ? { site: siteScope } : {};
+  const devices = await Device.find({ ...scope, fingerprint_hash: fingerprintHash }).lean();
+
+  return Promise.all(devices.map(async device => {
+    const history = {};
+    for (const type of DeviceLink.LINK_TYPES) {
+      history[`${type}s`] = await DeviceLink.find({ site: device.site, fingerprint_hash: fingerprintHash, type })
+        .sort({ last_seen: -1 })
+        .limit(linkLimit)
+        .select('-_id value first_seen last_seen batch_count')
+        .lean();
+    }
+
+    return {
+      ...device,
+      flags: deviceFlags(device),
+      history
+    };
+  }));
+};
+
+module.exports = {
+  recordDeviceActivity,
+  getDeviceHistory,
+  deviceFlags,
+  SHARED_PROFILE_SESSIONS,
+  IP_ROTATION_IPS
+};
@@ -0,0 +1,376 @@
+const BehaviorData = require('../models/BehaviorData');
+const Session = require('../models/Session');
+const SessionLabel = require('../models/SessionLabel');
+const { mergeBatches, extractFeatures, SCORED_FIELDS } = require('./scoringEngine');
+const { sessionQuery: listingQuery } = require('./sessions');
+
+const DATASETS = ['sessions', 'events', 'features'];
+const FORMATS = ['ndjson', 'csv', 'columnar'];
+// Ground-truth label filter (see services/labels)
+const LABELS = [...SessionLabel.LABELS, 'unlabeled'];
+
+const CONTENT_TYPES = {
+  ndjson: 'application/x-ndjson',
+  csv: 'text/csv; charset=utf-8',
+  columnar: 'application/x-ndjson'
+};
+
+const FILE_EXTENSIONS = {
+  ndjson: 'ndjson',
+  csv: 'csv',
+  columnar: 'columnar.ndjson'
+};
+
+// Rows per column block in the columnar format
+const ROW_GROUP_SIZE = 1000;
+
+// Documents fetched per round trip; keeps memory flat however large the export is
+const CURSOR_BATCH_SIZE = 500;
+
+const EVENT_TYPES = {
+  mouse_events: 'mouse',
+  click_events: 'click',
+  scroll_events: 'scroll',
+  key_events: 'key',
+  page_views: 'page_view',
+  touch_events: 'touch',
+  pointer_events: 'pointer',
+  motion_events: 'motion',
+  orientation_events: 'orientation',
+  honeypot_events: 'honeypot'
+};
+
+const COLUMNS = {
+  sessions: [
+    'session_id', 'site', 'label', 'label_source', 'label_confidence', 'predicted', 'bot_probability',
+    'first_seen', 'last_seen', 'duration_ms', 'batch_count', 'mouse_events_count', 'click_events_count',
+    'scroll_events_count', 'key_events_count', 'page_views_count', 'touch_events_count', 'pointer_events_count',
+    'motion_events_count', 'orientation_events_count', 'honeypot_events_count', 'page_paths', 'ip_count',
+    'fingerprint_hash', 'platform', 'consistency_flags'
+  ],
+  events: [
+    'session_id', 'site', 'batch_id', 'label', 'predicted', 'event_type', 't', 'x', 'y', 'button',
+    'target', 'key_code', 'ctrl', 'shift', 'alt', 'meta', 'url', 'view_type', 'trusted', 'pointer_type',
+    'pressure', 'visible', 'honeypot', 'phase', 'touches', 'radius_x', 'radius_y', 'force', 'accel_x',
+    'accel_y', 'accel_z', 'alpha', 'beta', 'gamma'
+  ],
+  features: [
+    'session_id', 'site', 'label', 'label_source', 'label_confidence', 'predicted', 'batches',
+    ...Object.keys(extractFeatures(mergeBatches([])))
+  ]
+};
+
+// Prediction from the session's latest bot score
+const predictedLabel = (botScore) => {
+  if (!botScore || typeof botScore.is_bot !== 'boolean') return 'unscored';
+  return botScore.is_bot ? 'bot' : 'human';
+};
+
+// Ground-truth label columns of a session
+const labelColumns = (session) => ({
+  label: session.label ? session.label.label : 'unlabeled',
+  label_source: session.label ? session.label.source : null,
+  label_confidence: session.label ? session.label.confidence : null,
+  predicted: predictedLabel(session.bot_score)
+});
+
+// Same mapping as predictedLabel, for use inside aggregation pipelines
+const predictedExpression = (isBotPath) => ({
+  $switch: {
+    branches: [
+      { case: { $eq: [isBotPath, true] }, then: 'bot' },
+      { case: { $eq: [isBotPath, false] }, then: 'human' }
+    ],
+    default: 'unscored'
+  }
+});
+
+// Validate raw (query-string or CLI) options; returns { options } or { error }
+const parseExportOptions = (raw) => {
+  const dataset = raw.dataset || 'sessions';
+  const format = raw.format || 'ndjson';
+
+  if (!DATASETS.includes(dataset)) {
+    return { error: `dataset must be one of ${DATASETS.join(', ')}` };
+  }
+  if (!FORMATS.includes(format)) {
+    return { error: `format must be one of ${FORMATS.join(', ')}` };
+  }
+  if (raw.label && !LABELS.includes(raw.label)) {
+    return { error: `label must be one of ${LABELS.join(', ')}` };
+  }
+
+  const from = raw.from ? new Date(raw.from) : null;
+  const to = raw.to ? new Date(raw.to) : null;
+  if ((from && isNaN(from.getTime())) || (to && isNaN(to.getTime()))) {
+    return { error: 'from and to must be valid dates' };
+  }
+  if (from && to && from >= to) {
+    return { error: 'from must be before to' };
+  }
+
+  return {
+    options: {
+      dataset,
+      format,
+      from,
+      to,
+      site: raw.site || null,
+      label: raw.label || null
+    }
+  };
+};
+
+// Sessions active at some point in [from, to)
+const sessionQuery = ({ from, to, site, label }) => {
+  const query = listingQuery({ label });
+  if (site) query.site = site;
+  if (from) query.last_seen = { $gte: from };
+  if (to) query.first_seen = { $lt: to };
+  return query;
+};
+
+async function* sessionRows(options) {
+  const cursor = Session.find(sessionQuery(options))
+    .sort({ last_seen: 1 })
+    .lean()
+    .cursor({ batchSize: CURSOR_BATCH_SIZE });
+
+  for await (const session of cursor) {
+    yield {
+      session_id: session.session_id,
+      site: session.site,
+      ...labelColumns(session),
+      bot_probability: session.bot_score ? session.bot_score.bot_probability : null,
+      first_seen: session.first_seen,
+      last_seen: session.last_seen,
+      duration_ms: session.duration_ms,
+      batch_count: session.batch_count,
+      mouse_events_count: session.mouse_events_count,
+      click_events_count: session.click_events_count,
+      scroll_events_count: session.scroll_events_count,
+      key_events_count: session.key_events_count,
+      page_views_count: session.page_views_count,
+      touch_events_count: session.touch_events_count,
+      pointer_events_count: session.pointer_events_count,
+      motion_events_count: session.motion_events_count,
+      orientation_events_count: session.orientation_events_count,
+      honeypot_events_count: session.honeypot_events_count,
+      page_paths: session.page_paths,
+      ip_count: (session.ip_addresses || []).length,
+      fingerprint_hash: session.fingerprint_hash,
+      platform: session.fingerprint ? session.fingerprint.plat : null,
+      consistency_flags: (session.consistency_flags || []).map(flag => flag.rule)
+    };
+  }
+}
+
+// Flatten one stored batch into one row per event
+const eventRowsOf = (batch) => Object.keys(EVENT_TYPES).flatMap(field => (batch[field] || []).map(event => ({
+  session_id: batch.session_id,
+  site: batch.site,
+  batch_id: batch.batch_id,
+  label: batch.label,
+  predicted: batch.predicted,
+  event_type: EVENT_TYPES[field],
+  t: event.t,
+  x: event.x,
+  y: event.y,
+  button: event.btn,
+  target: event.tgt,
+  key_code: event.keyCode,
+  ctrl: event.ctrl,
+  shift: event.shift,
+  alt: event.alt,
+  meta: event.meta,
+  url: event.url,
+  view_type: event.type,
+  trusted: event.trusted,
+  pointer_type: event.ptr,
+  pressure: event.pr,
+  visible: event.vis,
+  honeypot: event.kind ? `${event.kind}:${event.action}` : undefined,
+  phase: event.ph,
+  touches: event.n,
+  radius_x: event.rx,
+  radius_y: event.ry,
+  force: event.f,
+  accel_x: event.ax,
+  accel_y: event.ay,
+  accel_z: event.az,
+  alpha: event.a,
+  beta: event.b,
+  gamma: event.g
+})));
+
+async function* eventRows({ from, to, site, label }) {
+  const match = {};
+  if (site) match.site = site;
+  if (from || to) {
+    match.collected_at = {};
+    if (from) match.collected_at.$gte = from;
+    if (to) match.collected_at.$lt = to;
+  }
+
+  const pipeline = [
+    { $match: match },
+    { $sort: { collected_at: 1 } },
+    {
+      $project: {
+        session_id: 1,
+        site: 1,
+        batch_id: 1,
+        ...Object.keys(EVENT_TYPES).reduce((acc, field) => ({ ...acc, [field]: 1 }), {})
+      }
+    },
+    // Session ids are only unique per site; batches and sessions stored without a site
+    // have none (missing or null), so both sides are compared as null
+    {
+      $lookup: {
+        from: Session.collection.name,
+        let: { site: { $ifNull: ['$site', null] }, session_id: '$session_id' },
+        pipeline: [
+          {
+            $match: {
+              $expr: {
+                $and: [
+                  { $eq: ['$session_id', '$$session_id'] },
+                  { $eq: [{ $ifNull: ['$site', null] }, '$$site'] }
+                ]
+              }
+            }
+          },
+          { $project: { _id: 0, label: '$label.label', is_bot: '$bot_score.is_bot' } }
+        ],
+        as: 'session'
+      }
+    },
+    {
+      $set: {
+        label: { $ifNull: [{ $first: '$session.label' }, 'unlabeled'] },
+        predicted: predictedExpression({ $first: '$session.is_bot' })
+      }
+    },
+    { $unset: 'session' }
+  ];
+  if (label) {
+    pipeline.push({ $match: { label } });
+  }
+
+  const cursor = BehaviorData.aggregate(pipeline).cursor({ batchSize: CURSOR_BATCH_SIZE });
+  for await (const batch of cursor) {
+    yield* eventRowsOf(batch);
+  }
+}
+
+// Engineered features per session, computed from its stored batches one session at a time
+async function* featureRows(options) {
+  const cursor = Session.find(sessionQuery(options))
+    .sort({ last_seen: 1 })
+    .select('session_id site label bot_score')
+    .lean()
+    .cursor({ batchSize: CURSOR_BATCH_SIZE });
+
+  for await (const session of cursor) {
+    const batches = await BehaviorData.find({ site: session.site || null, session_id: session.session_id })
+      .select(SCORED_FIELDS)
+      .lean();
+    if (batches.length === 0) continue;
+
+    yield {
+      session_id: session.session_id,
+      site: session.site,
+      ...labelColumns(session),
+      batches: batches.length,
+      ...extractFeatures(mergeBatches(batches))
+    };
+  }
+}
+
+const ROW_SOURCES = {
+  sessions: sessionRows,
+  events: eventRows,
+  features: featureRows
+};
+
+// Spreadsheets evaluate cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  let text;
+  if (value instanceof Date) text = value.toISOString();
+  else if (Array.isArray(value)) text = value.join('|');
+  else if (typeof value === 'object') text = JSON.stringify(value);
+  else text = String(value);
+  // Strings can come from the client (urls, click targets); numbers keep their sign
+  if (typeof value !== 'number' && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+async function* toNdjson(rows) {
+  for await (const row of rows) {
+    yield `${JSON.stringify(row)}\n`;
+  }
+}
+
+async function* toCsv(rows, columns) {
+  yield `${columns.join(',')}\r\n`;
+  for await (const row of rows) {
+    yield `${columns.map(column => csvCell(row[column])).join(',')}\r\n`;
+  }
+}
+
+// NDJSON of row groups: a header line naming the columns, then one line per group
+// holding an array of values for every column
+async function* toColumnar(rows, columns, dataset) {
+  yield `${JSON.stringify({ format: 'columnar', dataset, columns, row_group_size: ROW_GROUP_SIZE })}\n`;
+
+  let group = [];
+  const flush = () => {
+    const data = columns.reduce((acc, column) => ({
+      ...acc,
+      [column]: group.map(row => (row[column] === undefined ? null : row[column]))
+    }), {});
+    const line = `${JSON.stringify({ rows: group.length, data })}\n`;
+    group = [];
+    return line;
+  };
+
+  for await (const row of rows) {
+    group.push(row);
+    if (group.length === ROW_GROUP_SIZE) {
+      yield flush();
+    }
+  }
+  if (group.length > 0) {
+    yield flush();
+  }
+}
+
+const SERIALIZERS = {
+  ndjson: toNdjson,
+  csv: toCsv,
+  columnar: toColumnar
+};
+
+// Async iterable of text chunks for an export; rows are pulled from a cursor only as
+// fast as the consumer reads them
+const createExport = (options) => {
+  const rows = ROW_SOURCES[options.dataset](options);
+  return SERIALIZERS[options.format](rows, COLUMNS[options.dataset], options.dataset);
+};
+
+module.exports = {
+  createExport,
+  parseExportOptions,
+  predictedLabel,
+  DATASETS,
+  FORMATS,
+  LABELS,
+  COLUMNS,
+  CONTENT_TYPES,
+  FILE_EXTENSIONS
+};
@@ -0,0 +1,26 @@
+const crypto = require('crypto');
+
+// Fingerprint fields that stay stable for a device across sessions
+const STABLE_FIELDS = ['ua', 'lang', 'plat', 'scrw', 'scrh', 'color', 'tz', 'maxTouch', 'deviceMemory', 'hardwareConcurrency'];
+
+// Stable SHA-256 hash of a collector fingerprint, or null when there is none
+const fingerprintHash = (fingerprint) => {
+  if (!fingerprint || typeof fingerprint !== 'object') {
+    return null;
+  }
+
+  // 'unknown', null and missing values hash the same, whether raw or as stored
+  const canonical = STABLE_FIELDS
+    .map(field => {
+      const value = fingerprint[field];
+      return `${field}=${value === undefined || value === null || value === 'unknown' ? '' : String(value)}`;
+    })
+    .join('|');
+
+  return crypto.createHash('sha256').update(canonical).digest('hex');
+};
+
+module.exports = {
+  fingerprintHash,
+  STABLE_FIELDS
+};
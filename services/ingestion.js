@@ -0,0 +1,115 @@
+const BehaviorData = require('../models/BehaviorData');
+const Session = require('../models/Session');
+const { fingerprintHash } = require('./fingerprint');
+const { recordDeviceActivity } = require('./devices');
+const { evaluateConsistency } = require('./consistencyRules');
+const { recordSessionBatch } = require('./sessions');
+const { ipPrefix } = require('./ip');
+const { applyPrivacy, DEFAULT_PRIVACY } = require('./privacy');
+const { checkBatchAlerts } = require('./alerts');
+
+const EVENT_FIELDS = [
+  'mouse_events', 'click_events', 'scroll_events', 'key_events', 'page_views',
+  'touch_events', 'pointer_events', 'motion_events', 'orientation_events'
+];
+
+const DUPLICATE_KEY_ERROR = 11000;
+
+// Path component of a page URL, or null when it cannot be parsed
+const pagePath = (url) => {
+  if (!url || typeof url !== 'string') {
+    return null;
+  }
+  try {
+    return new URL(url, 'http://placeholder').pathname;
+  } catch (error) {
+    return null;
+  }
+};
+
+const hasEvents = (batch) => EVENT_FIELDS.some(field => Array.isArray(batch[field]) && batch[field].length > 0);
+
+// Older collectors re-send a tail of already-sent events with every batch.
+// Drop anything at or before the latest timestamp already stored for the session.
+const dropSeenEvents = (batch, watermarks) => {
+  const filtered = { ...batch };
+  EVENT_FIELDS.forEach(field => {
+    const watermark = watermarks[field];
+    if (Array.isArray(batch[field]) && typeof watermark === 'number') {
+      filtered[field] = batch[field].filter(e => e && typeof e.t === 'number' && e.t > watermark);
+    }
+  });
+  return filtered;
+};
+
+const findExistingBatch = (batch) => BehaviorData.findOne({
+  site: batch.site || null,
+  session_id: batch.session_id,
+  batch_id: batch.batch_id
+}).select('_id session_id');
+
+// Store a batch exactly once. Batches carrying a batch_id are idempotent; batches
+// without a seq come from legacy collectors and are trimmed against the watermarks.
+// The site's privacy rules (services/privacy) are applied before anything is stored.
+// Resolves to { record, duplicate }; record is null when nothing new was left to store.
+const ingestBatch = async (batch, privacy = DEFAULT_PRIVACY) => {
+  if (batch.batch_id) {
+    const existing = await findExistingBatch(batch);
+    if (existing) {
+      return { record: existing, duplicate: true };
+    }
+  }
+
+  const redacted = applyPrivacy(batch, privacy);
+  let toSave = {
+    ...redacted,
+    fingerprint_hash: fingerprintHash(batch.fingerprint),
+    consistency_flags: evaluateConsistency(batch.fingerprint, batch.user_agent),
+    page_path: pagePath(batch.current_url),
+    // Derived from the stored address so it reveals no more than the site allows:
+    // truncated addresses keep their prefix, hashed ones have none
+    ip_prefix: ipPrefix(redacted.ip_address)
+  };
+  if (typeof batch.seq !== 'number') {
+    const session = await Session.findOne({ site: batch.site || null, session_id: batch.session_id }).select('watermarks').lean();
+    if (session) {
+      toSave = dropSeenEvents(toSave, session.watermarks || {});
+      if (!hasEvents(toSave)) {
+        return { record: null, duplicate: true };
+      }
+    }
+  }
+
+  let record;
+  try {
+    record = await BehaviorData.create(toSave);
+  } catch (error) {
+    // A concurrent retry of the same batch was stored first
+    if (error.code === DUPLICATE_KEY_ERROR && batch.batch_id) {
+      return { record: await findExistingBatch(batch), duplicate: true };
+    }
+    throw error;
+  }
+
+  const stored = record.toObject();
+  const { upsertedCount } = await recordSessionBatch(stored);
+
+  // The batch is already stored; a device linking failure must not trigger a client retry
+  await recordDeviceActivity(stored).catch(error => {
+    console.error('Error linking device activity:', error);
+  });
+
+  // Same for webhook alerts (fingerprint bursts, volume spikes)
+  await checkBatchAlerts(stored, { newSession: upsertedCount > 0 }).catch(error => {
+    console.error('Error checking ingest alerts:', error);
+  });
+
+  return { record, duplicate: false };
+};
+
+module.exports = {
+  ingestBatch,
+  dropSeenEvents,
+  pagePath,
+  EVENT_FIELDS
+};
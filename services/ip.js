@@ -0,0 +1,126 @@
+const crypto = require('crypto');
+const net = require('net');
+
+// Strip the IPv4-mapped IPv6 prefix Node reports for IPv4 clients (::ffff:1.2.3.4)
+const normalizeIp = (ip) => {
+  if (!ip || typeof ip !== 'string') {
+    return null;
+  }
+  const trimmed = ip.trim();
+  return /^::ffff:\d+\.\d+\.\d+\.\d+$/i.test(trimmed) ? trimmed.slice(7) : trimmed;
+};
+
+// Expand an IPv6 address to its 8 hextets
+const expandIpv6 = (ip) => {
+  const [head, tail = ''] = ip.split('::');
+  const headParts = head ? head.split(':') : [];
+  const tailParts = ip.includes('::') ? (tail ? tail.split(':') : []) : [];
+  const missing = 8 - headParts.length - tailParts.length;
+  return [...headParts, ...Array(Math.max(missing, 0)).fill('0'), ...tailParts]
+    .map(part => part.padStart(4, '0').toLowerCase());
+};
+
+// Network prefix without any geo lookup: /24 for IPv4, /48 for IPv6
+const ipPrefix = (ip) => {
+  const address = normalizeIp(ip);
+  const family = net.isIP(address || '');
+
+  if (family === 4) {
+    return `${address.split('.').slice(0, 3).join('.')}.0/24`;
+  }
+  if (family === 6) {
+    return `${expandIpv6(address).slice(0, 3).join(':')}::/48`;
+  }
+  return null;
+};
+
+// Address with its host part zeroed: last octet for IPv4, all but the /48 for IPv6
+const truncateIp = (ip) => {
+  const address = normalizeIp(ip);
+  const family = net.isIP(address || '');
+
+  if (family === 4) {
+    return `${address.split('.').slice(0, 3).join('.')}.0`;
+  }
+  if (family === 6) {
+    return `${expandIpv6(address).slice(0, 3).join(':')}::`;
+  }
+  return null;
+};
+
+// Keyed hash of an address: stable for linking sessions, but not reversible without the key
+const hashIp = (ip, key) => {
+  const address = normalizeIp(ip);
+  if (!address) {
+    return null;
+  }
+  return crypto.createHmac('sha256', key).update(address).digest('hex').slice(0, 32);
+};
+
+// Address as { family, value } with value a BigInt (32 bits for IPv4, 128 for IPv6), or null
+const ipToBigInt = (ip) => {
+  const address = normalizeIp(ip);
+  const family = net.isIP(address || '');
+
+  if (family === 4) {
+    return { family, value: address.split('.').reduce((acc, octet) => (acc << 8n) + BigInt(octet), 0n) };
+  }
+  if (family === 6) {
+    // An embedded IPv4 tail (e.g. 64:ff9b::1.2.3.4) becomes two hextets
+    const withHextets = address.replace(/(\d+)\.(\d+)\.(\d+)\.(\d+)$/, (match, a, b, c, d) =>
+      `${((a << 8) + Number(b)).toString(16)}:${((c << 8) + Number(d)).toString(16)}`);
+    return { family, value: expandIpv6(withHextets).reduce((acc, hextet) => (acc << 16n) + BigInt(`0x${hextet}`), 0n) };
+  }
+  return null;
+};
+
+// Inverse of ipToBigInt; IPv6 is written with the longest run of zero hextets compressed
+const bigIntToIp = (family, value) => {
+  if (family === 4) {
+    return [24n, 16n, 8n, 0n].map(shift => String((value >> shift) & 0xffn)).join('.');
+  }
+  const hextets = Array.from({ length: 8 }, (_, i) => ((value >> BigInt(112 - 16 * i)) & 0xffffn).toString(16));
+  const runs = hextets.join(':').match(/(^|:)0(:0)+(:|$)/g) || [];
+  const longest = runs.reduce((best, run) => (run.length > best.length ? run : best), '');
+  return longest ? hextets.join(':').replace(longest, '::') : hextets.join(':');
+};
+
+// Range covered by a CIDR block ('203.0.113.0/24', '2001:db8::/32'; a bare address is a
+// single host) as { family, prefix, start, end, cidr } with BigInt bounds and the block
+// in canonical form, or null when invalid
+const parseCidr = (cidr) => {
+  if (typeof cidr !== 'string') {
+    return null;
+  }
+  const [address, bits, extra] = cidr.trim().split('/');
+  const parsed = ipToBigInt(address);
+  if (!parsed || extra !== undefined || (bits !== undefined && !/^\d{1,3}$/.test(bits))) {
+    return null;
+  }
+
+  const size = parsed.family === 4 ? 32 : 128;
+  const prefix = bits === undefined ? size : Number(bits);
+  if (prefix > size) {
+    return null;
+  }
+
+  const hostBits = BigInt(size - prefix);
+  const start = (parsed.value >> hostBits) << hostBits;
+  return {
+    family: parsed.family,
+    prefix,
+    start,
+    end: start + (1n << hostBits) - 1n,
+    cidr: `${bigIntToIp(parsed.family, start)}/${prefix}`
+  };
+};
+
+module.exports = {
+  normalizeIp,
+  expandIpv6,
+  ipToBigInt,
+  parseCidr,
+  ipPrefix,
+  truncateIp,
+  hashIp
+};
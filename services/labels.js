@@ -0,0 +1,100 @@
+const crypto = require('crypto');
+const Session = require('../models/Session');
+const SessionLabel = require('../models/SessionLabel');
+
+// Sessions updated per round trip during bulk labeling
+const CHUNK_SIZE = 500;
+
+// Who made a change, for the audit trail
+const auditFields = (apiKey, annotator) => ({
+  annotator: annotator || (apiKey ? apiKey.name : undefined),
+  api_key_id: apiKey ? apiKey._id : undefined,
+  api_key_name: apiKey ? apiKey.name : undefined
+});
+
+// Apply one label change to a chunk of sessions: history first, then the current label
+const applyChunk = async (sessions, change) => {
+  if (sessions.length === 0) return;
+
+  await SessionLabel.insertMany(sessions.map(session => ({
+    ...change.entry,
+    session_id: session.session_id,
+    site: session.site,
+    previous: session.label || null
+  })));
+
+  await Session.updateMany(
+    { _id: { $in: sessions.map(session => session._id) } },
+    change.update
+  );
+};
+
+const buildChange = ({ label, source, confidence, note, annotator, apiKey, bulkId }) => {
+  const audit = auditFields(apiKey, annotator);
+
+  if (!label) {
+    return {
+      entry: { action: 'clear', note, bulk_id: bulkId, ...audit },
+      update: { $unset: { label: '' } }
+    };
+  }
+
+  const current = {
+    label,
+    source,
+    confidence: confidence === undefined ? 1 : confidence,
+    annotator: audit.annotator,
+    labeled_at: new Date()
+  };
+  return {
+    entry: { action: 'label', ...current, note, bulk_id: bulkId, ...audit },
+    update: { $set: { label: current } }
+  };
+};
+
+// Label (or, with label null, unlabel) every session matching `query`, up to `limit`.
+// Returns the number of sessions changed.
+const labelSessions = async (query, { limit, ...options }) => {
+  const change = buildChange(options);
+  const cursor = Session.find(query)
+    .sort({ last_seen: -1 })
+    .limit(limit)
+    .select('session_id site label')
+    .lean()
+    .cursor({ batchSize: CHUNK_SIZE });
+
+  let chunk = [];
+  let labeled = 0;
+  for await (const session of cursor) {
+    chunk.push(session);
+    if (chunk.length === CHUNK_SIZE) {
+      await applyChunk(chunk, change);
+      labeled += chunk.length;
+      chunk = [];
+    }
+  }
+  await applyChunk(chunk, change);
+
+  return labeled + chunk.length;
+};
+
+// Label a single session; returns false when it does not exist (in scope)
+const labelSession = async (query, options) => (await labelSessions(query, { ...options, limit: 1 })) > 0;
+
+// Bulk requests share an id so the whole batch can be traced in the label history
+const generateBulkId = () => `bulk_${crypto.randomBytes(8).toString('hex')}`;
+
+const getLabelHistory = (sessionId, site = null) => SessionLabel.find({
+  session_id: sessionId,
+  ...(site ? { site } : {})
+})
+  .sort({ createdAt: -1 })
+  .select('-__v')
+  .lean();
+
+module.exports = {
+  labelSessions,
+  labelSession,
+  generateBulkId,
+  getLabelHistory
+};
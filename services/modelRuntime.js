@@ -0,0 +1,93 @@
+// Pure-JS inference for models trained offline. Two JSON formats are supported,
+// both reading the session features produced by scoringEngine.extractFeatures:
+//
+// logistic_regression
+//   { type, features: [name], weights: [w], intercept, impute?: [value], scaler?: { mean: [m], scale: [s] }, threshold? }
+//   p = sigmoid(intercept + sum(w * x)), x standardized when a scaler is given.
+//   Missing (null) features take the impute value, or 0.
+//
+// gradient_boosted_trees
+//   { type, features: [name], base_score?, trees: [node], threshold? }
+//   node = { leaf: value } | { feature: index, threshold, left: node, right: node, missing?: 'left' | 'right' }
+//   Goes left when x < threshold (XGBoost convention), missing values follow `missing` (default left).
+//   p = sigmoid(base_score + sum of leaf values), i.e. trees output log-odds.
+
+const sigmoid = (z) => 1 / (1 + Math.exp(-z));
+
+const featureVector = (names, features) => names.map(name => {
+  const value = features[name];
+  return typeof value === 'number' && isFinite(value) ? value : null;
+});
+
+const logisticRegression = (definition) => {
+  const { weights, intercept = 0, impute = [], scaler } = definition;
+
+  return (x) => sigmoid(x.reduce((z, value, i) => {
+    let input = value === null ? (typeof impute[i] === 'number' ? impute[i] : 0) : value;
+    if (scaler) {
+      input = (input - scaler.mean[i]) / (scaler.scale[i] || 1);
+    }
+    return z + weights[i] * input;
+  }, intercept));
+};
+
+const evaluateTree = (node, x) => {
+  let current = node;
+  while (current.leaf === undefined) {
+    const value = x[current.feature];
+    if (value === null) {
+      current = current.missing === 'right' ? current.right : current.left;
+    } else {
+      current = value < current.threshold ? current.left : current.right;
+    }
+  }
+  return current.leaf;
+};
+
+const gradientBoostedTrees = (definition) => {
+  const { trees, base_score: baseScore = 0 } = definition;
+  return (x) => sigmoid(trees.reduce((margin, tree) => margin + evaluateTree(tree, x), baseScore));
+};
+
+const BUILDERS = {
+  logistic_regression: logisticRegression,
+  gradient_boosted_trees: gradientBoostedTrees
+};
+
+// Turn a registry document into { version, threshold, predict(features) }
+const compileModel = (model, defaultThreshold) => {
+  const { definition } = model;
+  const run = BUILDERS[definition.type](definition);
+
+  return {
+    version: model.version,
+    threshold: typeof definition.threshold === 'number' ? definition.threshold : defaultThreshold,
+    predict: (features) => run(featureVector(definition.features, features))
+  };
+};
+
+// Depth limit keeps hostile uploads from blowing the stack during validation
+const MAX_TREE_DEPTH = 32;
+
+// Structural check of one tree; returns an error message or null
+const checkTree = (node, featureCount, depth = 0) => {
+  if (!node || typeof node !== 'object' || Array.isArray(node)) return 'node must be an object';
+  if (depth > MAX_TREE_DEPTH) return `trees must be at most ${MAX_TREE_DEPTH} levels deep`;
+  if (node.leaf !== undefined) {
+    return typeof node.leaf === 'number' && isFinite(node.leaf) ? null : 'leaf must be a number';
+  }
+  if (!Number.isInteger(node.feature) || node.feature < 0 || node.feature >= featureCount) {
+    return 'split feature must be an index into features';
+  }
+  if (typeof node.threshold !== 'number' || !isFinite(node.threshold)) return 'split threshold must be a number';
+  if (node.missing !== undefined && node.missing !== 'left' && node.missing !== 'right') {
+    return "missing must be 'left' or 'right'";
+  }
+  return checkTree(node.left, featureCount, depth + 1) || checkTree(node.right, featureCount, depth + 1);
+};
+
+module.exports = {
+  compileModel,
+  checkTree,
+  sigmoid
+};
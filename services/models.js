@@ -0,0 +1,128 @@
+const ScoringModel = require('../models/ScoringModel');
+const Session = require('../models/Session');
+const { compileModel } = require('./modelRuntime');
+
+// Deployed models are needed on every score, so keep the compiled ones briefly
+const CACHE_TTL_MS = 60 * 1000;
+let cache = null;
+
+// Resolve the compiled active and shadow models ({ active, shadow }, either may be null)
+const getDeployedModels = async (defaultThreshold) => {
+  if (cache && cache.expires > Date.now()) {
+    return cache.models;
+  }
+
+  const deployed = await ScoringModel.find({ status: { $in: ['active', 'shadow'] } }).lean();
+  const byStatus = (status) => {
+    const model = deployed.find(m => m.status === status);
+    return model ? compileModel(model, defaultThreshold) : null;
+  };
+
+  const models = { active: byStatus('active'), shadow: byStatus('shadow') };
+  cache = { models, expires: Date.now() + CACHE_TTL_MS };
+  return models;
+};
+
+const invalidateModels = () => {
+  cache = null;
+};
+
+const DUPLICATE_KEY_ERROR = 11000;
+// Concurrent uploads can pick the same version; the unique index lets one win
+const MAX_VERSION_ATTEMPTS = 5;
+
+// Versions are sequential: v1, v2, ...
+const nextVersion = async () => {
+  const latest = await ScoringModel.find().sort({ createdAt: -1 }).limit(1).select('version').lean();
+  const number = latest.length ? parseInt(latest[0].version.slice(1)) || 0 : 0;
+  return `v${number + 1}`;
+};
+
+// Store a new model under the next free version
+const createModel = async (fields) => {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await ScoringModel.create({ ...fields, version: await nextVersion() });
+    } catch (error) {
+      if (error.code !== DUPLICATE_KEY_ERROR || attempt >= MAX_VERSION_ATTEMPTS) {
+        throw error;
+      }
+    }
+  }
+};
+
+// Put a model into `status`, demoting whichever model held it (only one active, one shadow)
+const setModelStatus = async (version, status) => {
+  const model = await ScoringModel.findOne({ version });
+  if (!model) {
+    return null;
+  }
+
+  if (status !== 'inactive') {
+    await ScoringModel.updateMany({ status, version: { $ne: version } }, { $set: { status: 'inactive' } });
+  }
+
+  model.status = status;
+  if (status === 'active') {
+    model.activated_at = new Date();
+  }
+  await model.save();
+
+  invalidateModels();
+  return model;
+};
+
+// How a shadow model's scores compare with the active scores stored next to them,
+// including accuracy against ground-truth labels where sessions have one
+const compareShadow = async (version, site = null) => {
+  const [comparison] = await Session.aggregate([
+    { $match: { 'shadow_score.model_version': version, ...(site ? { site } : {}) } },
+    {
+      $project: {
+        active: '$bot_score.bot_probability',
+        shadow: '$shadow_score.bot_probability',
+        agree: { $eq: ['$bot_score.is_bot', '$shadow_score.is_bot'] },
+        labeled: { $in: [{ $ifNull: ['$label.label', null] }, ['bot', 'human']] },
+        truth: { $eq: ['$label.label', 'bot'] },
+        active_is_bot: '$bot_score.is_bot',
+        shadow_is_bot: '$shadow_score.is_bot'
+      }
+    },
+    {
+      $group: {
+        _id: null,
+        sessions: { $sum: 1 },
+        agreement: { $avg: { $cond: ['$agree', 1, 0] } },
+        mean_active_probability: { $avg: '$active' },
+        mean_shadow_probability: { $avg: '$shadow' },
+        mean_absolute_difference: { $avg: { $abs: { $subtract: ['$shadow', '$active'] } } },
+        labeled_sessions: { $sum: { $cond: ['$labeled', 1, 0] } },
+        active_correct: {
+          $sum: { $cond: [{ $and: ['$labeled', { $eq: ['$active_is_bot', '$truth'] }] }, 1, 0] }
+        },
+        shadow_correct: {
+          $sum: { $cond: [{ $and: ['$labeled', { $eq: ['$shadow_is_bot', '$truth'] }] }, 1, 0] }
+        }
+      }
+    }
+  ]);
+
+  if (!comparison) {
+    return { sessions: 0 };
+  }
+
+  const { _id, active_correct: activeCorrect, shadow_correct: shadowCorrect, ...result } = comparison;
+  return {
+    ...result,
+    active_accuracy: result.labeled_sessions ? activeCorrect / result.labeled_sessions : null,
+    shadow_accuracy: result.labeled_sessions ? shadowCorrect / result.labeled_sessions : null
+  };
+};
+
+module.exports = {
+  getDeployedModels,
+  invalidateModels,
+  createModel,
+  setModelStatus,
+  compareShadow
+};
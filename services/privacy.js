@@ -0,0 +1,187 @@
+const BehaviorData = require('../models/BehaviorData');
+const Session = require('../models/Session');
+const SessionLabel = require('../models/SessionLabel');
+const Site = require('../models/Site');
+const Device = require('../models/Device');
+const DeviceLink = require('../models/DeviceLink');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { truncateIp, hashIp } = require('./ip');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Secret for keyed IP hashing; ip_handling 'hash' cannot be used without it
+const IP_HASH_KEY = process.env.IP_HASH_KEY || null;
+
+// Server-wide rules for sites that do not set their own (Site.privacy)
+const DEFAULT_PRIVACY = {
+  ip_handling: process.env.IP_HANDLING || 'raw',
+  retention_days: parseInt(process.env.RAW_EVENT_RETENTION_DAYS) || 0,
+  redact_click_text: process.env.REDACT_CLICK_TEXT !== 'false',
+  strip_query_strings: process.env.STRIP_QUERY_STRINGS !== 'false'
+};
+
+// Refuse to start with a default that would fail every ingest
+if (!Site.IP_HANDLING.includes(DEFAULT_PRIVACY.ip_handling)) {
+  throw new Error(`IP_HANDLING must be one of ${Site.IP_HANDLING.join(', ')}`);
+}
+if (DEFAULT_PRIVACY.ip_handling === 'hash' && !IP_HASH_KEY) {
+  throw new Error('IP_HANDLING=hash requires IP_HASH_KEY to be set');
+}
+
+// Privacy rules in force for a site
+const resolvePrivacy = (site) => {
+  const own = site && site.privacy ? site.privacy.toObject() : {};
+  return Object.keys(DEFAULT_PRIVACY).reduce((acc, key) => ({
+    ...acc,
+    [key]: own[key] === undefined || own[key] === null ? DEFAULT_PRIVACY[key] : own[key]
+  }), {});
+};
+
+const anonymizeIp = (ip, mode) => {
+  if (!ip || mode === 'raw') {
+    return ip;
+  }
+  if (mode === 'truncate') {
+    return truncateIp(ip);
+  }
+  if (!IP_HASH_KEY) {
+    throw new Error('IP_HASH_KEY must be set to hash IP addresses');
+  }
+  return hashIp(ip, IP_HASH_KEY);
+};
+
+const stripQuery = (url) => (typeof url === 'string' ? url.split(/[?#]/)[0] : url);
+
+// Apply a site's privacy rules to a batch before it is stored. Raw events get an
+// expires_at when the site has a retention period; the TTL index removes them then.
+const applyPrivacy = (batch, privacy) => {
+  const redacted = { ...batch, ip_address: anonymizeIp(batch.ip_address, privacy.ip_handling) };
+
+  // The forwarding chain and X-Real-IP hold addresses too
+  if (batch.request_meta) {
+    redacted.request_meta = {
+      ...batch.request_meta,
+      forwarded_for: (batch.request_meta.forwarded_for || []).map(ip => anonymizeIp(ip, privacy.ip_handling)),
+      real_ip: anonymizeIp(batch.request_meta.real_ip, privacy.ip_handling)
+    };
+  }
+
+  if (privacy.redact_click_text && Array.isArray(batch.click_events)) {
+    redacted.click_events = batch.click_events.map(({ text, ...click }) => click);
+  }
+
+  if (privacy.strip_query_strings) {
+    redacted.current_url = stripQuery(batch.current_url);
+    if (Array.isArray(batch.page_views)) {
+      redacted.page_views = batch.page_views.map(view => ({
+        ...view,
+        url: stripQuery(view.url),
+        ref: stripQuery(view.ref)
+      }));
+    }
+  }
+
+  if (privacy.retention_days > 0) {
+    redacted.expires_at = new Date(Date.now() + privacy.retention_days * DAY_MS);
+  }
+
+  return redacted;
+};
+
+// IP and user-agent links are shared with the device's other sessions, so erasing a
+// session takes its batches off their counts and deletes the links no other batch
+// supports, along with their place in the device's ip_count / user_agent_count.
+// Resolves to the number of links deleted.
+const releaseSharedLinks = async (batches) => {
+  const counts = new Map();
+  batches.filter(batch => batch.fingerprint_hash).forEach(batch => {
+    [['ip', batch.ip_address], ['user_agent', batch.user_agent]].forEach(([type, value]) => {
+      if (value) {
+        const filter = { site: batch.site, fingerprint_hash: batch.fingerprint_hash, type, value };
+        const key = JSON.stringify(filter);
+        const link = counts.get(key) || { filter, count: 0 };
+        link.count += 1;
+        counts.set(key, link);
+      }
+    });
+  });
+  if (counts.size === 0) {
+    return 0;
+  }
+
+  const links = [...counts.values()];
+  await DeviceLink.bulkWrite(links.map(({ filter, count }) => ({
+    updateOne: { filter, update: { $inc: { batch_count: -count } } }
+  })), { ordered: false });
+
+  const unused = await DeviceLink.find({ $or: links.map(({ filter }) => filter), batch_count: { $lte: 0 } })
+    .select('site fingerprint_hash type')
+    .lean();
+  if (unused.length === 0) {
+    return 0;
+  }
+
+  await DeviceLink.deleteMany({ _id: { $in: unused.map(link => link._id) } });
+  await Device.bulkWrite(unused.map(link => ({
+    updateOne: {
+      filter: { site: link.site, fingerprint_hash: link.fingerprint_hash },
+      update: { $inc: { [`${link.type}_count`]: -1 } }
+    }
+  })), { ordered: false });
+  return unused.length;
+};
+
+// Erase everything stored about one session (data-subject request): raw batches, the
+// session summary, its label history, its device links and webhook deliveries about
+// it. Rollups only hold counts
+// and are left alone. Resolves to the deleted counts, or null for an unknown session.
+const eraseSession = async (sessionId, siteScope = null) => {
+  const query = { session_id: sessionId, ...(siteScope ? { site: siteScope } : {}) };
+
+  const [session, hasBatches] = await Promise.all([
+    Session.exists(query),
+    BehaviorData.exists(query)
+  ]);
+  if (!session && !hasBatches) {
+    return null;
+  }
+
+  const linkQuery = { type: 'session', value: sessionId, ...(siteScope ? { site: siteScope } : {}) };
+  const links = await DeviceLink.find(linkQuery).select('site fingerprint_hash').lean();
+  const linkedBatches = await BehaviorData.find(query).select('site fingerprint_hash ip_address user_agent').lean();
+
+  const [batches, sessions, labels, deviceLinks, webhookDeliveries] = await Promise.all([
+    BehaviorData.deleteMany(query),
+    Session.deleteMany(query),
+    SessionLabel.deleteMany(query),
+    DeviceLink.deleteMany(linkQuery),
+    WebhookDelivery.deleteMany(query)
+  ]);
+
+  if (links.length > 0) {
+    await Device.bulkWrite(links.map(link => ({
+      updateOne: {
+        filter: { site: link.site, fingerprint_hash: link.fingerprint_hash },
+        update: { $inc: { session_count: -1 } }
+      }
+    })), { ordered: false });
+  }
+  const sharedLinks = await releaseSharedLinks(linkedBatches);
+
+  return {
+    batches: batches.deletedCount,
+    sessions: sessions.deletedCount,
+    labels: labels.deletedCount,
+    device_links: deviceLinks.deletedCount + sharedLinks,
+    webhook_deliveries: webhookDeliveries.deletedCount
+  };
+};
+
+module.exports = {
+  resolvePrivacy,
+  applyPrivacy,
+  anonymizeIp,
+  eraseSession,
+  DEFAULT_PRIVACY,
+  IP_HASH_KEY
+};
@@ -0,0 +1,167 @@
+const RateLimitCounter = require('../models/RateLimitCounter');
+const RateLimitBlock = require('../models/RateLimitBlock');
+
+// 'mongo' shares counters across instances (needed on Vercel); 'memory' is per process
+const STORE_TYPE = process.env.RATE_LIMIT_STORE ||
+  (process.env.NODE_ENV === 'production' ? 'mongo' : 'memory');
+
+// Block durations for the 1st, 2nd, 3rd... violation of a key; the last one repeats
+const BLOCK_DURATIONS_MS = [60 * 1000, 5 * 60 * 1000, 30 * 60 * 1000, 24 * 60 * 60 * 1000];
+
+// Violations are forgiven after this long without a new one
+const STRIKE_DECAY_MS = 24 * 60 * 60 * 1000;
+
+// Keys tracked by the memory block store; the oldest are dropped beyond this
+const MAX_MEMORY_BLOCKS = 10000;
+
+const DUPLICATE_KEY_ERROR = 11000;
+
+const blockDuration = (level) => BLOCK_DURATIONS_MS[Math.min(level, BLOCK_DURATIONS_MS.length) - 1];
+
+// express-rate-limit Store backed by MongoDB, using one atomic fixed-window update per hit
+const createMongoCounterStore = () => {
+  let windowMs = 60 * 1000;
+
+  return {
+    init(options) {
+      windowMs = options.windowMs;
+    },
+
+    async get(key) {
+      const counter = await RateLimitCounter.findOne({ key, reset_at: { $gt: new Date() } }).lean();
+      return counter ? { totalHits: counter.hits, resetTime: counter.reset_at } : undefined;
+    },
+
+    async increment(key) {
+      const now = new Date();
+      const windowOpen = { $gt: ['$reset_at', now] };
+
+      const upsert = () => RateLimitCounter.findOneAndUpdate(
+        { key },
+        [{
+          $set: {
+            hits: { $cond: [windowOpen, { $add: ['$hits', 1] }, 1] },
+            reset_at: { $cond: [windowOpen, '$reset_at', new Date(now.getTime() + windowMs)] }
+          }
+        }],
+        { upsert: true, new: true, lean: true }
+      );
+
+      try {
+        let counter;
+        try {
+          counter = await upsert();
+        } catch (error) {
+          // The first hits of a key raced and the other one created the counter
+          if (error.code !== DUPLICATE_KEY_ERROR) {
+            throw error;
+          }
+          counter = await upsert();
+        }
+        return { totalHits: counter.hits, resetTime: counter.reset_at };
+      } catch (error) {
+        // Fail open like the block check: a store outage must not turn requests into 500s
+        console.error('Error incrementing rate limit counter:', error);
+        return { totalHits: 0, resetTime: new Date(now.getTime() + windowMs) };
+      }
+    },
+
+    async decrement(key) {
+      await RateLimitCounter.updateOne({ key, hits: { $gt: 0 } }, { $inc: { hits: -1 } });
+    },
+
+    async resetKey(key) {
+      await RateLimitCounter.deleteOne({ key });
+    }
+  };
+};
+
+// Escalating block stores: isBlocked(keys) returns the active block for any key,
+// strike(key) records a violation and blocks the key for the next duration
+const createMemoryBlockStore = () => {
+  const blocks = new Map();
+
+  return {
+    async isBlocked(keys) {
+      const now = Date.now();
+      for (const key of keys) {
+        const block = blocks.get(key);
+        if (block && block.expires_at <= now) {
+          blocks.delete(key);
+        } else if (block && block.blocked_until > now) {
+          return { key, level: block.level, blocked_until: new Date(block.blocked_until) };
+        }
+      }
+      return null;
+    },
+
+    async strike(key) {
+      const now = Date.now();
+      const previous = blocks.get(key);
+      const level = previous && previous.expires_at > now ? previous.level + 1 : 1;
+      const blockedUntil = now + blockDuration(level);
+
+      // Map order is insertion order, so re-inserting keeps the oldest strikes first
+      blocks.delete(key);
+      if (blocks.size >= MAX_MEMORY_BLOCKS) {
+        blocks.forEach((block, blockedKey) => {
+          if (block.expires_at <= now) {
+            blocks.delete(blockedKey);
+          }
+        });
+        if (blocks.size >= MAX_MEMORY_BLOCKS) {
+          blocks.delete(blocks.keys().next().value);
+        }
+      }
+      blocks.set(key, { level, blocked_until: blockedUntil, expires_at: blockedUntil + STRIKE_DECAY_MS });
+      return { key, level, blocked_until: new Date(blockedUntil) };
+    }
+  };
+};
+
+const createMongoBlockStore = () => ({
+  async isBlocked(keys) {
+    const block = await RateLimitBlock.findOne({
+      key: { $in: keys },
+      blocked_until: { $gt: new Date() }
+    }).lean();
+    return block ? { key: block.key, level: block.level, blocked_until: block.blocked_until } : null;
+  },
+
+  async strike(key) {
+    const now = new Date();
+
+    const { level } = await RateLimitBlock.findOneAndUpdate(
+      { key },
+      [{
+        $set: {
+          level: { $cond: [{ $gt: ['$expires_at', now] }, { $add: ['$level', 1] }, 1] },
+          expires_at: new Date(now.getTime() + STRIKE_DECAY_MS)
+        }
+      }],
+      { upsert: true, new: true, lean: true }
+    );
+
+    const blockedUntil = new Date(now.getTime() + blockDuration(level));
+    await RateLimitBlock.updateOne(
+      { key },
+      { $set: { blocked_until: blockedUntil, expires_at: new Date(blockedUntil.getTime() + STRIKE_DECAY_MS) } }
+    );
+
+    return { key, level, blocked_until: blockedUntil };
+  }
+});
+
+// Counter store for one limiter; undefined lets express-rate-limit use its memory store
+const createCounterStore = () => (STORE_TYPE === 'mongo' ? createMongoCounterStore() : undefined);
+
+const blockStore = STORE_TYPE === 'mongo' ? createMongoBlockStore() : createMemoryBlockStore();
+
+module.exports = {
+  createCounterStore,
+  createMongoCounterStore,
+  createMemoryBlockStore,
+  createMongoBlockStore,
+  blockStore,
+  STORE_TYPE
+};
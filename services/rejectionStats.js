@@ -0,0 +1,45 @@
+const RejectionStat = require('../models/RejectionStat');
+const { findSiteByKey } = require('./sites');
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+// Count a rejected request once per distinct reason it failed for, under the site it
+// was sent for. Requests are rejected before their site_key is trusted, so keys that
+// name no active site are counted under null rather than stored.
+const recordRejection = async (reasons, siteKey = null) => {
+  const now = new Date();
+  const day = today();
+  const unique = [...new Set(reasons)];
+  const site = await findSiteByKey(siteKey);
+
+  await RejectionStat.bulkWrite(unique.map(reason => ({
+    updateOne: {
+      filter: { day, site: site ? site.site_key : null, reason },
+      update: { $inc: { count: 1 }, $set: { last_rejected_at: now } },
+      upsert: true
+    }
+  })));
+};
+
+// Rejection totals per reason over the last `days` days, plus the daily breakdown.
+// Pass a site to only count that site's rejections.
+const getRejectionStats = async (days = 7, site = null) => {
+  const since = new Date(Date.now() - (days - 1) * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+  const daily = await RejectionStat.find({ day: { $gte: since }, ...(site ? { site } : {}) })
+    .sort({ day: -1, count: -1 })
+    .select('-_id day site reason count last_rejected_at')
+    .lean();
+
+  const totals = daily.reduce((acc, { reason, count }) => {
+    acc[reason] = (acc[reason] || 0) + count;
+    return acc;
+  }, {});
+
+  return { since, totals, daily };
+};
+
+module.exports = {
+  recordRejection,
+  getRejectionStats
+};
@@ -0,0 +1,194 @@
+const ReputationEntry = require('../models/ReputationEntry');
+const { parseCidr, ipToBigInt } = require('./ip');
+
+// Tag recorded on a session for each list and entry kind it matches; a list only
+// accepts the kinds named here
+const TAGS = {
+  datacenter: { ip: 'datacenter_ip' },
+  crawler: { ip: 'crawler_ip', user_agent: 'declared_crawler' },
+  deny: { ip: 'deny_listed_ip', user_agent: 'deny_listed_user_agent' },
+  allow: { ip: 'allow_listed_ip', user_agent: 'allow_listed_user_agent' }
+};
+
+// Added when a declared crawler also comes from one of the crawler ranges
+const VERIFIED_CRAWLER_TAG = 'verified_crawler';
+
+const MAX_PATTERN_LENGTH = 256;
+const MAX_PATTERN_WILDCARDS = 8;
+
+// Entries are matched on every ingest, so the compiled lists are cached briefly
+const CACHE_TTL_MS = 60 * 1000;
+let cache = null;
+
+// Canonical value for an entry: { value } or { error }
+const normalizeEntry = (list, kind, value) => {
+  if (!TAGS[list] || !TAGS[list][kind]) {
+    return { error: `${list} entries must be of kind ${Object.keys(TAGS[list] || {}).join(' or ') || 'ip'}` };
+  }
+  if (typeof value !== 'string' || !value.trim()) {
+    return { error: 'value is required' };
+  }
+
+  if (kind === 'ip') {
+    const range = parseCidr(value);
+    return range ? { value: range.cidr } : { error: `${value} is not a valid IP address or CIDR block` };
+  }
+
+  // User-agent patterns are plain text with '*' wildcards, never regular expressions:
+  // they run against a client-controlled header on every ingest
+  const pattern = value.trim().replace(/\*+/g, '*');
+  if (pattern.length > MAX_PATTERN_LENGTH) {
+    return { error: `patterns must be at most ${MAX_PATTERN_LENGTH} characters` };
+  }
+  if (!pattern.replace(/\*/g, '')) {
+    return { error: 'patterns must contain more than wildcards' };
+  }
+  if (pattern.split('*').length - 1 > MAX_PATTERN_WILDCARDS) {
+    return { error: `patterns may contain at most ${MAX_PATTERN_WILDCARDS} '*' wildcards` };
+  }
+  return { value: pattern };
+};
+
+// Case-insensitive match of a pattern anywhere in a user agent. Each literal part is
+// found after the previous one with indexOf, so matching never backtracks.
+const patternMatcher = (pattern) => {
+  const parts = pattern.toLowerCase().split('*').filter(Boolean);
+  return (userAgent) => {
+    const text = userAgent.toLowerCase();
+    let position = 0;
+    return parts.every((part) => {
+      const index = text.indexOf(part, position);
+      position = index + part.length;
+      return index !== -1;
+    });
+  };
+};
+
+const blockKey = (family, prefix, network) => `${family}/${prefix}/${network}`;
+
+// IP entries are indexed by block, with the prefix lengths in use per family, so a lookup
+// costs one Map read per distinct prefix length instead of a scan of every entry
+const buildMatchers = (entries) => {
+  const blocks = new Map();
+  const prefixes = { 4: new Set(), 6: new Set() };
+  const userAgents = [];
+
+  entries.forEach((entry) => {
+    if (entry.kind === 'ip') {
+      const range = parseCidr(entry.value);
+      if (!range) {
+        return;
+      }
+      const key = blockKey(range.family, range.prefix, range.start);
+      blocks.set(key, [...(blocks.get(key) || []), entry]);
+      prefixes[range.family].add(range.prefix);
+    } else {
+      userAgents.push({ entry, test: patternMatcher(entry.value) });
+    }
+  });
+
+  return { blocks, prefixes, userAgents };
+};
+
+const matchIp = ({ blocks, prefixes }, address) => {
+  if (!address) {
+    return [];
+  }
+  const size = address.family === 4 ? 32 : 128;
+  return [...prefixes[address.family]].flatMap((prefix) => {
+    const hostBits = BigInt(size - prefix);
+    return blocks.get(blockKey(address.family, prefix, (address.value >> hostBits) << hostBits)) || [];
+  });
+};
+
+const matchUserAgent = ({ userAgents }, userAgent) => (userAgent
+  ? userAgents.filter(({ test }) => test(userAgent)).map(({ entry }) => entry)
+  : []);
+
+const loadMatchers = async () => {
+  if (cache && cache.expires > Date.now()) {
+    return cache.matchers;
+  }
+
+  const entries = await ReputationEntry.find().select('list kind value site').lean();
+  const matchers = buildMatchers(entries);
+  cache = { matchers, expires: Date.now() + CACHE_TTL_MS };
+  return matchers;
+};
+
+const invalidateReputation = () => {
+  cache = null;
+};
+
+// Entries (global or the site's own) matching a request, and the tags they give it
+const checkReputation = async ({ ip, userAgent, site = null }) => {
+  const address = ipToBigInt(ip);
+  const matchers = await loadMatchers();
+
+  const matches = [...matchIp(matchers, address), ...matchUserAgent(matchers, userAgent)]
+    .filter(entry => !entry.site || entry.site === site);
+
+  const tags = new Set(matches.map(entry => TAGS[entry.list][entry.kind]));
+  if (tags.has('declared_crawler') && tags.has('crawler_ip')) {
+    tags.add(VERIFIED_CRAWLER_TAG);
+  }
+
+  return { tags: [...tags].sort(), matches };
+};
+
+// Deny-listed unless an allow entry also matched
+const isDenyListed = (tags) => tags.some(tag => tag.startsWith('deny_listed_')) &&
+  !tags.some(tag => tag.startsWith('allow_listed_'));
+
+// Add (or update the notes of) many entries of one list and kind. With `replace`, entries
+// of the same list, kind, site and source that are not in `values` are removed, so
+// re-importing a file keeps the list in sync with it. Resolves to the counts and the
+// values that were rejected.
+const importEntries = async ({ list, kind, values, site = null, source, replace = false, createdBy }) => {
+  const invalid = [];
+  const valid = new Map();
+  values.forEach(({ value, note }) => {
+    const normalized = normalizeEntry(list, kind, value);
+    if (normalized.error) {
+      invalid.push({ value, error: normalized.error });
+    } else {
+      valid.set(normalized.value, note);
+    }
+  });
+
+  let upserted = 0;
+  let updated = 0;
+  if (valid.size > 0) {
+    const result = await ReputationEntry.bulkWrite([...valid].map(([value, note]) => ({
+      updateOne: {
+        filter: { list, kind, value, site },
+        update: {
+          $set: { source, ...(note ? { note } : {}) },
+          $setOnInsert: { created_by: createdBy }
+        },
+        upsert: true
+      }
+    })), { ordered: false });
+    upserted = result.upsertedCount;
+    updated = result.matchedCount;
+  }
+
+  let removed = 0;
+  if (replace) {
+    const result = await ReputationEntry.deleteMany({ list, kind, site, source, value: { $nin: [...valid.keys()] } });
+    removed = result.deletedCount;
+  }
+
+  invalidateReputation();
+  return { added: upserted, updated, removed, invalid };
+};
+
+module.exports = {
+  checkReputation,
+  isDenyListed,
+  normalizeEntry,
+  importEntries,
+  invalidateReputation,
+  TAGS,
+  VERIFIED_CRAWLER_TAG
+};
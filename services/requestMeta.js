@@ -0,0 +1,73 @@
+const { normalizeIp } = require('./ip');
+
+// Caps so a client cannot make us store arbitrarily large header data
+const MAX_CHAIN_LENGTH = 20;
+const MAX_HEADER_NAMES = 64;
+const MAX_VALUE_LENGTH = 512;
+
+const truncate = (value) => (typeof value === 'string' ? value.slice(0, MAX_VALUE_LENGTH) : undefined);
+
+// Every address a request passed through, client first: the X-Forwarded-For entries as
+// received (whether or not their proxies are trusted), then the connecting peer
+const forwardingChain = (req) => {
+  const forwarded = (req.get('X-Forwarded-For') || '')
+    .split(',')
+    .map(entry => normalizeIp(entry))
+    .filter(Boolean);
+  const peer = normalizeIp(req.socket.remoteAddress);
+  return [...forwarded, ...(peer ? [peer] : [])].slice(-MAX_CHAIN_LENGTH).map(truncate);
+};
+
+// User-Agent client hints (Sec-CH-UA, Sec-CH-UA-Mobile, Sec-CH-UA-Platform, ...) keyed by
+// header name. Cross-origin collector requests only carry the low-entropy ones unless the
+// embedding page delegates the others.
+const clientHints = (req) => {
+  const hints = {};
+  Object.keys(req.headers)
+    .filter(name => name.startsWith('sec-ch-ua'))
+    .forEach(name => {
+      hints[name] = truncate(req.headers[name]);
+    });
+  return Object.keys(hints).length > 0 ? hints : undefined;
+};
+
+// Header names in the order the client sent them, lowercased. Browsers, HTTP libraries
+// and headless tools each have a characteristic order.
+const headerOrder = (req) => {
+  const names = [];
+  for (let i = 0; i < req.rawHeaders.length && names.length < MAX_HEADER_NAMES; i += 2) {
+    names.push(req.rawHeaders[i].toLowerCase());
+  }
+  return names;
+};
+
+// TLS details of the connection when it terminates at this server (not behind a proxy)
+const tlsInfo = (req) => {
+  if (!req.socket.encrypted) {
+    return undefined;
+  }
+  const cipher = req.socket.getCipher && req.socket.getCipher();
+  return {
+    protocol: req.socket.getProtocol ? req.socket.getProtocol() : undefined,
+    cipher: cipher ? cipher.name : undefined,
+    alpn: req.socket.alpnProtocol || undefined
+  };
+};
+
+// Server-side request metadata stored with each ingested batch
+const requestMetadata = (req) => ({
+  client_ip_source: req.clientIpSource,
+  forwarded_for: forwardingChain(req),
+  real_ip: truncate(normalizeIp(req.get('X-Real-IP')) || undefined),
+  forwarded_proto: truncate(req.get('X-Forwarded-Proto')),
+  accept_language: truncate(req.get('Accept-Language')),
+  client_hints: clientHints(req),
+  http_version: req.httpVersion,
+  tls: tlsInfo(req),
+  header_order: headerOrder(req)
+});
+
+module.exports = {
+  requestMetadata,
+  forwardingChain
+};
@@ -0,0 +1,521 @@
+const BehaviorData = require('../models/BehaviorData');
+const { maxSeverity } = require('./consistencyRules');
+const { recordSessionScore } = require('./sessions');
+const { getDeployedModels } = require('./models');
+const { checkScoreAlert } = require('./alerts');
+
+// Relative weight of each signal in the combined bot probability
+const SIGNAL_WEIGHTS = {
+  mouse_curvature: 1.5,
+  mouse_velocity_variance: 1.5,
+  click_move_correlation: 2,
+  key_timing_entropy: 1.5,
+  scroll_cadence: 1,
+  time_on_page: 1,
+  no_interaction: 2,
+  fingerprint_consistency: 2,
+  honeypot: 5,
+  untrusted_events: 4,
+  invisible_clicks: 3,
+  pointerless_clicks: 1,
+  static_sensors: 2,
+  datacenter_ip: 1.5,
+  declared_crawler: 3,
+  deny_listed: 5
+};
+
+// Signals that are near-proof of automation on their own: when one fires, the
+// session scores at least that signal's score however the others average out
+const DECISIVE_SIGNALS = ['honeypot', 'untrusted_events', 'invisible_clicks', 'declared_crawler', 'deny_listed'];
+
+// Bot likelihood for the most severe fingerprint contradiction (by severity rank)
+const INCONSISTENCY_SCORES = { 1: 0.6, 2: 0.8, 3: 0.95 };
+
+// Fewest motion samples before sensor noise is judged, and the acceleration
+// spread (m/s^2) below which readings count as constant
+const MIN_MOTION_SAMPLES = 10;
+const STATIC_SENSOR_NOISE = 0.001;
+
+// Stored batch fields the scorer reads
+const SCORED_FIELDS = 'mouse_events click_events scroll_events key_events page_views touch_events ' +
+  'pointer_events motion_events honeypot_events consistency_flags reputation_tags';
+
+// Probability returned when a session has no usable signals at all
+const NEUTRAL_SCORE = 0.5;
+
+// Score at or above which a session is considered a bot
+const BOT_THRESHOLD = parseFloat(process.env.BOT_SCORE_THRESHOLD) || 0.7;
+
+// model_version recorded for scores from the built-in weighted signals
+const HEURISTIC_VERSION = 'heuristic';
+
+const clamp = (value, min = 0, max = 1) => Math.min(max, Math.max(min, value));
+
+const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+const stdDev = (values) => {
+  const avg = mean(values);
+  return Math.sqrt(mean(values.map(v => (v - avg) ** 2)));
+};
+
+// Coefficient of variation (std / mean), 0 when the mean is 0
+const coefficientOfVariation = (values) => {
+  const avg = mean(values);
+  return avg === 0 ? 0 : stdDev(values) / avg;
+};
+
+// Shannon entropy (bits) of values bucketed into fixed-width bins
+const binnedEntropy = (values, binSize) => {
+  const counts = {};
+  values.forEach(v => {
+    const bin = Math.floor(v / binSize);
+    counts[bin] = (counts[bin] || 0) + 1;
+  });
+  return Object.values(counts).reduce((entropy, count) => {
+    const p = count / values.length;
+    return entropy - p * Math.log2(p);
+  }, 0);
+};
+
+// Sort by timestamp and drop events repeated across overlapping batches
+const dedupeByTime = (events, keyFn) => {
+  const seen = new Set();
+  return events
+    .filter(e => e && typeof e.t === 'number')
+    .filter(e => {
+      const key = keyFn(e);
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .sort((a, b) => a.t - b.t);
+};
+
+// Merge every stored batch of a session into one set of event streams
+const mergeBatches = (batches) => {
+  const merged = {
+    mouse_events: [],
+    click_events: [],
+    scroll_events: [],
+    key_events: [],
+    page_views: [],
+    touch_events: [],
+    pointer_events: [],
+    motion_events: [],
+    honeypot_events: []
+  };
+
+  batches.forEach(batch => {
+    Object.keys(merged).forEach(field => {
+      if (Array.isArray(batch[field])) {
+        merged[field].push(...batch[field]);
+      }
+    });
+  });
+
+  // Batches without consistency_flags predate the checks and are ignored
+  const flagged = batches.filter(batch => Array.isArray(batch.consistency_flags));
+  const consistencyFlags = flagged.length === 0 ? null : Object.values(
+    flagged.flatMap(batch => batch.consistency_flags)
+      .reduce((byRule, flag) => ({ ...byRule, [flag.rule]: flag }), {})
+  );
+
+  // Same for batches stored before reputation lists existed
+  const tagged = batches.filter(batch => Array.isArray(batch.reputation_tags));
+  const reputationTags = tagged.length === 0 ? null : [...new Set(tagged.flatMap(batch => batch.reputation_tags))];
+
+  return {
+    consistency_flags: consistencyFlags,
+    reputation_tags: reputationTags,
+    mouse_events: dedupeByTime(merged.mouse_events, e => `${e.t}:${e.x}:${e.y}`),
+    click_events: dedupeByTime(merged.click_events, e => `${e.t}:${e.x}:${e.y}`),
+    scroll_events: dedupeByTime(merged.scroll_events, e => `${e.t}:${e.x}:${e.y}`),
+    key_events: dedupeByTime(merged.key_events, e => `${e.t}:${e.keyCode}:${e.location}:${e.ctrl}:${e.shift}:${e.alt}:${e.meta}`),
+    page_views: dedupeByTime(merged.page_views, e => `${e.t}:${e.url}:${e.type || ''}`),
+    touch_events: dedupeByTime(merged.touch_events, e => `${e.t}:${e.ph}:${e.x}:${e.y}`),
+    pointer_events: dedupeByTime(merged.pointer_events, e => `${e.t}:${e.ph}:${e.x}:${e.y}`),
+    motion_events: dedupeByTime(merged.motion_events, e => `${e.t}`),
+    honeypot_events: dedupeByTime(merged.honeypot_events, e => `${e.t}:${e.kind}:${e.action}`)
+  };
+};
+
+// Straightness of the mouse path: straight-line distance over travelled distance,
+// averaged across movement strokes separated by pauses
+const mouseCurvature = (mouseEvents) => {
+  const STROKE_GAP_MS = 500;
+  const ratios = [];
+  let stroke = [];
+
+  const closeStroke = () => {
+    if (stroke.length >= 3) {
+      let travelled = 0;
+      for (let i = 1; i < stroke.length; i++) {
+        travelled += Math.hypot(stroke[i].x - stroke[i - 1].x, stroke[i].y - stroke[i - 1].y);
+      }
+      const first = stroke[0];
+      const last = stroke[stroke.length - 1];
+      const direct = Math.hypot(last.x - first.x, last.y - first.y);
+      if (travelled > 0) ratios.push(direct / travelled);
+    }
+    stroke = [];
+  };
+
+  mouseEvents.forEach(e => {
+    if (stroke.length && e.t - stroke[stroke.length - 1].t > STROKE_GAP_MS) {
+      closeStroke();
+    }
+    stroke.push(e);
+  });
+  closeStroke();
+
+  return ratios.length ? mean(ratios) : null;
+};
+
+// Speeds (px/ms) between consecutive mouse samples
+const mouseVelocities = (mouseEvents) => {
+  const velocities = [];
+  for (let i = 1; i < mouseEvents.length; i++) {
+    const dt = mouseEvents[i].t - mouseEvents[i - 1].t;
+    if (dt <= 0 || dt > 1000) continue;
+    const distance = Math.hypot(
+      mouseEvents[i].x - mouseEvents[i - 1].x,
+      mouseEvents[i].y - mouseEvents[i - 1].y
+    );
+    velocities.push(distance / dt);
+  }
+  return velocities;
+};
+
+// Share of clicks preceded by mouse movement ending near the click point. Both lists
+// are sorted by time (see mergeBatches), so a sliding window over the moves only ever
+// compares a click with the moves of the second before it.
+const clickMoveCorrelation = (clickEvents, mouseEvents) => {
+  const WINDOW_MS = 1000;
+  const RADIUS_PX = 50;
+
+  let start = 0;
+  const correlated = clickEvents.filter(click => {
+    while (start < mouseEvents.length && mouseEvents[start].t < click.t - WINDOW_MS) {
+      start++;
+    }
+    for (let i = start; i < mouseEvents.length && mouseEvents[i].t <= click.t; i++) {
+      if (Math.hypot(mouseEvents[i].x - click.x, mouseEvents[i].y - click.y) <= RADIUS_PX) {
+        return true;
+      }
+    }
+    return false;
+  });
+
+  return correlated.length / clickEvents.length;
+};
+
+const intervals = (events) => {
+  const result = [];
+  for (let i = 1; i < events.length; i++) {
+    result.push(events[i].t - events[i - 1].t);
+  }
+  return result;
+};
+
+// Largest per-axis spread of acceleration across motion samples. Real accelerometers
+// always jitter; emulated devices tend to report the same reading every time.
+const motionNoise = (motionEvents) => {
+  const samples = motionEvents
+    .filter(e => typeof e.ax === 'number' && typeof e.ay === 'number' && typeof e.az === 'number');
+  if (samples.length < MIN_MOTION_SAMPLES) return null;
+  return Math.max(...['ax', 'ay', 'az'].map(axis => stdDev(samples.map(e => e[axis]))));
+};
+
+// Share of events matching `predicate`, among those carrying `field`
+// (null when none do, e.g. batches from collectors that predate the field)
+const ratioOf = (events, field, predicate) => {
+  const known = events.filter(e => e[field] !== undefined && e[field] !== null);
+  return known.length ? known.filter(predicate).length / known.length : null;
+};
+
+// 1 when the session carries the reputation tag, 0 when it does not, null when unknown
+const tagFeature = (tags, predicate) => (tags ? Number(tags.some(predicate)) : null);
+
+// Turn merged event streams into raw numeric features
+const extractFeatures = (events) => {
+  const { mouse_events, click_events, scroll_events, key_events, page_views } = events;
+  const honeypotEvents = events.honeypot_events || [];
+  const touchEvents = events.touch_events || [];
+  const pointerEvents = events.pointer_events || [];
+  const motionEvents = events.motion_events || [];
+  const features = {
+    mouse_event_count: mouse_events.length,
+    click_event_count: click_events.length,
+    scroll_event_count: scroll_events.length,
+    key_event_count: key_events.length,
+    page_view_count: page_views.length,
+    touch_event_count: touchEvents.length,
+    pointer_event_count: pointerEvents.length,
+    motion_sample_count: motionEvents.length,
+    mouse_curvature: null,
+    mouse_velocity_cv: null,
+    click_move_correlation: null,
+    key_timing_entropy: null,
+    scroll_interval_cv: null,
+    time_on_page_ms: null,
+    fingerprint_inconsistency: null,
+    honeypot_interactions: honeypotEvents.length,
+    untrusted_event_ratio: ratioOf([...click_events, ...key_events], 'trusted', e => e.trusted === false),
+    invisible_click_ratio: ratioOf(click_events, 'vis', e => e.vis === false),
+    // Keyboard activation also clicks at (0,0) without a pointerdown, so this is weak evidence
+    pointerless_click_ratio: ratioOf(click_events, 'pd', e => e.pd === false && e.x === 0 && e.y === 0),
+    motion_noise: motionNoise(motionEvents),
+    datacenter_ip: tagFeature(events.reputation_tags, tag => tag === 'datacenter_ip'),
+    declared_crawler: tagFeature(events.reputation_tags, tag => tag === 'declared_crawler'),
+    verified_crawler: tagFeature(events.reputation_tags, tag => tag === 'verified_crawler'),
+    deny_listed: tagFeature(events.reputation_tags, tag => tag.startsWith('deny_listed_')),
+    allow_listed: tagFeature(events.reputation_tags, tag => tag.startsWith('allow_listed_'))
+  };
+
+  if (events.consistency_flags) {
+    features.fingerprint_inconsistency = maxSeverity(events.consistency_flags);
+  }
+
+  if (mouse_events.length >= 3) {
+    features.mouse_curvature = mouseCurvature(mouse_events);
+  }
+
+  const velocities = mouseVelocities(mouse_events);
+  if (velocities.length >= 5) {
+    features.mouse_velocity_cv = coefficientOfVariation(velocities);
+  }
+
+  if (click_events.length > 0) {
+    features.click_move_correlation = clickMoveCorrelation(click_events, mouse_events);
+  }
+
+  const keyIntervals = intervals(key_events).filter(dt => dt > 0 && dt < 2000);
+  if (keyIntervals.length >= 5) {
+    features.key_timing_entropy = binnedEntropy(keyIntervals, 20);
+  }
+
+  const scrollIntervals = intervals(scroll_events).filter(dt => dt > 0);
+  if (scrollIntervals.length >= 3) {
+    features.scroll_interval_cv = coefficientOfVariation(scrollIntervals);
+  }
+
+  // One pass: spreading every timestamp of a long session into Math.max can exceed the
+  // engine's argument limit
+  const timestamps = [mouse_events, click_events, scroll_events, key_events, page_views, touchEvents, pointerEvents]
+    .flat()
+    .map(e => e.t);
+  if (timestamps.length >= 2) {
+    const range = timestamps.reduce(
+      (acc, t) => ({ min: Math.min(acc.min, t), max: Math.max(acc.max, t) }),
+      { min: Infinity, max: -Infinity }
+    );
+    features.time_on_page_ms = range.max - range.min;
+  }
+
+  return features;
+};
+
+// Map each available feature to a 0-1 bot likelihood with a human-readable reason
+const evaluateSignals = (features) => {
+  const signals = [];
+  const add = (name, value, score, reason) => {
+    signals.push({ signal: name, value, score: clamp(score), weight: SIGNAL_WEIGHTS[name], reason });
+  };
+
+  const interactionCount = features.mouse_event_count + features.click_event_count +
+    features.scroll_event_count + features.key_event_count + features.touch_event_count +
+    features.pointer_event_count;
+  if (interactionCount === 0) {
+    add('no_interaction', 0, 0.9, 'No mouse, touch, click, scroll or key activity recorded');
+  }
+
+  if (features.mouse_curvature !== null) {
+    // Human strokes rarely exceed ~0.9 straightness; scripted moves sit near 1
+    const score = (features.mouse_curvature - 0.8) / 0.2;
+    add('mouse_curvature', features.mouse_curvature, score,
+      score >= 0.5 ? 'Mouse paths are unnaturally straight' : 'Mouse paths show natural curvature');
+  }
+
+  if (features.mouse_velocity_cv !== null) {
+    // Humans accelerate and decelerate; constant-speed movement is a bot tell
+    const score = 1 - features.mouse_velocity_cv / 0.6;
+    add('mouse_velocity_variance', features.mouse_velocity_cv, score,
+      score >= 0.5 ? 'Mouse velocity is nearly constant' : 'Mouse velocity varies naturally');
+  }
+
+  if (features.click_move_correlation !== null) {
+    const score = 1 - features.click_move_correlation;
+    add('click_move_correlation', features.click_move_correlation, score,
+      score >= 0.5 ? 'Clicks occur without preceding mouse movement' : 'Clicks follow mouse movement');
+  }
+
+  if (features.key_timing_entropy !== null) {
+    // Scripted typing lands in one or two timing bins
+    const score = 1 - features.key_timing_entropy / 3;
+    add('key_timing_entropy', features.key_timing_entropy, score,
+      score >= 0.5 ? 'Keystroke timing is highly regular' : 'Keystroke timing varies naturally');
+  }
+
+  if (features.scroll_interval_cv !== null) {
+    const score = 1 - features.scroll_interval_cv / 0.5;
+    add('scroll_cadence', features.scroll_interval_cv, score,
+      score >= 0.5 ? 'Scrolling happens at a fixed cadence' : 'Scrolling cadence is irregular');
+  }
+
+  if (features.time_on_page_ms !== null) {
+    // Under ~2s is suspicious, over ~10s looks like a normal visit
+    const score = 1 - (features.time_on_page_ms - 2000) / 8000;
+    add('time_on_page', features.time_on_page_ms, score,
+      score >= 0.5 ? 'Session activity spans very little time' : 'Session duration looks natural');
+  }
+
+  if (features.fingerprint_inconsistency) {
+    // A consistent fingerprint is weak evidence either way, so only contradictions count
+    add('fingerprint_consistency', features.fingerprint_inconsistency,
+      INCONSISTENCY_SCORES[features.fingerprint_inconsistency],
+      'Fingerprint contradicts itself (headless or spoofed browser)');
+  }
+
+  // Integrity signals only count when they fire: trusted events and visible targets
+  // are trivial for automation driven through real input APIs
+  if (features.honeypot_interactions > 0) {
+    add('honeypot', features.honeypot_interactions, 0.99,
+      'Interacted with an invisible honeypot link or field');
+  }
+
+  if (features.untrusted_event_ratio) {
+    add('untrusted_events', features.untrusted_event_ratio, 0.9 + 0.1 * features.untrusted_event_ratio,
+      'Clicks or key presses were dispatched by script (isTrusted is false)');
+  }
+
+  if (features.invisible_click_ratio) {
+    add('invisible_clicks', features.invisible_click_ratio, 0.95,
+      'Clicks landed on invisible elements');
+  }
+
+  if (features.pointerless_click_ratio) {
+    add('pointerless_clicks', features.pointerless_click_ratio, 0.5 + 0.5 * features.pointerless_click_ratio,
+      'Clicks at (0,0) without a preceding pointer press');
+  }
+
+  if (features.motion_noise !== null && features.motion_noise < STATIC_SENSOR_NOISE) {
+    add('static_sensors', features.motion_noise, 0.85,
+      'Device motion sensors report identical readings (emulated device)');
+  }
+
+  // Reputation lists (services/reputation). Allow-listed traffic is exempt from the deny
+  // list only; a crawler is a bot whether or not its IP verifies it.
+  if (features.datacenter_ip) {
+    add('datacenter_ip', 1, 0.8, 'Traffic comes from a datacenter or cloud IP range');
+  }
+
+  if (features.declared_crawler) {
+    add('declared_crawler', 1, 0.99, features.verified_crawler
+      ? 'User agent declares a crawler and the IP belongs to that crawler'
+      : 'User agent declares a crawler from an IP outside the known crawler ranges');
+  }
+
+  if (features.deny_listed && !features.allow_listed) {
+    add('deny_listed', 1, 0.99, 'IP or user agent is on the deny list');
+  }
+
+  return signals;
+};
+
+// Weighted average of signal scores, raised to the strongest decisive signal
+const combineSignals = (signals) => {
+  if (signals.length === 0) return NEUTRAL_SCORE;
+  const totalWeight = signals.reduce((sum, s) => sum + s.weight, 0);
+  const average = signals.reduce((sum, s) => sum + s.score * s.weight, 0) / totalWeight;
+  const decisive = signals.filter(s => DECISIVE_SIGNALS.includes(s.signal)).map(s => s.score);
+  return Math.max(average, ...decisive);
+};
+
+const round = (probability) => Math.round(probability * 1000) / 1000;
+
+// Score already-merged event streams with a compiled model (services/modelRuntime),
+// or the weighted heuristic signals when no model is given. Signals are always
+// returned because they explain the score.
+const scoreEvents = (events, model = null) => {
+  const features = extractFeatures(events);
+  const signals = evaluateSignals(features);
+  const probability = round(model ? model.predict(features) : combineSignals(signals));
+  const threshold = model ? model.threshold : BOT_THRESHOLD;
+
+  return {
+    bot_probability: probability,
+    is_bot: probability >= threshold,
+    threshold,
+    model_version: model ? model.version : HEURISTIC_VERSION,
+    signals,
+    consistency_flags: events.consistency_flags || [],
+    features
+  };
+};
+
+// Load every stored batch for a session, score it with the active model (heuristic
+// when none is active) and store the result as the session's latest score; null when
+// the session is unknown. A shadow model, if any, scores the same features alongside.
+// With record: false the score is only returned: nothing is stored and no alerts fire.
+// Pass a site to only consider that site's batches; without one, the site of the
+// earliest batch is scored, as sessions of different sites may share an id.
+const scoreSession = async (sessionId, site = null, { record = true } = {}) => {
+  const query = { session_id: sessionId };
+  if (site) {
+    query.site = site;
+  }
+
+  const found = await BehaviorData.find(query)
+    .sort({ collected_at: 1 })
+    .select(`site ${SCORED_FIELDS}`)
+    .lean();
+
+  if (found.length === 0) {
+    return null;
+  }
+
+  const scoredSite = site || found[0].site || null;
+  const batches = found.filter(batch => (batch.site || null) === scoredSite);
+
+  const { active, shadow } = await getDeployedModels(BOT_THRESHOLD);
+  const merged = mergeBatches(batches);
+  const score = {
+    session_id: sessionId,
+    batches: batches.length,
+    ...scoreEvents(merged, active),
+    scored_at: new Date().toISOString()
+  };
+
+  if (shadow) {
+    const probability = round(shadow.predict(score.features));
+    score.shadow = {
+      model_version: shadow.version,
+      bot_probability: probability,
+      is_bot: probability >= shadow.threshold
+    };
+  }
+
+  if (!record) {
+    return score;
+  }
+
+  await recordSessionScore(score, scoredSite);
+
+  await checkScoreAlert(score, scoredSite).catch(error => {
+    console.error('Error checking score alerts:', error);
+  });
+
+  return score;
+};
+
+module.exports = {
+  mergeBatches,
+  extractFeatures,
+  evaluateSignals,
+  scoreEvents,
+  scoreSession,
+  BOT_THRESHOLD,
+  HEURISTIC_VERSION,
+  SCORED_FIELDS,
+  FEATURE_NAMES: Object.keys(extractFeatures(mergeBatches([])))
+};
@@ -0,0 +1,197 @@
+const Session = require('../models/Session');
+
+const EVENT_FIELDS = [
+  'mouse_events', 'click_events', 'scroll_events', 'key_events', 'page_views',
+  'touch_events', 'pointer_events', 'motion_events', 'orientation_events'
+];
+
+// Caps for the per-session lists so a misbehaving client cannot grow a document forever
+const MAX_PAGE_PATHS = 200;
+const MAX_IP_ADDRESSES = 50;
+const MAX_USER_AGENTS = 10;
+
+const DUPLICATE_KEY_ERROR = 11000;
+
+// Internal fields hidden from API responses
+const INTERNAL_FIELDS = '-__v -watermarks -last_seq';
+
+// Client-supplied values go through $literal so strings starting with '$' are never
+// read as field paths by the update pipeline
+const literal = (value) => ({ $literal: value });
+
+const counter = (field, amount) => ({ $add: [{ $ifNull: [`$${field}`, 0] }, amount] });
+
+const cappedUnion = (field, values, max) => ({
+  $slice: [{ $setUnion: [{ $ifNull: [`$${field}`, []] }, literal(values)] }, max]
+});
+
+const eventTimes = (events) => (Array.isArray(events) ? events : [])
+  .map(e => e && e.t)
+  .filter(t => typeof t === 'number');
+
+// Fold one stored batch into its session with a single atomic pipeline update:
+// counters, first/last seen, page paths, IPs, latest fingerprint, duration and the
+// deduplication watermarks all move together
+const recordSessionBatch = async (record) => {
+  const seenAt = record.collected_at ? new Date(record.collected_at) : new Date();
+
+  const set = {
+    session_id: literal(record.session_id),
+    site: literal(record.site || null),
+    first_seen: { $min: ['$first_seen', seenAt] },
+    last_seen: { $max: ['$last_seen', seenAt] },
+    batch_count: counter('batch_count', 1),
+    page_paths: cappedUnion(
+      'page_paths',
+      [...new Set((record.page_views || []).map(view => view.url).filter(Boolean))],
+      MAX_PAGE_PATHS
+    ),
+    ip_addresses: cappedUnion('ip_addresses', record.ip_address ? [record.ip_address] : [], MAX_IP_ADDRESSES),
+    user_agents: cappedUnion('user_agents', record.user_agent ? [record.user_agent] : [], MAX_USER_AGENTS)
+  };
+
+  const honeypotEvents = Array.isArray(record.honeypot_events) ? record.honeypot_events.length : 0;
+  if (honeypotEvents > 0) {
+    set.honeypot_events_count = counter('honeypot_events_count', honeypotEvents);
+  }
+
+  if (typeof record.session_start === 'number') {
+    set.session_start = { $min: ['$session_start', record.session_start] };
+  }
+
+  const allTimes = [];
+  EVENT_FIELDS.forEach(field => {
+    const times = eventTimes(record[field]);
+    set[`${field}_count`] = counter(`${field}_count`, times.length);
+    if (times.length > 0) {
+      const latest = Math.max(...times);
+      set[`watermarks.${field}`] = { $max: [`$watermarks.${field}`, latest] };
+      allTimes.push(Math.min(...times), latest);
+    }
+  });
+
+  if (allTimes.length > 0) {
+    set.first_event_at = { $min: ['$first_event_at', Math.min(...allTimes)] };
+    set.last_event_at = { $max: ['$last_event_at', Math.max(...allTimes)] };
+  }
+
+  if (typeof record.seq === 'number') {
+    set.last_seq = { $max: ['$last_seq', record.seq] };
+  }
+
+  if (Array.isArray(record.reputation_tags) && record.reputation_tags.length > 0) {
+    set.reputation_tags = { $setUnion: [{ $ifNull: ['$reputation_tags', []] }, literal(record.reputation_tags)] };
+  }
+
+  if (record.fingerprint) {
+    set.fingerprint = literal(record.fingerprint);
+    set.fingerprint_hash = literal(record.fingerprint_hash || null);
+    set.consistency_flags = literal(record.consistency_flags || []);
+  }
+
+  const upsert = () => Session.updateOne(
+    { site: record.site || null, session_id: record.session_id },
+    [
+      { $set: set },
+      {
+        $set: {
+          duration_ms: {
+            $max: [0, { $subtract: [{ $ifNull: ['$last_event_at', '$session_start'] }, '$session_start'] }]
+          }
+        }
+      }
+    ],
+    { upsert: true }
+  );
+
+  try {
+    return await upsert();
+  } catch (error) {
+    // Two first batches of a session raced and the other one created it; the retry
+    // matches that document and folds this batch into it
+    if (error.code === DUPLICATE_KEY_ERROR) {
+      return upsert();
+    }
+    throw error;
+  }
+};
+
+// Store the latest bot score (and shadow model score, if any) on the site's session
+const recordSessionScore = (score, site = null) => {
+  const scoredAt = new Date(score.scored_at);
+  const update = {
+    $set: {
+      bot_score: {
+        bot_probability: score.bot_probability,
+        is_bot: score.is_bot,
+        model_version: score.model_version,
+        scored_at: scoredAt
+      }
+    }
+  };
+
+  if (score.shadow) {
+    update.$set.shadow_score = { ...score.shadow, scored_at: scoredAt };
+  } else {
+    update.$unset = { shadow_score: '' };
+  }
+
+  return Session.updateOne({ site, session_id: score.session_id }, update);
+};
+
+const toDate = (value) => {
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+// Session query from listing filters. Shared by GET /api/sessions (query-string values)
+// and bulk labeling (JSON values) so analysts can label exactly what they listed.
+const sessionQuery = (filter = {}) => {
+  const query = {};
+
+  if (String(filter.is_bot) === 'true' || String(filter.is_bot) === 'false') {
+    query['bot_score.is_bot'] = String(filter.is_bot) === 'true';
+  }
+
+  const minScore = parseFloat(filter.min_score);
+  const maxScore = parseFloat(filter.max_score);
+  if (!isNaN(minScore) || !isNaN(maxScore)) {
+    query['bot_score.bot_probability'] = {};
+    if (!isNaN(minScore)) query['bot_score.bot_probability'].$gte = minScore;
+    if (!isNaN(maxScore)) query['bot_score.bot_probability'].$lte = maxScore;
+  }
+
+  if (filter.label === 'unlabeled') {
+    query['label.label'] = null;
+  } else if (filter.label) {
+    query['label.label'] = String(filter.label);
+  }
+  if (filter.label_source) {
+    query['label.source'] = String(filter.label_source);
+  }
+
+  const from = filter.from && toDate(filter.from);
+  const to = filter.to && toDate(filter.to);
+  if (from || to) {
+    query.last_seen = {};
+    if (from) query.last_seen.$gte = from;
+    if (to) query.last_seen.$lt = to;
+  }
+
+  if (filter.fingerprint_hash) {
+    query.fingerprint_hash = String(filter.fingerprint_hash);
+  }
+
+  if (filter.reputation_tag) {
+    query.reputation_tags = String(filter.reputation_tag);
+  }
+
+  return query;
+};
+
+module.exports = {
+  recordSessionBatch,
+  recordSessionScore,
+  sessionQuery,
+  INTERNAL_FIELDS
+};
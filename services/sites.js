@@ -0,0 +1,52 @@
+const crypto = require('crypto');
+const Site = require('../models/Site');
+
+// Sites are looked up on every ingest and CORS check, so cache them briefly
+const CACHE_TTL_MS = 60 * 1000;
+const MAX_CACHED_SITES = 1000;
+const cache = new Map();
+
+// Site assumed for collectors deployed before site keys existed
+const DEFAULT_SITE_KEY = process.env.DEFAULT_SITE_KEY || null;
+
+const generateSiteKey = () => 'site_' + crypto.randomBytes(12).toString('base64url');
+
+// Resolve an active site by its public key, or null
+const findSiteByKey = async (siteKey) => {
+  if (!siteKey || typeof siteKey !== 'string') {
+    return null;
+  }
+
+  const cached = cache.get(siteKey);
+  if (cached && cached.expires > Date.now()) {
+    // Re-insert so the Map stays in least recently used order
+    cache.delete(siteKey);
+    cache.set(siteKey, cached);
+    return cached.site;
+  }
+  cache.delete(siteKey);
+
+  // Unknown keys are not cached: anyone can send them, and each would take an entry
+  const site = await Site.findOne({ site_key: siteKey, active: true });
+  if (site) {
+    if (cache.size >= MAX_CACHED_SITES) {
+      cache.delete(cache.keys().next().value);
+    }
+    cache.set(siteKey, { site, expires: Date.now() + CACHE_TTL_MS });
+  }
+  return site;
+};
+
+const invalidateSite = (siteKey) => cache.delete(siteKey);
+
+const normalizeOrigins = (origins) => [...new Set(
+  origins.map(origin => (origin === '*' ? origin : origin.trim().replace(/\/+$/, '').toLowerCase()))
+)];
+
+module.exports = {
+  findSiteByKey,
+  invalidateSite,
+  generateSiteKey,
+  normalizeOrigins,
+  DEFAULT_SITE_KEY
+};
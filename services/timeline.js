@@ -0,0 +1,137 @@
+const BehaviorData = require('../models/BehaviorData');
+const { mergeBatches } = require('./scoringEngine');
+
+// Events returned for one session; long sessions are cut at this many events
+const MAX_TIMELINE_EVENTS = 20000;
+
+// Page views that start a new page segment; tab returns and exits stay inside the page
+const NAVIGATION_TYPES = ['load', 'spa_navigation', 'spa_pushstate', 'spa_replacestate'];
+
+const TIMELINE_FIELDS = 'mouse_events click_events scroll_events key_events touch_events page_views';
+
+// Replayable shape of each event type. Key codes are left out on purpose: together
+// with their timing they would reveal what the visitor typed. Page views come first so
+// that, after the stable sort, a page view opens its page ahead of same-ms events.
+const EVENT_SHAPES = {
+  // The collector sends the landing page view without a type
+  page_views: (e) => ({ type: 'page_view', url: e.url, view_type: e.type || 'load', title: e.title }),
+  mouse_events: (e) => ({ type: 'mouse', x: e.x, y: e.y }),
+  click_events: (e) => ({
+    type: 'click',
+    x: e.x,
+    y: e.y,
+    button: e.btn,
+    target: e.tgt,
+    trusted: e.trusted,
+    visible: e.vis
+  }),
+  scroll_events: (e) => ({
+    type: 'scroll',
+    x: e.x,
+    y: e.y,
+    viewport_width: e.vw,
+    viewport_height: e.vh,
+    document_width: e.docW,
+    document_height: e.docH
+  }),
+  key_events: (e) => ({
+    type: 'key',
+    ctrl: e.ctrl,
+    shift: e.shift,
+    alt: e.alt,
+    meta: e.meta,
+    trusted: e.trusted
+  }),
+  touch_events: (e) => ({ type: 'touch', phase: e.ph, x: e.x, y: e.y, touches: e.n })
+};
+
+const isNavigation = (event) => event.type === 'page_view' && NAVIGATION_TYPES.includes(event.view_type);
+
+const maxOf = (values) => {
+  const numbers = values.filter(value => typeof value === 'number');
+  return numbers.length ? Math.max(...numbers) : null;
+};
+
+// Page dimensions seen in a segment's scroll events, for sizing the replay stage
+const dimensionsOf = (events) => {
+  const scrolls = events.filter(e => e.type === 'scroll');
+  return {
+    viewport_width: maxOf(scrolls.map(e => e.viewport_width)),
+    viewport_height: maxOf(scrolls.map(e => e.viewport_height)),
+    document_width: maxOf(scrolls.map(e => e.document_width)),
+    document_height: maxOf(scrolls.map(e => e.document_height))
+  };
+};
+
+// Split a time-ordered stream into pages at each navigation page view
+const segmentPages = (events) => {
+  const pages = [];
+  let current = null;
+
+  events.forEach(event => {
+    if (!current || isNavigation(event)) {
+      current = {
+        url: event.type === 'page_view' ? event.url : null,
+        title: event.type === 'page_view' ? event.title : null,
+        start_ms: event.t,
+        events: []
+      };
+      pages.push(current);
+    }
+    current.events.push(event);
+  });
+
+  return pages.map((page, index) => ({
+    index,
+    url: page.url,
+    title: page.title,
+    start_ms: page.start_ms,
+    end_ms: page.events[page.events.length - 1].t,
+    event_count: page.events.length,
+    ...dimensionsOf(page.events),
+    events: page.events
+  }));
+};
+
+// Every stored batch of a session merged into one deduplicated, time-ordered stream,
+// split into page segments. Event times (t) are ms since the session's first event.
+// Resolves to null when the session has no stored batches in scope.
+const buildTimeline = async (sessionId, siteScope = null) => {
+  const query = { session_id: sessionId };
+  if (siteScope) {
+    query.site = siteScope;
+  }
+
+  const batches = await BehaviorData.find(query).select(`site ${TIMELINE_FIELDS}`).lean();
+  if (batches.length === 0) {
+    return null;
+  }
+
+  const merged = mergeBatches(batches);
+  const events = Object.keys(EVENT_SHAPES)
+    .flatMap(field => merged[field].map(e => ({ t: e.t, ...EVENT_SHAPES[field](e) })))
+    .sort((a, b) => a.t - b.t);
+
+  const truncated = events.length > MAX_TIMELINE_EVENTS;
+  const kept = truncated ? events.slice(0, MAX_TIMELINE_EVENTS) : events;
+  const startedAt = kept.length ? kept[0].t : null;
+  kept.forEach(event => {
+    event.t -= startedAt;
+  });
+
+  return {
+    session_id: sessionId,
+    site: batches[0].site,
+    batches: batches.length,
+    started_at: startedAt === null ? null : new Date(startedAt).toISOString(),
+    duration_ms: kept.length ? kept[kept.length - 1].t : 0,
+    event_count: kept.length,
+    truncated,
+    pages: segmentPages(kept)
+  };
+};
+
+module.exports = {
+  buildTimeline,
+  MAX_TIMELINE_EVENTS
+};
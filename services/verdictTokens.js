@@ -0,0 +1,148 @@
+const crypto = require('crypto');
+const SigningKey = require('../models/SigningKey');
+const UsedToken = require('../models/UsedToken');
+
+// Tokens are short-lived: the collector refreshes them with every verdict poll
+const TOKEN_TTL_SECONDS = parseInt(process.env.VERDICT_TOKEN_TTL_SECONDS) || 300;
+
+// Signing keys are needed on every verdict poll and verify call, so cache them briefly
+const CACHE_TTL_MS = 60 * 1000;
+
+// Another instance may keep signing with a key for up to CACHE_TTL_MS after it was
+// retired, so a retired key verifies for that long plus one token lifetime
+const RETIRED_KEY_GRACE_MS = CACHE_TTL_MS + TOKEN_TTL_SECONDS * 1000;
+let cache = null;
+
+const DUPLICATE_KEY_ERROR = 11000;
+
+const base64url = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+const sign = (data, secret) => crypto.createHmac('sha256', secret).update(data).digest('base64url');
+
+// Keys that may still verify a token: unretired ones, and retired ones for RETIRED_KEY_GRACE_MS
+const loadKeys = async ({ force = false } = {}) => {
+  if (!force && cache && cache.expires > Date.now()) {
+    return cache.keys;
+  }
+
+  const keys = await SigningKey.find({
+    $or: [{ retired_at: null }, { retired_at: { $gt: new Date(Date.now() - RETIRED_KEY_GRACE_MS) } }]
+  })
+    .sort({ createdAt: -1 })
+    .lean();
+
+  cache = { keys, expires: Date.now() + CACHE_TTL_MS };
+  return keys;
+};
+
+// Create a new signing key and retire the previous ones
+const rotateSigningKey = async (createdBy = 'system') => {
+  const key = await SigningKey.create({
+    kid: crypto.randomBytes(8).toString('hex'),
+    secret: crypto.randomBytes(32).toString('base64url'),
+    created_by: createdBy
+  });
+
+  await SigningKey.updateMany({ retired_at: null, kid: { $ne: key.kid } }, { $set: { retired_at: new Date() } });
+
+  cache = null;
+  return key;
+};
+
+// Newest unretired key; the first one is created on demand
+const currentKey = async () => {
+  const keys = await loadKeys();
+  return keys.find(key => !key.retired_at) || rotateSigningKey();
+};
+
+// Sign a verdict: { token, expires_at }
+const issueToken = async ({ session_id: sessionId, site, bot_probability: score, is_bot: isBot }) => {
+  const key = await currentKey();
+  const now = Math.floor(Date.now() / 1000);
+  const claims = {
+    sid: sessionId,
+    site,
+    score,
+    bot: isBot,
+    iat: now,
+    exp: now + TOKEN_TTL_SECONDS,
+    jti: crypto.randomBytes(12).toString('base64url')
+  };
+
+  const unsigned = `${base64url({ alg: 'HS256', typ: 'JWT', kid: key.kid })}.${base64url(claims)}`;
+  return {
+    token: `${unsigned}.${sign(unsigned, key.secret)}`,
+    expires_at: new Date(claims.exp * 1000)
+  };
+};
+
+const parsePart = (part) => {
+  try {
+    const value = JSON.parse(Buffer.from(part, 'base64url').toString('utf8'));
+    return value && typeof value === 'object' ? value : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Check a token's signature, expiry and (when given) its site and session, then mark it
+// used so it verifies only once. A token failing any check is left unused.
+// Returns { valid: true, claims } or { valid: false, reason }.
+const verifyToken = async (token, { site = null, sessionId = null } = {}) => {
+  const parts = typeof token === 'string' ? token.split('.') : [];
+  const header = parts.length === 3 && parsePart(parts[0]);
+  const claims = parts.length === 3 && parsePart(parts[1]);
+  if (!header || !claims || header.alg !== 'HS256' || typeof claims.jti !== 'string') {
+    return { valid: false, reason: 'malformed' };
+  }
+
+  // A key rotated on another instance may not be in this instance's cache yet
+  let key = (await loadKeys()).find(k => k.kid === header.kid);
+  if (!key) {
+    key = (await loadKeys({ force: true })).find(k => k.kid === header.kid);
+  }
+  if (!key) {
+    return { valid: false, reason: 'unknown_key' };
+  }
+
+  const expected = Buffer.from(sign(`${parts[0]}.${parts[1]}`, key.secret));
+  const actual = Buffer.from(parts[2]);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return { valid: false, reason: 'bad_signature' };
+  }
+
+  if (typeof claims.exp !== 'number' || claims.exp * 1000 <= Date.now()) {
+    return { valid: false, reason: 'expired' };
+  }
+
+  if (site && claims.site !== site) {
+    return { valid: false, reason: 'wrong_site' };
+  }
+  if (sessionId && claims.sid !== sessionId) {
+    return { valid: false, reason: 'session_mismatch' };
+  }
+
+  try {
+    await UsedToken.create({
+      jti: claims.jti,
+      session_id: claims.sid,
+      site: claims.site,
+      expires_at: new Date(claims.exp * 1000)
+    });
+  } catch (error) {
+    if (error.code === DUPLICATE_KEY_ERROR) {
+      return { valid: false, reason: 'already_used' };
+    }
+    throw error;
+  }
+
+  return { valid: true, claims };
+};
+
+module.exports = {
+  issueToken,
+  verifyToken,
+  rotateSigningKey,
+  loadKeys,
+  TOKEN_TTL_SECONDS
+};
@@ -0,0 +1,36 @@
+const Session = require('../models/Session');
+const { scoreSession } = require('./scoringEngine');
+
+// Latest verdict for a session of `site`: the stored score while it is still current,
+// a fresh score when batches arrived since. null when the session is unknown.
+const currentVerdict = async (sessionId, site) => {
+  const session = await Session.findOne({ session_id: sessionId, site })
+    .select('bot_score last_seen')
+    .lean();
+
+  if (!session) {
+    return null;
+  }
+
+  const stored = session.bot_score;
+  const verdict = stored && stored.scored_at && stored.scored_at >= session.last_seen
+    ? stored
+    : await scoreSession(sessionId, site);
+
+  if (!verdict) {
+    return null;
+  }
+
+  return {
+    session_id: sessionId,
+    site,
+    bot_probability: verdict.bot_probability,
+    is_bot: verdict.is_bot,
+    model_version: verdict.model_version,
+    scored_at: new Date(verdict.scored_at)
+  };
+};
+
+module.exports = {
+  currentVerdict
+};
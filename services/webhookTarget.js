@@ -0,0 +1,69 @@
+const dns = require('dns');
+const net = require('net');
+const { normalizeIp } = require('./ip');
+
+// Addresses a webhook may never reach: loopback, private, carrier-grade NAT, link-local
+// (including cloud metadata endpoints), benchmarking, multicast and reserved ranges
+const BLOCKED_RANGES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4],
+  ['240.0.0.0', 4]
+].forEach(([network, prefix]) => BLOCKED_RANGES.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['100::', 64], ['fc00::', 7],
+  ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => BLOCKED_RANGES.addSubnet(network, prefix, 'ipv6'));
+
+const isPublicAddress = (ip) => {
+  const address = normalizeIp(ip);
+  const family = net.isIP(address || '');
+  return family !== 0 && !BLOCKED_RANGES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+};
+
+const forbidden = (host) => `${host} resolves to a private, loopback or link-local address`;
+
+// Check that every address of a webhook URL's host is public. Resolves to an error
+// message, or null when the URL may be called.
+const checkWebhookTarget = async (url) => {
+  let host;
+  try {
+    host = new URL(url).hostname.replace(/^\[|\]$/g, '');
+  } catch (error) {
+    return 'url is not a valid URL';
+  }
+
+  if (net.isIP(host)) {
+    return isPublicAddress(host) ? null : forbidden(host);
+  }
+
+  let addresses;
+  try {
+    addresses = await dns.promises.lookup(host, { all: true, verbatim: true });
+  } catch (error) {
+    return `${host} cannot be resolved`;
+  }
+  return addresses.every(({ address }) => isPublicAddress(address)) ? null : forbidden(host);
+};
+
+// dns.lookup replacement for outgoing webhook requests. It checks the addresses the
+// connection will actually use, so a host that resolves differently after the
+// checkWebhookTarget check (DNS rebinding) is still refused.
+const safeLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) {
+      return callback(error);
+    }
+    const addresses = Array.isArray(address) ? address.map(entry => entry.address) : [address];
+    if (!addresses.every(isPublicAddress)) {
+      return callback(new Error(forbidden(hostname)));
+    }
+    callback(null, address, family);
+  });
+};
+
+module.exports = {
+  checkWebhookTarget,
+  isPublicAddress,
+  safeLookup
+};
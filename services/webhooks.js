@@ -0,0 +1,262 @@
+const crypto = require('crypto');
+const https = require('https');
+const mongoose = require('mongoose');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { checkWebhookTarget, safeLookup } = require('./webhookTarget');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Wait before the 2nd, 3rd... attempt of a delivery; it fails after the last one
+const RETRY_DELAYS_MS = [60 * 1000, 5 * 60 * 1000, 30 * 60 * 1000, 2 * 60 * 60 * 1000, 12 * 60 * 60 * 1000];
+const MAX_ATTEMPTS = RETRY_DELAYS_MS.length + 1;
+
+const DELIVERY_TIMEOUT_MS = 10 * 1000;
+// A claimed delivery is released to other workers after this long
+const LOCK_MS = 60 * 1000;
+// Attempts kept in a delivery's log
+const MAX_LOGGED_ATTEMPTS = 10;
+
+const LOG_RETENTION_DAYS = parseInt(process.env.WEBHOOK_LOG_RETENTION_DAYS) || 30;
+
+// Long-running servers poll the queue for due retries; new events are also sent right away
+const WORKER_INTERVAL_MS = 15 * 1000;
+const WORKER_BATCH_SIZE = 20;
+
+// Webhooks are looked up on every ingest, so cache each site's list briefly
+const CACHE_TTL_MS = 60 * 1000;
+const cache = new Map();
+
+const DUPLICATE_KEY_ERROR = 11000;
+
+const SIGNATURE_HEADER = 'X-BotDetector-Signature';
+
+const generateSecret = () => 'whsec_' + crypto.randomBytes(24).toString('base64url');
+
+// Signature header value for a request body: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">.
+// Receivers recompute v1 with their secret and reject old timestamps to stop replays.
+const signPayload = (body, secret, timestamp = Math.floor(Date.now() / 1000)) => {
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+};
+
+// Active webhooks of a site subscribed to `event`
+const webhooksFor = async (site, event) => {
+  if (!site) {
+    return [];
+  }
+
+  let cached = cache.get(site);
+  if (!cached || cached.expires <= Date.now()) {
+    cached = { webhooks: await Webhook.find({ site, active: true }).lean(), expires: Date.now() + CACHE_TTL_MS };
+    cache.set(site, cached);
+  }
+  return cached.webhooks.filter(webhook => webhook.events.includes(event));
+};
+
+const invalidateWebhooks = (site) => cache.delete(site);
+
+// Queue one event for one webhook. Resolves to the delivery, or null when an event with
+// the same dedupe key was already queued for the webhook.
+const enqueueDelivery = async (webhook, event, data, { dedupeKey, sessionId, status = 'pending' } = {}) => {
+  const id = new mongoose.Types.ObjectId();
+  const createdAt = new Date();
+
+  try {
+    return await WebhookDelivery.create({
+      _id: id,
+      webhook: webhook._id,
+      site: webhook.site,
+      event,
+      dedupe_key: dedupeKey,
+      session_id: sessionId,
+      payload: {
+        id,
+        event,
+        site: webhook.site,
+        created_at: createdAt.toISOString(),
+        data
+      },
+      status,
+      locked_until: status === 'delivering' ? new Date(createdAt.getTime() + LOCK_MS) : undefined,
+      expires_at: new Date(createdAt.getTime() + LOG_RETENTION_DAYS * DAY_MS)
+    });
+  } catch (error) {
+    if (error.code === DUPLICATE_KEY_ERROR && dedupeKey) {
+      return null;
+    }
+    throw error;
+  }
+};
+
+// POST a body and resolve to the response status. The response body is never read: only
+// the status is recorded, so a webhook cannot be used to read what an endpoint returns.
+const postJson = (url, headers, body) => new Promise((resolve, reject) => {
+  const request = https.request(url, {
+    method: 'POST',
+    headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+    lookup: safeLookup,
+    timeout: DELIVERY_TIMEOUT_MS
+  }, (response) => {
+    response.resume();
+    resolve(response.statusCode);
+  });
+  request.on('timeout', () => request.destroy(new Error(`No response within ${DELIVERY_TIMEOUT_MS / 1000}s`)));
+  request.on('error', reject);
+  request.end(body);
+});
+
+// POST the payload once and record the outcome: delivered on a 2xx, otherwise another
+// attempt after the next backoff delay, or failed once attempts run out
+const attemptDelivery = async (delivery) => {
+  const webhook = await Webhook.findById(delivery.webhook).lean();
+  const attemptedAt = new Date();
+  const attempts = delivery.attempts + 1;
+
+  let statusCode = null;
+  let error = null;
+  if (!webhook || !webhook.active) {
+    error = webhook ? 'Webhook is disabled' : 'Webhook was deleted';
+  } else {
+    const body = JSON.stringify(delivery.payload);
+    try {
+      // The host may have been re-pointed since the webhook was saved
+      const targetError = await checkWebhookTarget(webhook.url);
+      if (targetError) {
+        throw new Error(targetError);
+      }
+      statusCode = await postJson(webhook.url, {
+        'Content-Type': 'application/json',
+        'User-Agent': 'BotDetector-Webhooks/1.0',
+        'X-BotDetector-Event': delivery.event,
+        'X-BotDetector-Delivery': String(delivery._id),
+        [SIGNATURE_HEADER]: signPayload(body, webhook.secret)
+      }, body);
+      if (statusCode < 200 || statusCode >= 300) {
+        error = `HTTP ${statusCode}`;
+      }
+    } catch (requestError) {
+      error = requestError.message;
+    }
+  }
+
+  const set = {
+    attempts,
+    last_status_code: statusCode,
+    last_error: error,
+    locked_until: null
+  };
+  if (!error) {
+    set.status = 'delivered';
+    set.delivered_at = new Date();
+  } else if (webhook && webhook.active && attempts < MAX_ATTEMPTS) {
+    set.status = 'pending';
+    set.next_attempt_at = new Date(Date.now() + RETRY_DELAYS_MS[attempts - 1]);
+  } else {
+    set.status = 'failed';
+  }
+
+  return WebhookDelivery.findByIdAndUpdate(delivery._id, {
+    $set: set,
+    $push: {
+      attempt_log: {
+        $each: [{ attempted_at: attemptedAt, status_code: statusCode, error, duration_ms: Date.now() - attemptedAt }],
+        $slice: -MAX_LOGGED_ATTEMPTS
+      }
+    }
+  }, { new: true });
+};
+
+// Claim the oldest due delivery (or one whose worker stopped mid-attempt)
+const claimNext = () => {
+  const now = new Date();
+  return WebhookDelivery.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'pending', next_attempt_at: { $lte: now } },
+        { status: 'delivering', locked_until: { $lte: now } }
+      ]
+    },
+    { $set: { status: 'delivering', locked_until: new Date(now.getTime() + LOCK_MS) } },
+    { sort: { next_attempt_at: 1 }, new: true, lean: true }
+  );
+};
+
+let running = null;
+
+// Deliver up to `limit` due deliveries. Overlapping calls in one process share a run;
+// separate processes never claim the same delivery. Resolves to the number attempted.
+const processQueue = ({ limit = WORKER_BATCH_SIZE } = {}) => {
+  if (!running) {
+    running = (async () => {
+      let processed = 0;
+      while (processed < limit) {
+        const delivery = await claimNext();
+        if (!delivery) {
+          break;
+        }
+        await attemptDelivery(delivery);
+        processed++;
+      }
+      return processed;
+    })().finally(() => {
+      running = null;
+    });
+  }
+  return running;
+};
+
+// Start sending newly queued deliveries without holding up the caller
+const kickQueue = () => {
+  processQueue().catch(error => {
+    console.error('Error processing webhook queue:', error);
+  });
+};
+
+// Queue `event` for each webhook (deduplicated per webhook by dedupeKey) and start sending
+const emitEvent = async (webhooks, event, data, options = {}) => {
+  if (webhooks.length === 0) {
+    return [];
+  }
+
+  const deliveries = await Promise.all(webhooks.map(webhook => enqueueDelivery(webhook, event, data, options)));
+  const queued = deliveries.filter(Boolean);
+  if (queued.length > 0) {
+    kickQueue();
+  }
+  return queued;
+};
+
+// Send a 'test' event to one webhook now. Resolves to the delivery after its first
+// attempt; a failed test is retried like any other delivery.
+const sendTestEvent = async (webhook, requestedBy) => {
+  const delivery = await enqueueDelivery(webhook, 'test', {
+    message: 'Test event from the bot detection API',
+    requested_by: requestedBy
+  }, { status: 'delivering' });
+  return attemptDelivery(delivery);
+};
+
+// Poll the queue for due retries. Long-running servers only: serverless functions are
+// frozen between requests, so there retries come from GET /api/cron/webhooks or
+// scripts/processWebhooks.js instead.
+const startWebhookWorker = () => {
+  const timer = setInterval(kickQueue, WORKER_INTERVAL_MS);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  generateSecret,
+  signPayload,
+  webhooksFor,
+  invalidateWebhooks,
+  emitEvent,
+  sendTestEvent,
+  processQueue,
+  startWebhookWorker,
+  WORKER_BATCH_SIZE,
+  MAX_ATTEMPTS,
+  RETRY_DELAYS_MS,
+  SIGNATURE_HEADER
+};
@@ -0,0 +1,28 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { requireApiKey } = require('../../middleware/auth');
+const { hashKey } = require('../../services/apiKeys');
+const ApiKey = require('../../models/ApiKey');
+
+// Serve `app` on a free port for one test and return its base URL
+const listen = (t, app) => new Promise((resolve) => {
+  const server = app.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`));
+  t.after(() => server.close());
+});
+
+test('API keys need the route role, admin keys pass every role', async (t) => {
+  const keys = {
+    [hashKey('bd_reader')]: { roles: ['read'] },
+    [hashKey('bd_admin')]: { roles: ['admin'] }
+  };
+  t.mock.method(ApiKey, 'findOne', async ({ key_hash: keyHash }) => (
+    keys[keyHash] ? { ...keys[keyHash], updateOne: async () => {} } : null
+  ));
+  const base = await listen(t, express().get('/', requireApiKey('label'), (req, res) => res.json({ success: true })));
+
+  assert.equal((await fetch(base)).status, 401);
+  assert.equal((await fetch(base, { headers: { 'X-API-Key': 'bd_unknown' } })).status, 401);
+  assert.equal((await fetch(base, { headers: { Authorization: 'Bearer bd_reader' } })).status, 403);
+  assert.equal((await fetch(base, { headers: { 'X-API-Key': 'bd_admin' } })).status, 200);
+});
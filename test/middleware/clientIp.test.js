@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+
+process.env.CLIENT_IP_HEADER = 'X-Real-IP';
+const { resolveClientIp, parseTrustProxy } = require('../../middleware/clientIp');
+const { requestMetadata } = require('../../services/requestMeta');
+
+// Serve `app` on a free port for one test and return its base URL
+const listen = (t, app) => new Promise((resolve) => {
+  const server = app.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`));
+  t.after(() => server.close());
+});
+
+test('parseTrustProxy reads booleans, hop counts and address lists', () => {
+  assert.equal(parseTrustProxy('true'), true);
+  assert.equal(parseTrustProxy('false'), false);
+  assert.equal(parseTrustProxy('2'), 2);
+  assert.deepEqual(parseTrustProxy('loopback, 10.0.0.0/8,'), ['loopback', '10.0.0.0/8']);
+});
+
+test('the client IP header is only believed from trusted proxies', async (t) => {
+  const respond = (req, res) => res.json({ ip: req.clientIp, source: req.clientIpSource, meta: requestMetadata(req) });
+
+  const trusting = express().set('trust proxy', 'loopback').use(resolveClientIp).get('/', respond);
+  const untrusting = express().set('trust proxy', false).use(resolveClientIp).get('/', respond);
+  const headers = { 'X-Real-IP': '203.0.113.7', 'X-Forwarded-For': '198.51.100.1, ::ffff:192.0.2.1' };
+
+  const trusted = await (await fetch(await listen(t, trusting), { headers })).json();
+  assert.equal(trusted.ip, '203.0.113.7');
+  assert.equal(trusted.source, 'x-real-ip');
+  assert.deepEqual(trusted.meta.forwarded_for, ['198.51.100.1', '192.0.2.1', '127.0.0.1']);
+  assert.equal(trusted.meta.real_ip, '203.0.113.7');
+  assert.ok(trusted.meta.header_order.includes('x-real-ip'));
+
+  const untrusted = await (await fetch(await listen(t, untrusting), { headers })).json();
+  assert.equal(untrusted.ip, '127.0.0.1');
+  assert.equal(untrusted.source, 'socket');
+});
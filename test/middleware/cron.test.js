@@ -0,0 +1,20 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+
+process.env.CRON_SECRET = 'test-cron-secret';
+const { requireCronSecret } = require('../../middleware/cron');
+
+// Serve `app` on a free port for one test and return its base URL
+const listen = (t, app) => new Promise((resolve) => {
+  const server = app.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`));
+  t.after(() => server.close());
+});
+
+test('cron routes require the cron secret', async (t) => {
+  const base = await listen(t, express().get('/', requireCronSecret, (req, res) => res.json({ success: true })));
+
+  assert.equal((await fetch(base)).status, 401);
+  assert.equal((await fetch(base, { headers: { Authorization: 'Bearer wrong' } })).status, 401);
+  assert.equal((await fetch(base, { headers: { Authorization: 'Bearer test-cron-secret' } })).status, 200);
+});
@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const { decodeBatches, MAX_BATCH_BYTES } = require('../../middleware/ingestParser');
+
+const batch = (n) => ({ session_id: `sess_${n}`, session_start: 1700000000000 });
+
+const statusOf = (fn) => {
+  try {
+    fn();
+  } catch (error) {
+    return error.status;
+  }
+  return null;
+};
+
+test('decodes a single JSON batch and a JSON array of batches', () => {
+  assert.deepEqual(decodeBatches(Buffer.from(JSON.stringify(batch(1)))), [batch(1)]);
+  assert.deepEqual(decodeBatches(Buffer.from(JSON.stringify([batch(1), batch(2)]))), [batch(1), batch(2)]);
+});
+
+test('decodes NDJSON, skipping blank lines', () => {
+  const body = `${JSON.stringify(batch(1))}\r\n\n${JSON.stringify(batch(2))}\n`;
+
+  assert.deepEqual(decodeBatches(Buffer.from(body)), [batch(1), batch(2)]);
+});
+
+test('reports the NDJSON line that is not JSON', () => {
+  const body = `${JSON.stringify(batch(1))}\n{"session_id":`;
+
+  assert.throws(() => decodeBatches(Buffer.from(body)), { status: 400, message: 'Invalid JSON on line 2' });
+});
+
+test('inflates gzip and deflate bodies detected by their magic bytes', () => {
+  const json = JSON.stringify([batch(1), batch(2)]);
+
+  assert.deepEqual(decodeBatches(zlib.gzipSync(json)), [batch(1), batch(2)]);
+  assert.deepEqual(decodeBatches(zlib.deflateSync(json)), [batch(1), batch(2)]);
+});
+
+test('rejects corrupt compressed bodies', () => {
+  const corrupt = zlib.gzipSync(JSON.stringify(batch(1))).subarray(0, 12);
+
+  assert.equal(statusOf(() => decodeBatches(corrupt)), 400);
+});
+
+test('returns no batches for an empty body', () => {
+  assert.deepEqual(decodeBatches(Buffer.from('  \n')), []);
+});
+
+test('rejects batches that are not objects', () => {
+  assert.throws(() => decodeBatches(Buffer.from('[1]')), { status: 400, message: 'Batch 0 is not a JSON object' });
+});
+
+test('limits batch size and batches per request', () => {
+  const large = { ...batch(1), current_url: 'a'.repeat(MAX_BATCH_BYTES) };
+  const many = Array.from({ length: 51 }, (_, i) => batch(i));
+
+  assert.equal(statusOf(() => decodeBatches(Buffer.from(JSON.stringify(large)))), 413);
+  assert.equal(statusOf(() => decodeBatches(Buffer.from(JSON.stringify(many)))), 413);
+});
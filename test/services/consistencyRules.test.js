@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { evaluateConsistency, maxSeverity, SEVERITY_RANK } = require('../../services/consistencyRules');
+
+const CHROME_WINDOWS = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+const CHROME_ANDROID_WEBVIEW = 'Mozilla/5.0 (Linux; Android 13; Pixel 7 Build/TQ3A; wv) AppleWebKit/537.36 (KHTML, like Gecko) Version/4.0 Chrome/120.0.0.0 Mobile Safari/537.36';
+const CHROME_ANDROID_TABLET = 'Mozilla/5.0 (Linux; Android 13; SM-X700) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+const ELECTRON = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Slack/4.36.140 Chrome/120.0.0.0 Electron/28.1.0 Safari/537.36';
+
+const desktopChrome = {
+  ua: CHROME_WINDOWS,
+  plat: 'Win32',
+  lang: 'en-US',
+  tz: 'America/New_York',
+  maxTouch: 0,
+  webdriver: false,
+  plugins: 5,
+  chrome: true,
+  glRenderer: 'ANGLE (NVIDIA GeForce RTX 3060)'
+};
+
+const rulesFired = (fingerprint, userAgent = fingerprint.ua) => evaluateConsistency(fingerprint, userAgent).map(flag => flag.rule);
+
+test('a consistent desktop Chrome fingerprint raises no flags', () => {
+  assert.deepEqual(rulesFired(desktopChrome), []);
+});
+
+test('flags a headless Chrome fingerprint', () => {
+  const headless = {
+    ...desktopChrome,
+    ua: CHROME_WINDOWS.replace('Chrome/', 'HeadlessChrome/'),
+    webdriver: true,
+    plugins: 0,
+    chrome: false,
+    glRenderer: 'Google SwiftShader',
+    notifPerm: 'denied',
+    permState: 'prompt'
+  };
+  const flags = evaluateConsistency(headless, headless.ua);
+
+  assert.deepEqual(flags.map(flag => flag.rule), [
+    'headless_user_agent', 'webdriver', 'permissions_quirk', 'software_renderer', 'chrome_object_missing', 'no_plugins'
+  ]);
+  assert.equal(maxSeverity(flags), SEVERITY_RANK.high);
+});
+
+test('flags a user agent that contradicts the platform or the request header', () => {
+  assert.deepEqual(rulesFired({ ...desktopChrome, plat: 'MacIntel' }), ['ua_platform_mismatch']);
+
+  const flags = evaluateConsistency(desktopChrome, 'Mozilla/5.0 (X11; Linux x86_64) Firefox/121.0');
+  assert.deepEqual(flags.map(flag => [flag.rule, flag.severity]), [['ua_header_mismatch', 'medium']]);
+});
+
+test('holds desktop Chrome to its window.chrome object and plugins', () => {
+  assert.deepEqual(rulesFired({ ...desktopChrome, chrome: false, plugins: 0 }), ['chrome_object_missing', 'no_plugins']);
+});
+
+test('does not hold WebViews, Electron or Android tablets to desktop Chrome rules', () => {
+  const webview = { ...desktopChrome, ua: CHROME_ANDROID_WEBVIEW, plat: 'Linux armv8l', maxTouch: 5, chrome: false, plugins: 0 };
+  const electron = { ...desktopChrome, ua: ELECTRON, chrome: false, plugins: 0 };
+  const tablet = { ...desktopChrome, ua: CHROME_ANDROID_TABLET, plat: 'Linux armv8l', maxTouch: 10, plugins: 0 };
+
+  assert.deepEqual(rulesFired(webview), []);
+  assert.deepEqual(rulesFired(electron), []);
+  assert.deepEqual(rulesFired(tablet), []);
+});
+
+test('flags mobile user agents without touch support', () => {
+  assert.deepEqual(rulesFired({ ...desktopChrome, ua: CHROME_ANDROID_WEBVIEW, plat: 'Linux armv8l' }), ['mobile_without_touch']);
+});
+
+test('checks the time zone against regional languages only', () => {
+  assert.deepEqual(rulesFired({ ...desktopChrome, lang: 'de-DE', tz: 'Asia/Tokyo' }), ['timezone_language_mismatch']);
+  assert.deepEqual(rulesFired({ ...desktopChrome, lang: 'de-DE', tz: 'Europe/Berlin' }), []);
+  assert.deepEqual(rulesFired({ ...desktopChrome, lang: 'en-GB', tz: 'Asia/Karachi' }), []);
+  assert.deepEqual(rulesFired({ ...desktopChrome, tz: 'Etc/UTC' }), ['utc_timezone']);
+});
+
+test('ignores a missing fingerprint', () => {
+  assert.deepEqual(evaluateConsistency(null, CHROME_WINDOWS), []);
+  assert.equal(maxSeverity([]), 0);
+});
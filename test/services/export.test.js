@@ -0,0 +1,114 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Session = require('../../models/Session');
+const { createExport, parseExportOptions, COLUMNS } = require('../../services/export');
+
+// Stand-in for Session.find(...).sort().lean().cursor(); records the query it was given
+const mockSessions = (t, sessions) => {
+  const queries = [];
+  t.mock.method(Session, 'find', (query) => {
+    queries.push(query);
+    const chain = {
+      sort: () => chain,
+      select: () => chain,
+      lean: () => chain,
+      cursor: async function* () {
+        yield* sessions;
+      }
+    };
+    return chain;
+  });
+  return queries;
+};
+
+const collect = async (chunks) => {
+  let text = '';
+  for await (const chunk of chunks) {
+    text += chunk;
+  }
+  return text;
+};
+
+// Split a CSV line on the commas outside quoted cells, keyed by column
+const csvRow = (line) => {
+  const cells = line.split(/,(?=(?:[^"]*"[^"]*")*[^"]*$)/);
+  return Object.fromEntries(COLUMNS.sessions.map((column, i) => [column, cells[i]]));
+};
+
+const exportOf = (raw) => {
+  const { options, error } = parseExportOptions(raw);
+  assert.equal(error, undefined);
+  return createExport(options);
+};
+
+const session = (fields = {}) => ({
+  session_id: 'sess_1',
+  site: 'site_a',
+  first_seen: new Date('2024-01-01T00:00:00Z'),
+  last_seen: new Date('2024-01-01T00:05:00Z'),
+  page_paths: ['/', '/checkout'],
+  bot_score: { is_bot: true, bot_probability: 0.9 },
+  label: { label: 'bot', source: 'manual', confidence: 1 },
+  ...fields
+});
+
+test('parseExportOptions validates dataset, format, label and dates', () => {
+  assert.deepEqual(parseExportOptions({}).options, {
+    dataset: 'sessions', format: 'ndjson', from: null, to: null, site: null, label: null
+  });
+  assert.match(parseExportOptions({ dataset: 'users' }).error, /^dataset must be one of/);
+  assert.match(parseExportOptions({ format: 'xml' }).error, /^format must be one of/);
+  assert.match(parseExportOptions({ label: 'robot' }).error, /^label must be one of/);
+  assert.equal(parseExportOptions({ from: 'yesterday' }).error, 'from and to must be valid dates');
+  assert.equal(parseExportOptions({ from: '2024-02-01', to: '2024-01-01' }).error, 'from must be before to');
+});
+
+test('CSV rows follow the header and quote cells that need it', async (t) => {
+  const queries = mockSessions(t, [session({ session_id: 'sess,"1"' })]);
+  const [header, row, end] = (await collect(exportOf({ format: 'csv', site: 'site_a' }))).split('\r\n');
+
+  assert.equal(header, COLUMNS.sessions.join(','));
+  assert.equal(end, '');
+  const cells = csvRow(row);
+  assert.equal(cells.session_id, '"sess,""1"""');
+  assert.equal(cells.first_seen, '2024-01-01T00:00:00.000Z');
+  assert.equal(cells.page_paths, '/|/checkout');
+  assert.equal(cells.label, 'bot');
+  assert.equal(cells.predicted, 'bot');
+  assert.equal(queries[0].site, 'site_a');
+});
+
+test('CSV cells that a spreadsheet would run as formulas are escaped', async (t) => {
+  mockSessions(t, [
+    session({ session_id: '=HYPERLINK("http://evil.test")', page_paths: ['+cmd', '/ok'], fingerprint_hash: '@SUM(A1)' }),
+    session({ session_id: '-2+3', bot_score: { is_bot: false, bot_probability: -0.5 }, label: null })
+  ]);
+  const rows = (await collect(exportOf({ format: 'csv' }))).split('\r\n').slice(1, 3).map(csvRow);
+
+  assert.equal(rows[0].session_id, '"\'=HYPERLINK(""http://evil.test"")"');
+  assert.equal(rows[0].page_paths, "'+cmd|/ok");
+  assert.equal(rows[0].fingerprint_hash, "'@SUM(A1)");
+  assert.equal(rows[1].session_id, "'-2+3");
+  // Numbers keep their sign
+  assert.equal(rows[1].bot_probability, '-0.5');
+  assert.equal(rows[1].label, 'unlabeled');
+  assert.equal(rows[1].predicted, 'human');
+});
+
+test('NDJSON writes one session per line', async (t) => {
+  mockSessions(t, [session(), session({ session_id: 'sess_2', bot_score: null })]);
+  const lines = (await collect(exportOf({}))).trim().split('\n').map(line => JSON.parse(line));
+
+  assert.deepEqual(lines.map(line => [line.session_id, line.predicted]), [['sess_1', 'bot'], ['sess_2', 'unscored']]);
+});
+
+test('columnar output groups values by column', async (t) => {
+  mockSessions(t, [session(), session({ session_id: 'sess_2' })]);
+  const [header, group] = (await collect(exportOf({ format: 'columnar' }))).trim().split('\n').map(line => JSON.parse(line));
+
+  assert.equal(header.format, 'columnar');
+  assert.deepEqual(header.columns, COLUMNS.sessions);
+  assert.equal(group.rows, 2);
+  assert.deepEqual(group.data.session_id, ['sess_1', 'sess_2']);
+  assert.deepEqual(group.data.platform, [null, null]);
+});
@@ -0,0 +1,14 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { fingerprintHash } = require('../../services/fingerprint');
+
+test('fingerprintHash ignores unstable fields and unknown values', () => {
+  const fingerprint = { ua: 'Mozilla/5.0', lang: 'en-US', tz: 'Europe/Berlin', deviceMemory: 8 };
+  const hash = fingerprintHash(fingerprint);
+
+  assert.match(hash, /^[0-9a-f]{64}$/);
+  assert.equal(fingerprintHash({ ...fingerprint, webdriver: false, plugins: 3 }), hash);
+  assert.equal(fingerprintHash({ ...fingerprint, hardwareConcurrency: 'unknown' }), hash);
+  assert.notEqual(fingerprintHash({ ...fingerprint, tz: 'Asia/Tokyo' }), hash);
+  assert.equal(fingerprintHash(null), null);
+});
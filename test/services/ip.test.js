@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeIp, expandIpv6, ipToBigInt, parseCidr, ipPrefix, truncateIp, hashIp } = require('../../services/ip');
+
+test('normalizeIp strips the IPv4-mapped IPv6 prefix', () => {
+  assert.equal(normalizeIp('::ffff:203.0.113.7'), '203.0.113.7');
+  assert.equal(normalizeIp(' 2001:db8::1 '), '2001:db8::1');
+  assert.equal(normalizeIp(''), null);
+  assert.equal(normalizeIp(undefined), null);
+});
+
+test('expandIpv6 fills in the compressed hextets', () => {
+  assert.deepEqual(expandIpv6('2001:DB8::1'), ['2001', '0db8', '0000', '0000', '0000', '0000', '0000', '0001']);
+  assert.deepEqual(expandIpv6('::'), Array(8).fill('0000'));
+});
+
+test('ipToBigInt reads IPv4, IPv6 and IPv6 with an embedded IPv4 tail', () => {
+  assert.deepEqual(ipToBigInt('10.0.0.1'), { family: 4, value: 0x0a000001n });
+  assert.deepEqual(ipToBigInt('::1'), { family: 6, value: 1n });
+  assert.deepEqual(ipToBigInt('64:ff9b::192.0.2.1'), ipToBigInt('64:ff9b::c000:201'));
+  assert.equal(ipToBigInt('not an ip'), null);
+});
+
+test('parseCidr returns the block bounds in canonical form', () => {
+  const v4 = parseCidr('203.0.113.77/24');
+  assert.equal(v4.cidr, '203.0.113.0/24');
+  assert.equal(v4.start, ipToBigInt('203.0.113.0').value);
+  assert.equal(v4.end, ipToBigInt('203.0.113.255').value);
+
+  const v6 = parseCidr('2001:DB8:0:0:1::/32');
+  assert.equal(v6.cidr, '2001:db8::/32');
+  assert.equal(v6.end - v6.start, (1n << 96n) - 1n);
+
+  assert.equal(parseCidr('198.51.100.5').cidr, '198.51.100.5/32');
+  assert.equal(parseCidr('2001:db8:0:1:0:0:0:1/128').cidr, '2001:db8:0:1::1/128');
+});
+
+test('parseCidr rejects malformed blocks', () => {
+  assert.equal(parseCidr('10.0.0.0/33'), null);
+  assert.equal(parseCidr('2001:db8::/129'), null);
+  assert.equal(parseCidr('10.0.0.0/8/8'), null);
+  assert.equal(parseCidr('10.0.0.0/x'), null);
+  assert.equal(parseCidr('10.0.0/8'), null);
+  assert.equal(parseCidr(42), null);
+});
+
+test('ipPrefix and truncateIp keep the /24 or /48 network', () => {
+  assert.equal(ipPrefix('::ffff:203.0.113.7'), '203.0.113.0/24');
+  assert.equal(ipPrefix('2001:db8:abcd:12::1'), '2001:0db8:abcd::/48');
+  assert.equal(truncateIp('203.0.113.7'), '203.0.113.0');
+  assert.equal(truncateIp('2001:db8:abcd:12::1'), '2001:0db8:abcd::');
+  assert.equal(truncateIp('garbage'), null);
+});
+
+test('hashIp is keyed and treats mapped IPv4 like plain IPv4', () => {
+  const hash = hashIp('203.0.113.7', 'key-a');
+
+  assert.match(hash, /^[0-9a-f]{32}$/);
+  assert.equal(hashIp('::ffff:203.0.113.7', 'key-a'), hash);
+  assert.notEqual(hashIp('203.0.113.7', 'key-b'), hash);
+  assert.equal(hashIp(null, 'key-a'), null);
+});
@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { compileModel, checkTree, sigmoid } = require('../../services/modelRuntime');
+
+const model = (definition) => ({ version: 'v1', definition });
+
+test('logistic regression imputes, scales and applies the weights', () => {
+  const compiled = compileModel(model({
+    type: 'logistic_regression',
+    features: ['a', 'b'],
+    weights: [2, -1],
+    intercept: 0.5,
+    impute: [0, 3],
+    scaler: { mean: [1, 1], scale: [2, 0] }
+  }), 0.7);
+
+  // a: (3 - 1) / 2 = 1, b missing: (3 - 1) / 1 (zero scale counts as 1) = 2
+  assert.equal(compiled.predict({ a: 3, b: null }), sigmoid(0.5 + 2 * 1 - 1 * 2));
+  assert.equal(compiled.threshold, 0.7);
+  assert.equal(compiled.version, 'v1');
+});
+
+test('non-finite features count as missing', () => {
+  const compiled = compileModel(model({
+    type: 'logistic_regression',
+    features: ['a'],
+    weights: [1],
+    threshold: 0.4
+  }), 0.7);
+
+  assert.equal(compiled.predict({ a: Infinity }), 0.5);
+  assert.equal(compiled.predict({}), 0.5);
+  assert.equal(compiled.threshold, 0.4);
+});
+
+test('gradient boosted trees sum leaf log-odds and route missing values', () => {
+  const tree = {
+    feature: 0,
+    threshold: 10,
+    missing: 'right',
+    left: { leaf: -1 },
+    right: { feature: 1, threshold: 0.5, left: { leaf: 0.5 }, right: { leaf: 2 } }
+  };
+  const compiled = compileModel(model({
+    type: 'gradient_boosted_trees',
+    features: ['speed', 'ratio'],
+    base_score: 0.25,
+    trees: [tree, { leaf: 0.25 }]
+  }), 0.5);
+
+  assert.equal(compiled.predict({ speed: 5, ratio: 1 }), sigmoid(0.25 - 1 + 0.25));
+  assert.equal(compiled.predict({ speed: 10, ratio: 0.2 }), sigmoid(0.25 + 0.5 + 0.25));
+  // Missing speed goes right, missing ratio defaults to left
+  assert.equal(compiled.predict({ ratio: 0.9 }), sigmoid(0.25 + 2 + 0.25));
+  assert.equal(compiled.predict({}), sigmoid(0.25 + 0.5 + 0.25));
+});
+
+test('checkTree accepts valid trees and explains invalid ones', () => {
+  assert.equal(checkTree({ feature: 0, threshold: 1, left: { leaf: 0 }, right: { leaf: 1 } }, 1), null);
+  assert.equal(checkTree({ leaf: 'x' }, 1), 'leaf must be a number');
+  assert.equal(checkTree({ feature: 2, threshold: 1, left: { leaf: 0 }, right: { leaf: 1 } }, 2),
+    'split feature must be an index into features');
+  assert.equal(checkTree({ feature: 0, threshold: 1, missing: 'up', left: { leaf: 0 }, right: { leaf: 1 } }, 1),
+    "missing must be 'left' or 'right'");
+  assert.equal(checkTree({ feature: 0, threshold: 1, left: { leaf: 0 } }, 1), 'node must be an object');
+});
+
+test('checkTree limits tree depth', () => {
+  let deep = { leaf: 0 };
+  for (let i = 0; i < 40; i++) {
+    deep = { feature: 0, threshold: 1, left: deep, right: { leaf: 0 } };
+  }
+
+  assert.match(checkTree(deep, 1), /at most \d+ levels deep/);
+});
@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ScoringModel = require('../../models/ScoringModel');
+const { createModel } = require('../../services/models');
+
+const duplicateKey = () => Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+
+// In-memory registry; `racers` versions are taken by another upload just before each insert
+const mockRegistry = (t, versions, racers = []) => {
+  t.mock.method(ScoringModel, 'find', () => ({
+    sort: () => ({ limit: () => ({ select: () => ({ lean: async () => versions.slice(-1).map(version => ({ version })) }) }) })
+  }));
+  return t.mock.method(ScoringModel, 'create', async (fields) => {
+    if (racers.length) {
+      versions.push(racers.shift());
+    }
+    if (versions.includes(fields.version)) {
+      throw duplicateKey();
+    }
+    versions.push(fields.version);
+    return fields;
+  });
+};
+
+test('createModel numbers versions sequentially', async (t) => {
+  const versions = [];
+  mockRegistry(t, versions);
+
+  assert.equal((await createModel({ type: 'logistic_regression' })).version, 'v1');
+  assert.equal((await createModel({ type: 'logistic_regression' })).version, 'v2');
+});
+
+test('createModel retries when a concurrent upload takes the version', async (t) => {
+  const versions = ['v1'];
+  const create = mockRegistry(t, versions, ['v2']);
+
+  assert.equal((await createModel({ type: 'logistic_regression' })).version, 'v3');
+  assert.equal(create.mock.callCount(), 2);
+});
+
+test('createModel gives up after repeated collisions', async (t) => {
+  mockRegistry(t, ['v1'], ['v2', 'v3', 'v4', 'v5', 'v6']);
+
+  await assert.rejects(createModel({ type: 'logistic_regression' }), { code: 11000 });
+});
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.IP_HASH_KEY = 'test-ip-hash-key';
+const { resolvePrivacy, applyPrivacy, anonymizeIp, DEFAULT_PRIVACY } = require('../../services/privacy');
+const { hashIp } = require('../../services/ip');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const privacy = (overrides = {}) => ({
+  ip_handling: 'raw',
+  retention_days: 0,
+  redact_click_text: false,
+  strip_query_strings: false,
+  ...overrides
+});
+
+const batch = () => ({
+  session_id: 'sess_1',
+  ip_address: '203.0.113.7',
+  request_meta: { forwarded_for: ['198.51.100.1', '2001:db8:1:2::3'], real_ip: '203.0.113.7', method: 'POST' },
+  current_url: 'https://example.com/checkout?email=a@b.c#step2',
+  click_events: [{ x: 1, y: 2, t: 3, text: 'Pay now' }],
+  page_views: [{ url: 'https://example.com/?utm=x', ref: 'https://search.test/?q=secret', t: 1 }]
+});
+
+test('anonymizeIp truncates, hashes or keeps addresses', () => {
+  assert.equal(anonymizeIp('203.0.113.7', 'raw'), '203.0.113.7');
+  assert.equal(anonymizeIp('203.0.113.7', 'truncate'), '203.0.113.0');
+  assert.equal(anonymizeIp('2001:db8:1:2::3', 'truncate'), '2001:0db8:0001::');
+  assert.equal(anonymizeIp('203.0.113.7', 'hash'), hashIp('203.0.113.7', 'test-ip-hash-key'));
+  assert.equal(anonymizeIp(undefined, 'hash'), undefined);
+});
+
+test('applyPrivacy anonymizes every stored address', () => {
+  const stored = applyPrivacy(batch(), privacy({ ip_handling: 'truncate' }));
+
+  assert.equal(stored.ip_address, '203.0.113.0');
+  assert.deepEqual(stored.request_meta.forwarded_for, ['198.51.100.0', '2001:0db8:0001::']);
+  assert.equal(stored.request_meta.real_ip, '203.0.113.0');
+  assert.equal(stored.request_meta.method, 'POST');
+});
+
+test('applyPrivacy redacts click text and strips query strings when asked', () => {
+  const stored = applyPrivacy(batch(), privacy({ redact_click_text: true, strip_query_strings: true }));
+
+  assert.deepEqual(stored.click_events, [{ x: 1, y: 2, t: 3 }]);
+  assert.equal(stored.current_url, 'https://example.com/checkout');
+  assert.deepEqual(stored.page_views, [{ url: 'https://example.com/', ref: 'https://search.test/', t: 1 }]);
+});
+
+test('applyPrivacy leaves the batch as sent under raw rules', () => {
+  const original = batch();
+  const stored = applyPrivacy(original, privacy());
+
+  assert.deepEqual(stored, original);
+  assert.equal(stored.expires_at, undefined);
+});
+
+test('applyPrivacy sets expires_at from the retention period', () => {
+  const before = Date.now();
+  const stored = applyPrivacy(batch(), privacy({ retention_days: 7 }));
+
+  assert.ok(stored.expires_at.getTime() >= before + 7 * DAY_MS);
+  assert.ok(stored.expires_at.getTime() <= Date.now() + 7 * DAY_MS);
+});
+
+test('resolvePrivacy falls back to the server defaults per rule', () => {
+  const site = { privacy: { toObject: () => ({ ip_handling: 'hash', retention_days: null }) } };
+
+  assert.deepEqual(resolvePrivacy(site), { ...DEFAULT_PRIVACY, ip_handling: 'hash' });
+  assert.deepEqual(resolvePrivacy(null), DEFAULT_PRIVACY);
+});
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ReputationEntry = require('../../models/ReputationEntry');
+const { checkReputation, isDenyListed, normalizeEntry, invalidateReputation } = require('../../services/reputation');
+
+const GOOGLEBOT = 'Mozilla/5.0 (compatible; Googlebot/2.1; +http://www.google.com/bot.html)';
+
+const mockEntries = (t, entries) => {
+  invalidateReputation();
+  t.mock.method(ReputationEntry, 'find', () => ({ select: () => ({ lean: async () => entries }) }));
+};
+
+test('normalizeEntry canonicalizes IP blocks and user-agent patterns', () => {
+  assert.deepEqual(normalizeEntry('datacenter', 'ip', '203.0.113.77/24'), { value: '203.0.113.0/24' });
+  assert.deepEqual(normalizeEntry('deny', 'user_agent', '  python-requests/**  '), { value: 'python-requests/*' });
+  assert.match(normalizeEntry('datacenter', 'user_agent', 'curl').error, /must be of kind ip/);
+  assert.match(normalizeEntry('deny', 'ip', '300.1.1.1').error, /not a valid IP address/);
+  assert.equal(normalizeEntry('deny', 'user_agent', '***').error, 'patterns must contain more than wildcards');
+  assert.match(normalizeEntry('deny', 'user_agent', 'a*b*c*d*e*f*g*h*i*j').error, /at most 8 '\*' wildcards/);
+});
+
+test('matches IP entries by block for both families', async (t) => {
+  mockEntries(t, [
+    { list: 'datacenter', kind: 'ip', value: '203.0.113.0/24' },
+    { list: 'deny', kind: 'ip', value: '2001:db8::/32' },
+    { list: 'deny', kind: 'ip', value: '198.51.100.9/32' }
+  ]);
+
+  assert.deepEqual((await checkReputation({ ip: '::ffff:203.0.113.200' })).tags, ['datacenter_ip']);
+  assert.deepEqual((await checkReputation({ ip: '2001:db8:ffff::1' })).tags, ['deny_listed_ip']);
+  assert.deepEqual((await checkReputation({ ip: '198.51.100.10' })).tags, []);
+  assert.deepEqual((await checkReputation({ ip: 'not an ip' })).tags, []);
+});
+
+test('matches user-agent patterns case-insensitively with wildcards', async (t) => {
+  mockEntries(t, [
+    { list: 'crawler', kind: 'user_agent', value: 'googlebot' },
+    { list: 'deny', kind: 'user_agent', value: 'python-*/2.*' }
+  ]);
+
+  assert.deepEqual((await checkReputation({ userAgent: GOOGLEBOT })).tags, ['declared_crawler']);
+  assert.deepEqual((await checkReputation({ userAgent: 'Python-Requests/2.31.0' })).tags, ['deny_listed_user_agent']);
+  assert.deepEqual((await checkReputation({ userAgent: 'python-requests/1.0 (2.x)' })).tags, []);
+});
+
+test('verifies declared crawlers coming from crawler ranges', async (t) => {
+  mockEntries(t, [
+    { list: 'crawler', kind: 'user_agent', value: 'Googlebot' },
+    { list: 'crawler', kind: 'ip', value: '66.249.64.0/19' }
+  ]);
+
+  const { tags } = await checkReputation({ ip: '66.249.66.1', userAgent: GOOGLEBOT });
+  assert.deepEqual(tags, ['crawler_ip', 'declared_crawler', 'verified_crawler']);
+  assert.deepEqual((await checkReputation({ ip: '203.0.113.1', userAgent: GOOGLEBOT })).tags, ['declared_crawler']);
+});
+
+test("site entries only apply to that site's requests", async (t) => {
+  mockEntries(t, [{ list: 'deny', kind: 'ip', value: '203.0.113.0/24', site: 'site_a' }]);
+
+  assert.deepEqual((await checkReputation({ ip: '203.0.113.5', site: 'site_a' })).tags, ['deny_listed_ip']);
+  assert.deepEqual((await checkReputation({ ip: '203.0.113.5', site: 'site_b' })).tags, []);
+});
+
+test('allow entries override deny entries', () => {
+  assert.equal(isDenyListed(['deny_listed_ip']), true);
+  assert.equal(isDenyListed(['deny_listed_ip', 'allow_listed_user_agent']), false);
+  assert.equal(isDenyListed(['datacenter_ip']), false);
+});
@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const BehaviorData = require('../../models/BehaviorData');
+const ScoringModel = require('../../models/ScoringModel');
+const Session = require('../../models/Session');
+const Webhook = require('../../models/Webhook');
+const { mergeBatches, extractFeatures, scoreEvents, scoreSession, BOT_THRESHOLD, HEURISTIC_VERSION } = require('../../services/scoringEngine');
+
+test('mergeBatches sorts events and drops ones repeated across batches', () => {
+  const merged = mergeBatches([
+    { mouse_events: [{ t: 30, x: 3, y: 3 }, { t: 10, x: 1, y: 1 }] },
+    { mouse_events: [{ t: 10, x: 1, y: 1 }, { t: 20, x: 2, y: 2 }] }
+  ]);
+
+  assert.deepEqual(merged.mouse_events.map(e => e.t), [10, 20, 30]);
+});
+
+test('mergeBatches keeps different keys pressed in the same millisecond', () => {
+  const merged = mergeBatches([
+    { key_events: [{ t: 100, keyCode: 16, shift: true }, { t: 100, keyCode: 65, shift: true }] },
+    { key_events: [{ t: 100, keyCode: 65, shift: true }] }
+  ]);
+
+  assert.deepEqual(merged.key_events.map(e => e.keyCode), [16, 65]);
+});
+
+test('mergeBatches combines consistency flags by rule and reputation tags', () => {
+  const merged = mergeBatches([
+    { consistency_flags: [{ rule: 'webdriver', severity: 'high' }], reputation_tags: ['datacenter_ip'] },
+    { consistency_flags: [{ rule: 'webdriver', severity: 'high' }], reputation_tags: ['datacenter_ip', 'deny_listed_ip'] },
+    {}
+  ]);
+
+  assert.deepEqual(merged.consistency_flags, [{ rule: 'webdriver', severity: 'high' }]);
+  assert.deepEqual(merged.reputation_tags, ['datacenter_ip', 'deny_listed_ip']);
+  assert.equal(mergeBatches([{}]).consistency_flags, null);
+});
+
+test('extractFeatures leaves features without enough data null', () => {
+  const features = extractFeatures(mergeBatches([{ page_views: [{ t: 0 }, { t: 5000 }] }]));
+
+  assert.equal(features.page_view_count, 2);
+  assert.equal(features.time_on_page_ms, 5000);
+  assert.equal(features.mouse_curvature, null);
+  assert.equal(features.key_timing_entropy, null);
+  assert.equal(features.datacenter_ip, null);
+});
+
+test('a session without any interaction scores as a bot', () => {
+  const score = scoreEvents(mergeBatches([{ page_views: [{ t: 0 }] }]));
+
+  assert.equal(score.model_version, HEURISTIC_VERSION);
+  assert.equal(score.threshold, BOT_THRESHOLD);
+  assert.ok(score.signals.some(signal => signal.signal === 'no_interaction'));
+  assert.equal(score.is_bot, score.bot_probability >= BOT_THRESHOLD);
+});
+
+test('scoreEvents uses the given model and its threshold', () => {
+  const model = { version: 'v7', threshold: 0.2, predict: () => 0.25 };
+  const score = scoreEvents(mergeBatches([]), model);
+
+  assert.equal(score.model_version, 'v7');
+  assert.equal(score.bot_probability, 0.25);
+  assert.equal(score.is_bot, true);
+});
+
+test('scoreSession only stores the score when asked to', async (t) => {
+  const batches = [{ site: 'site_a', session_id: 'sess_1', page_views: [{ t: 0 }] }];
+  t.mock.method(BehaviorData, 'find', () => ({ sort: () => ({ select: () => ({ lean: async () => batches }) }) }));
+  t.mock.method(ScoringModel, 'find', () => ({ lean: async () => [] }));
+  t.mock.method(Webhook, 'find', () => ({ lean: async () => [] }));
+  const updates = t.mock.method(Session, 'updateOne', async () => ({}));
+
+  const preview = await scoreSession('sess_1', 'site_a', { record: false });
+  assert.equal(preview.session_id, 'sess_1');
+  assert.equal(preview.batches, 1);
+  assert.equal(updates.mock.callCount(), 0);
+
+  await scoreSession('sess_1', 'site_a');
+  assert.equal(updates.mock.callCount(), 1);
+  assert.deepEqual(updates.mock.calls[0].arguments[0], { site: 'site_a', session_id: 'sess_1' });
+});
+
+test('scoreSession returns null for an unknown session', async (t) => {
+  t.mock.method(BehaviorData, 'find', () => ({ sort: () => ({ select: () => ({ lean: async () => [] }) }) }));
+
+  assert.equal(await scoreSession('missing', 'site_a'), null);
+});
@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const SigningKey = require('../../models/SigningKey');
+const UsedToken = require('../../models/UsedToken');
+const { issueToken, verifyToken, rotateSigningKey, TOKEN_TTL_SECONDS } = require('../../services/verdictTokens');
+
+// In-memory stand-ins for the signing key and used token collections
+let keys = [];
+let usedJtis = new Set();
+
+test.beforeEach((t) => {
+  keys = [];
+  usedJtis = new Set();
+
+  t.mock.method(SigningKey, 'find', () => ({
+    sort: () => ({ lean: async () => keys.filter(key => !key.retired_at).concat(keys.filter(key => key.retired_at)) })
+  }));
+  t.mock.method(SigningKey, 'create', async (fields) => {
+    const key = { ...fields, retired_at: null };
+    keys.unshift(key);
+    return key;
+  });
+  t.mock.method(SigningKey, 'updateMany', async (filter, update) => {
+    keys.filter(key => !key.retired_at && key.kid !== filter.kid.$ne)
+      .forEach(key => { key.retired_at = update.$set.retired_at; });
+  });
+  t.mock.method(UsedToken, 'create', async ({ jti }) => {
+    if (usedJtis.has(jti)) {
+      throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+    }
+    usedJtis.add(jti);
+  });
+});
+
+const verdict = { session_id: 'sess_1', site: 'site_a', bot_probability: 0.91, is_bot: true };
+
+// Replace the payload of a token, keeping its header and signature
+const withClaims = (token, changes) => {
+  const [header, payload, signature] = token.split('.');
+  const claims = { ...JSON.parse(Buffer.from(payload, 'base64url').toString()), ...changes };
+  return [header, Buffer.from(JSON.stringify(claims)).toString('base64url'), signature].join('.');
+};
+
+test('a signed token verifies once with its claims', async () => {
+  await rotateSigningKey();
+  const { token, expires_at: expiresAt } = await issueToken(verdict);
+
+  const result = await verifyToken(token, { site: 'site_a', sessionId: 'sess_1' });
+  assert.equal(result.valid, true);
+  assert.equal(result.claims.sid, 'sess_1');
+  assert.equal(result.claims.score, 0.91);
+  assert.equal(result.claims.exp - result.claims.iat, TOKEN_TTL_SECONDS);
+  assert.equal(expiresAt.getTime(), result.claims.exp * 1000);
+
+  assert.deepEqual(await verifyToken(token), { valid: false, reason: 'already_used' });
+});
+
+test('rejects malformed and tampered tokens', async () => {
+  await rotateSigningKey();
+  const { token } = await issueToken(verdict);
+
+  assert.deepEqual(await verifyToken('not.a.token'), { valid: false, reason: 'malformed' });
+  assert.deepEqual(await verifyToken(withClaims(token, { score: 0.01 })), { valid: false, reason: 'bad_signature' });
+});
+
+test('rejects tokens for another site or session without using them up', async () => {
+  await rotateSigningKey();
+  const { token } = await issueToken(verdict);
+
+  assert.deepEqual(await verifyToken(token, { site: 'site_b' }), { valid: false, reason: 'wrong_site' });
+  assert.deepEqual(await verifyToken(token, { sessionId: 'sess_2' }), { valid: false, reason: 'session_mismatch' });
+  assert.equal((await verifyToken(token, { site: 'site_a' })).valid, true);
+});
+
+test('rejects expired tokens', async (t) => {
+  await rotateSigningKey();
+  const { token } = await issueToken(verdict);
+
+  const later = Date.now() + (TOKEN_TTL_SECONDS + 1) * 1000;
+  t.mock.method(Date, 'now', () => later);
+  assert.deepEqual(await verifyToken(token), { valid: false, reason: 'expired' });
+});
+
+test('tokens signed before a rotation still verify', async () => {
+  await rotateSigningKey();
+  const { token: before } = await issueToken(verdict);
+  const rotated = await rotateSigningKey();
+  const { token: after } = await issueToken(verdict);
+
+  assert.equal(keys.filter(key => !key.retired_at).length, 1);
+  assert.equal(JSON.parse(Buffer.from(after.split('.')[0], 'base64url').toString()).kid, rotated.kid);
+  assert.equal((await verifyToken(before)).valid, true);
+  assert.equal((await verifyToken(after)).valid, true);
+});
+
+test('rejects tokens signed with an unknown key', async () => {
+  await rotateSigningKey();
+  const { token } = await issueToken(verdict);
+  const [, payload, signature] = token.split('.');
+  const header = Buffer.from(JSON.stringify({ alg: 'HS256', typ: 'JWT', kid: 'unknown' })).toString('base64url');
+
+  assert.deepEqual(await verifyToken([header, payload, signature].join('.')), { valid: false, reason: 'unknown_key' });
+});
@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { checkWebhookTarget, isPublicAddress } = require('../../services/webhookTarget');
+const { signPayload, generateSecret } = require('../../services/webhooks');
+
+test('isPublicAddress refuses private, loopback, link-local and reserved addresses', () => {
+  [
+    '10.1.2.3', '127.0.0.1', '169.254.169.254', '172.20.0.1', '192.168.1.1', '100.64.0.1', '0.0.0.0',
+    '::1', '::', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1', '64:ff9b::a00:1', 'not an ip'
+  ].forEach(address => assert.equal(isPublicAddress(address), false, address));
+
+  ['8.8.8.8', '203.0.113.7', '2606:4700::1111', '::ffff:8.8.8.8'].forEach(address => {
+    assert.equal(isPublicAddress(address), true, address);
+  });
+});
+
+test('checkWebhookTarget checks literal hosts without a DNS lookup', async () => {
+  assert.equal(await checkWebhookTarget('https://8.8.8.8/hook'), null);
+  assert.match(await checkWebhookTarget('https://[::1]/hook'), /^::1 resolves to a private/);
+  assert.match(await checkWebhookTarget('https://169.254.169.254/latest/meta-data'), /private, loopback or link-local/);
+  assert.equal(await checkWebhookTarget('not a url'), 'url is not a valid URL');
+});
+
+test('signPayload signs the timestamp and body with HMAC-SHA256', () => {
+  const secret = generateSecret();
+  const body = JSON.stringify({ event: 'test' });
+  const header = signPayload(body, secret, 1700000000);
+  const expected = crypto.createHmac('sha256', secret).update(`1700000000.${body}`).digest('hex');
+
+  assert.match(secret, /^whsec_[A-Za-z0-9_-]{32}$/);
+  assert.equal(header, `t=1700000000,v1=${expected}`);
+  assert.notEqual(signPayload(`${body} `, secret, 1700000000), header);
+});
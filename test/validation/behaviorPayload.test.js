@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validate } = require('../../validation/validator');
+const { validateBehaviorPayload, LIMITS } = require('../../validation/behaviorPayload');
+
+const SESSION_START = 1700000000000;
+
+const batch = (fields = {}) => ({
+  session_id: 'sess_1700000000000_abc123',
+  session_start: SESSION_START,
+  ...fields
+});
+
+const fieldsOf = (errors) => errors.map(error => error.field);
+
+test('validator checks types, ranges and unknown fields', () => {
+  const spec = {
+    type: 'object',
+    fields: {
+      name: { type: 'string', required: true, maxLength: 3 },
+      count: { type: 'integer', min: 0, max: 10 },
+      kind: { type: 'string', enum: ['a', 'b'] }
+    }
+  };
+
+  assert.deepEqual(validate(spec, { name: 'abc', count: 5, kind: 'a' }), []);
+  assert.deepEqual(validate(spec, { name: 'abcd', count: 1.5, kind: 'c', extra: true }).map(e => [e.field, e.reason]), [
+    ['extra', 'unknown_field'],
+    ['name', 'too_long'],
+    ['count', 'type'],
+    ['kind', 'enum']
+  ]);
+  assert.deepEqual(validate(spec, {}).map(e => e.reason), ['required']);
+});
+
+test('validator truncates fields marked truncate instead of rejecting them', () => {
+  const spec = { type: 'object', fields: { title: { type: 'string', maxLength: 4, truncate: true } } };
+  const value = { title: 'abcdefgh' };
+
+  assert.deepEqual(validate(spec, value), []);
+  assert.equal(value.title, 'abcd');
+});
+
+test('accepts a well-formed batch', () => {
+  const errors = validateBehaviorPayload(batch({
+    mouse_events: [{ x: 10, y: 20, t: SESSION_START + 100 }],
+    key_events: [{ t: SESSION_START + 200, keyCode: 65, shift: false }],
+    fingerprint: { ua: 'Mozilla/5.0', deviceMemory: 'unknown', plugins: 3 }
+  }));
+
+  assert.deepEqual(errors, []);
+});
+
+test('requires session_id and session_start', () => {
+  const errors = validateBehaviorPayload({});
+
+  assert.deepEqual(fieldsOf(errors), ['session_id', 'session_start']);
+});
+
+test('rejects server-derived fields', () => {
+  const errors = validateBehaviorPayload(batch({ ip_address: '203.0.113.7' }));
+
+  assert.deepEqual(errors.map(e => [e.field, e.reason]), [['ip_address', 'unknown_field']]);
+});
+
+test('checks event timestamps against session_start', () => {
+  const errors = validateBehaviorPayload(batch({
+    click_events: [
+      { x: 1, y: 1, t: SESSION_START - LIMITS.CLOCK_SKEW_MS - 1 },
+      { x: 1, y: 1, t: SESSION_START + LIMITS.MAX_SESSION_SPAN_MS + 1 }
+    ]
+  }));
+
+  assert.deepEqual(errors.map(e => [e.field, e.reason]), [
+    ['click_events[0].t', 'timestamp_before_session'],
+    ['click_events[1].t', 'timestamp_out_of_range']
+  ]);
+});
+
+test('limits the number of events per type', () => {
+  const events = Array.from({ length: LIMITS.MAX_PAGE_VIEWS + 1 }, (_, i) => ({ t: SESSION_START + i }));
+  const errors = validateBehaviorPayload(batch({ page_views: events }));
+
+  assert.deepEqual(errors.map(e => [e.field, e.reason]), [['page_views', 'too_many_items']]);
+});
+
+test('clips long page text instead of rejecting the batch', () => {
+  const payload = batch({ page_views: [{ url: `https://example.com/${'a'.repeat(3000)}`, t: SESSION_START }] });
+
+  assert.deepEqual(validateBehaviorPayload(payload), []);
+  assert.equal(payload.page_views[0].url.length, 2048);
+});
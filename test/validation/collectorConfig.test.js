@@ -0,0 +1,28 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateCollectorConfig } = require('../../validation/collectorConfig');
+
+const reasons = (errors) => errors.map(error => [error.field, error.reason]);
+
+test('collector configs only accept known options in range', () => {
+  assert.deepEqual(validateCollectorConfig({
+    collectors: ['mouse', 'click'],
+    sample_rate: 0.5,
+    throttle: { mouse: 100 },
+    token_paths: ['/login', '/api/checkout']
+  }), []);
+  assert.deepEqual(validateCollectorConfig(null), []);
+  assert.deepEqual(reasons(validateCollectorConfig({
+    collectors: ['webcam'],
+    batch_interval: 100,
+    endpoint: 'http://insecure.test/api',
+    token_paths: ['https://other.test/login'],
+    colour: 'blue'
+  })), [
+    ['colour', 'unknown_field'],
+    ['collectors[0]', 'enum'],
+    ['batch_interval', 'out_of_range'],
+    ['token_paths[0]', 'pattern'],
+    ['endpoint', 'pattern']
+  ]);
+});
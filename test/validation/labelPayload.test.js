@@ -0,0 +1,28 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateLabel, validateBulkLabel, MAX_BULK_LABEL } = require('../../validation/labelPayload');
+
+const reasons = (errors) => errors.map(error => [error.field, error.reason]);
+
+test('labels need a known label and source', () => {
+  assert.deepEqual(validateLabel({ label: 'bot', source: 'manual', confidence: 0.8 }), []);
+  assert.deepEqual(reasons(validateLabel({ label: 'robot', confidence: 2 })), [
+    ['label', 'enum'],
+    ['source', 'required'],
+    ['confidence', 'out_of_range']
+  ]);
+});
+
+test('bulk labels need a non-empty filter with parseable dates', () => {
+  const label = { label: 'human', source: 'manual' };
+
+  assert.deepEqual(validateBulkLabel({ ...label, filter: { from: '2024-01-01', reputation_tag: 'datacenter_ip' } }), []);
+  assert.deepEqual(reasons(validateBulkLabel({ ...label, filter: {} })), [['filter', 'required']]);
+  assert.deepEqual(reasons(validateBulkLabel({ ...label, filter: { from: 'last tuesday', to: '2024-13-45' } })), [
+    ['filter.from', 'pattern'],
+    ['filter.to', 'pattern']
+  ]);
+  assert.deepEqual(reasons(validateBulkLabel({ ...label, filter: { is_bot: true }, limit: MAX_BULK_LABEL + 1 })), [
+    ['limit', 'out_of_range']
+  ]);
+});
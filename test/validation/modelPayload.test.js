@@ -0,0 +1,18 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateModelUpload } = require('../../validation/modelPayload');
+
+const reasons = (errors) => errors.map(error => [error.field, error.reason]);
+
+test('model uploads need per-feature lists that line up and valid trees', () => {
+  const logistic = { type: 'logistic_regression', features: ['mouse_curvature', 'key_timing_entropy'], weights: [1, -1] };
+
+  assert.deepEqual(validateModelUpload({ definition: logistic }), []);
+  assert.deepEqual(reasons(validateModelUpload({ definition: { ...logistic, weights: [1] } })), [['definition', 'length_mismatch']]);
+  assert.deepEqual(reasons(validateModelUpload({ definition: { ...logistic, features: ['shoe_size'], weights: [1] } })), [
+    ['definition.features[0]', 'enum']
+  ]);
+  assert.deepEqual(reasons(validateModelUpload({
+    definition: { type: 'gradient_boosted_trees', features: ['mouse_curvature'], trees: [{ feature: 3, threshold: 1, left: { leaf: 0 }, right: { leaf: 1 } }] }
+  })), [['definition.trees[0]', 'invalid_tree']]);
+});
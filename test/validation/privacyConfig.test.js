@@ -0,0 +1,21 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// Hashing is only offered when the server has a key
+delete process.env.IP_HASH_KEY;
+const { validatePrivacyConfig } = require('../../validation/privacyConfig');
+
+const reasons = (errors) => errors.map(error => [error.field, error.reason]);
+
+test('privacy configs accept known rules in range, or null for the defaults', () => {
+  assert.deepEqual(validatePrivacyConfig({ ip_handling: 'truncate', retention_days: 30, redact_click_text: true }), []);
+  assert.deepEqual(validatePrivacyConfig(null), []);
+  assert.deepEqual(reasons(validatePrivacyConfig({ ip_handling: 'drop', retention_days: -1 })), [
+    ['ip_handling', 'enum'],
+    ['retention_days', 'out_of_range']
+  ]);
+});
+
+test('hashing IPs is refused without IP_HASH_KEY', () => {
+  assert.deepEqual(reasons(validatePrivacyConfig({ ip_handling: 'hash' })), [['ip_handling', 'unavailable']]);
+});
@@ -0,0 +1,12 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateWebhook } = require('../../validation/webhookConfig');
+
+const reasons = (errors) => errors.map(error => [error.field, error.reason]);
+
+test('webhooks need an https URL and at least one event', () => {
+  assert.deepEqual(validateWebhook({ url: 'https://hooks.example.com/bots', events: ['score_threshold'] }), []);
+  assert.deepEqual(reasons(validateWebhook({ events: [] })), [['url', 'required'], ['events', 'min_items']]);
+  assert.deepEqual(reasons(validateWebhook({ url: 'https://hooks.example.com/?token=1' }, { partial: true })), [['url', 'pattern']]);
+  assert.deepEqual(validateWebhook({ active: false }, { partial: true }), []);
+});
@@ -0,0 +1,215 @@
+const { validate } = require('./validator');
+
+// Limits for a single collect-behavior batch
+const LIMITS = {
+  MAX_EVENTS_PER_TYPE: 5000,
+  MAX_PAGE_VIEWS: 500,
+  MAX_HONEYPOT_EVENTS: 100,
+  MAX_SENSOR_EVENTS: 2000,
+  MAX_SESSION_SPAN_MS: 24 * 60 * 60 * 1000, // events must fall within 24h of session_start
+  CLOCK_SKEW_MS: 5 * 1000 // tolerated jitter before session_start
+};
+
+const coordinate = { type: 'number', min: -100000, max: 1000000 };
+const shortString = (maxLength) => ({ type: 'string', maxLength });
+// Page-derived text (URLs, titles, element ids and classes) can be any length on real
+// sites; cut it rather than reject the visitor's whole batch
+const clippedString = (maxLength) => ({ type: 'string', maxLength, truncate: true });
+
+// Accelerations (m/s^2) and rotation rates (deg/s); null when the device lacks the sensor
+const sensorValue = { type: 'number', nullable: true, min: -100000, max: 100000 };
+
+// Event timestamps are checked against the batch's own session_start, which comes
+// from the same client clock, so server/client clock skew does not matter here
+const eventTime = {
+  type: 'number',
+  required: true,
+  check: (t, { sessionStart }) => {
+    if (typeof sessionStart !== 'number') return null;
+    if (t < sessionStart - LIMITS.CLOCK_SKEW_MS) {
+      return { reason: 'timestamp_before_session', message: 'is earlier than session_start' };
+    }
+    if (t > sessionStart + LIMITS.MAX_SESSION_SPAN_MS) {
+      return { reason: 'timestamp_out_of_range', message: 'is too far after session_start' };
+    }
+    return null;
+  }
+};
+
+const eventList = (fields, maxItems = LIMITS.MAX_EVENTS_PER_TYPE) => ({
+  type: 'array',
+  maxItems,
+  items: { type: 'object', fields }
+});
+
+// Allowlist of every field a collector may send; anything else is rejected.
+// Server-derived fields (ip_address, user_agent, _id, ...) are deliberately absent.
+const behaviorPayloadSpec = {
+  type: 'object',
+  required: true,
+  fields: {
+    session_id: { type: 'string', required: true, maxLength: 128, pattern: /^[A-Za-z0-9_.:-]+$/ },
+    session_start: { type: 'number', required: true, min: 0 },
+    site_key: { type: 'string', maxLength: 64, pattern: /^[A-Za-z0-9_-]+$/ },
+    batch_id: { type: 'string', maxLength: 128, pattern: /^[A-Za-z0-9_.:-]+$/ },
+    seq: { type: 'integer', min: 0 },
+    collected_at: { type: 'number', min: 0 },
+    current_url: clippedString(2048),
+
+    mouse_events: eventList({
+      x: coordinate,
+      y: coordinate,
+      t: eventTime,
+      pageX: coordinate,
+      pageY: coordinate,
+      movementX: coordinate,
+      movementY: coordinate
+    }),
+
+    click_events: eventList({
+      x: coordinate,
+      y: coordinate,
+      btn: { type: 'integer', min: 0, max: 10 },
+      tgt: shortString(64),
+      t: eventTime,
+      id: clippedString(256),
+      className: clippedString(512),
+      text: clippedString(256),
+      trusted: { type: 'boolean' },
+      pd: { type: 'boolean' },
+      ptr: shortString(16),
+      pr: { type: 'number', min: 0, max: 1 },
+      vis: { type: 'boolean' }
+    }),
+
+    scroll_events: eventList({
+      x: coordinate,
+      y: coordinate,
+      t: eventTime,
+      vw: { type: 'number', min: 0, max: 100000 },
+      vh: { type: 'number', min: 0, max: 100000 },
+      docH: { type: 'number', min: 0, max: 10000000 },
+      docW: { type: 'number', min: 0, max: 10000000 }
+    }),
+
+    key_events: eventList({
+      t: eventTime,
+      keyCode: { type: 'integer', min: 0, max: 1000 },
+      location: { type: 'integer', min: 0, max: 3 },
+      ctrl: { type: 'boolean' },
+      shift: { type: 'boolean' },
+      alt: { type: 'boolean' },
+      meta: { type: 'boolean' },
+      trusted: { type: 'boolean' }
+    }),
+
+    touch_events: eventList({
+      ph: { type: 'string', enum: ['start', 'move', 'end', 'cancel'] },
+      t: eventTime,
+      x: coordinate,
+      y: coordinate,
+      n: { type: 'integer', min: 0, max: 20 },
+      rx: { type: 'number', min: 0, max: 10000 },
+      ry: { type: 'number', min: 0, max: 10000 },
+      f: { type: 'number', min: 0, max: 1 }
+    }),
+
+    pointer_events: eventList({
+      ph: { type: 'string', enum: ['down', 'move', 'up', 'cancel'] },
+      t: eventTime,
+      x: coordinate,
+      y: coordinate,
+      ptr: shortString(16),
+      pr: { type: 'number', min: 0, max: 1 },
+      w: { type: 'number', min: 0, max: 10000 },
+      h: { type: 'number', min: 0, max: 10000 },
+      tx: { type: 'number', min: -90, max: 90 },
+      ty: { type: 'number', min: -90, max: 90 },
+      primary: { type: 'boolean' }
+    }),
+
+    motion_events: eventList({
+      t: eventTime,
+      ax: sensorValue,
+      ay: sensorValue,
+      az: sensorValue,
+      ra: sensorValue,
+      rb: sensorValue,
+      rg: sensorValue,
+      iv: { type: 'number', min: 0, max: 10000 }
+    }, LIMITS.MAX_SENSOR_EVENTS),
+
+    orientation_events: eventList({
+      t: eventTime,
+      a: { type: 'number', nullable: true, min: -360, max: 360 },
+      b: { type: 'number', nullable: true, min: -360, max: 360 },
+      g: { type: 'number', nullable: true, min: -360, max: 360 },
+      abs: { type: 'boolean' }
+    }, LIMITS.MAX_SENSOR_EVENTS),
+
+    honeypot_events: eventList({
+      kind: { type: 'string', required: true, enum: ['link', 'field'] },
+      action: { type: 'string', required: true, enum: ['click', 'focus', 'input', 'filled'] },
+      t: eventTime
+    }, LIMITS.MAX_HONEYPOT_EVENTS),
+
+    page_views: eventList({
+      url: clippedString(2048),
+      title: clippedString(512),
+      ref: clippedString(2048),
+      t: eventTime,
+      type: shortString(64),
+      loadTime: { type: 'number', min: -1e13, max: 1e13 }
+    }, LIMITS.MAX_PAGE_VIEWS),
+
+    fingerprint: {
+      type: 'object',
+      nullable: true,
+      fields: {
+        ua: shortString(1024),
+        lang: shortString(64),
+        plat: shortString(128),
+        scrw: { type: 'number', min: 0, max: 100000 },
+        scrh: { type: 'number', min: 0, max: 100000 },
+        color: { type: 'number', min: 0, max: 128 },
+        tz: shortString(128),
+        maxTouch: { type: 'number', min: 0, max: 1000 },
+        cookies: { type: 'boolean' },
+        java: { type: 'boolean' },
+        pdf: { type: 'boolean' },
+        doNotTrack: { type: 'string', nullable: true, maxLength: 32 },
+        connection: {
+          type: 'object',
+          nullable: true,
+          fields: {
+            effectiveType: shortString(16),
+            downlink: { type: 'number', min: 0 },
+            rtt: { type: 'number', min: 0 }
+          }
+        },
+        // Collector sends 'unknown' when the API is unavailable
+        deviceMemory: { type: ['number', 'string'], maxLength: 16 },
+        hardwareConcurrency: { type: ['number', 'string'], maxLength: 16 },
+        webdriver: { type: 'boolean' },
+        plugins: { type: 'integer', min: 0, max: 1000 },
+        mimeTypes: { type: 'integer', min: 0, max: 1000 },
+        glVendor: shortString(256),
+        glRenderer: shortString(256),
+        chrome: { type: 'boolean' },
+        notifPerm: shortString(16),
+        permState: shortString(16)
+      }
+    }
+  }
+};
+
+// Validate one collect-behavior batch; returns a list of { field, reason, message }
+const validateBehaviorPayload = (payload) => validate(behaviorPayloadSpec, payload, {
+  sessionStart: payload && typeof payload.session_start === 'number' ? payload.session_start : undefined
+});
+
+module.exports = {
+  behaviorPayloadSpec,
+  validateBehaviorPayload,
+  LIMITS
+};
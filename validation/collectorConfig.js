@@ -0,0 +1,45 @@
+const { validate } = require('./validator');
+const Site = require('../models/Site');
+
+const throttleMs = { type: 'integer', min: 0, max: 5000 };
+
+const collectorConfigSpec = {
+  type: 'object',
+  nullable: true, // null clears the site's config
+  fields: {
+    collectors: {
+      type: 'array',
+      maxItems: Site.COLLECTORS.length,
+      items: { type: 'string', enum: Site.COLLECTORS }
+    },
+    sample_rate: { type: 'number', min: 0, max: 1 },
+    batch_interval: { type: 'integer', min: 2000, max: 60000 },
+    verdict_interval: { type: 'integer', min: 5000, max: 300000 },
+    max_events: { type: 'integer', min: 100, max: 5000 },
+    throttle: {
+      type: 'object',
+      fields: {
+        mouse: throttleMs,
+        touch: throttleMs,
+        pointer: throttleMs,
+        motion: throttleMs,
+        orientation: throttleMs
+      }
+    },
+    privacy_mode: { type: 'string', enum: Site.PRIVACY_MODES },
+    require_consent: { type: 'boolean' },
+    respect_dnt: { type: 'boolean' },
+    token_paths: {
+      type: 'array',
+      maxItems: 20,
+      items: { type: 'string', maxLength: 256, pattern: /^\/[^\s?#]*$/ }
+    },
+    endpoint: { type: 'string', maxLength: 512, pattern: /^https:\/\/[^/\s?#]+(\/[^\s?#]*)?$/ }
+  }
+};
+
+const validateCollectorConfig = (config) => validate(collectorConfigSpec, config);
+
+module.exports = {
+  validateCollectorConfig
+};
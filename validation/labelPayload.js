@@ -0,0 +1,67 @@
+const { validate } = require('./validator');
+const SessionLabel = require('../models/SessionLabel');
+
+// Most sessions a single bulk-label request may change
+const MAX_BULK_LABEL = 10000;
+
+const labelFields = {
+  label: { type: 'string', required: true, enum: SessionLabel.LABELS },
+  source: { type: 'string', required: true, enum: SessionLabel.LABEL_SOURCES },
+  confidence: { type: 'number', min: 0, max: 1 },
+  // Defaults to the API key name when omitted
+  annotator: { type: 'string', maxLength: 128 },
+  note: { type: 'string', maxLength: 1024 }
+};
+
+// sessionQuery ignores dates it cannot parse, which would widen the filter silently
+const dateString = {
+  type: 'string',
+  maxLength: 64,
+  check: (value) => (isNaN(new Date(value).getTime())
+    ? { reason: 'pattern', message: 'must be a valid date' }
+    : null)
+};
+
+const labelSpec = {
+  type: 'object',
+  required: true,
+  fields: labelFields
+};
+
+// Same filters as GET /api/sessions
+const bulkLabelSpec = {
+  type: 'object',
+  required: true,
+  fields: {
+    ...labelFields,
+    filter: {
+      type: 'object',
+      required: true,
+      fields: {
+        is_bot: { type: ['boolean', 'string'], enum: [true, false, 'true', 'false'] },
+        min_score: { type: 'number', min: 0, max: 1 },
+        max_score: { type: 'number', min: 0, max: 1 },
+        label: { type: 'string', enum: [...SessionLabel.LABELS, 'unlabeled'] },
+        label_source: { type: 'string', enum: SessionLabel.LABEL_SOURCES },
+        from: dateString,
+        to: dateString,
+        fingerprint_hash: { type: 'string', maxLength: 128 },
+        reputation_tag: { type: 'string', maxLength: 64 }
+      },
+      // An empty filter would label every session in scope by accident
+      check: (filter) => (Object.keys(filter).length === 0
+        ? { reason: 'required', message: 'must contain at least one condition' }
+        : null)
+    },
+    limit: { type: 'integer', min: 1, max: MAX_BULK_LABEL }
+  }
+};
+
+const validateLabel = (payload) => validate(labelSpec, payload);
+const validateBulkLabel = (payload) => validate(bulkLabelSpec, payload);
+
+module.exports = {
+  validateLabel,
+  validateBulkLabel,
+  MAX_BULK_LABEL
+};
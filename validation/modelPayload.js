@@ -0,0 +1,83 @@
+const { validate } = require('./validator');
+const ScoringModel = require('../models/ScoringModel');
+const { checkTree } = require('../services/modelRuntime');
+const { FEATURE_NAMES } = require('../services/scoringEngine');
+
+const MAX_TREES = 5000;
+
+const numberList = { type: 'array', maxItems: FEATURE_NAMES.length, items: { type: 'number' } };
+
+// Per-feature arrays must line up with `features`
+const perFeatureLists = ({ weights, impute, scaler }) => [weights, impute, scaler && scaler.mean, scaler && scaler.scale];
+
+const definitionSpec = {
+  type: 'object',
+  required: true,
+  fields: {
+    type: { type: 'string', required: true, enum: ScoringModel.MODEL_TYPES },
+    features: {
+      type: 'array',
+      required: true,
+      maxItems: FEATURE_NAMES.length,
+      items: { type: 'string', enum: FEATURE_NAMES }
+    },
+    threshold: { type: 'number', min: 0, max: 1 },
+    // logistic_regression
+    weights: numberList,
+    intercept: { type: 'number' },
+    impute: { type: 'array', maxItems: FEATURE_NAMES.length, items: { type: 'number', nullable: true } },
+    scaler: {
+      type: 'object',
+      fields: {
+        mean: { ...numberList, required: true },
+        scale: { ...numberList, required: true }
+      }
+    },
+    // gradient_boosted_trees
+    base_score: { type: 'number' },
+    trees: {
+      type: 'array',
+      maxItems: MAX_TREES,
+      items: {
+        type: 'object',
+        check: (tree, { featureCount }) => {
+          const message = checkTree(tree, featureCount);
+          return message ? { reason: 'invalid_tree', message } : null;
+        }
+      }
+    }
+  },
+  check: (definition) => {
+    if (definition.type === 'logistic_regression' && !Array.isArray(definition.weights)) {
+      return { reason: 'required', message: 'logistic_regression needs weights' };
+    }
+    if (definition.type === 'gradient_boosted_trees' && !(Array.isArray(definition.trees) && definition.trees.length)) {
+      return { reason: 'required', message: 'gradient_boosted_trees needs a non-empty trees list' };
+    }
+    const featureCount = (definition.features || []).length;
+    return perFeatureLists(definition).some(list => Array.isArray(list) && list.length !== featureCount)
+      ? { reason: 'length_mismatch', message: 'weights, impute and scaler must have one entry per feature' }
+      : null;
+  }
+};
+
+const modelUploadSpec = {
+  type: 'object',
+  required: true,
+  fields: {
+    description: { type: 'string', maxLength: 1024 },
+    definition: definitionSpec,
+    metrics: { type: 'object' }
+  }
+};
+
+// Validate a model upload; returns a list of { field, reason, message }
+const validateModelUpload = (payload) => validate(modelUploadSpec, payload, {
+  featureCount: payload && payload.definition && Array.isArray(payload.definition.features)
+    ? payload.definition.features.length
+    : 0
+});
+
+module.exports = {
+  validateModelUpload
+};
@@ -0,0 +1,26 @@
+const { validate } = require('./validator');
+const Site = require('../models/Site');
+const { IP_HASH_KEY } = require('../services/privacy');
+
+const privacyConfigSpec = {
+  type: 'object',
+  nullable: true, // null falls back to the server-wide defaults
+  fields: {
+    ip_handling: {
+      type: 'string',
+      enum: Site.IP_HANDLING,
+      check: (mode) => (mode === 'hash' && !IP_HASH_KEY
+        ? { reason: 'unavailable', message: 'requires IP_HASH_KEY to be set on the server' }
+        : null)
+    },
+    retention_days: { type: 'integer', min: 0, max: 3650 },
+    redact_click_text: { type: 'boolean' },
+    strip_query_strings: { type: 'boolean' }
+  }
+};
+
+const validatePrivacyConfig = (config) => validate(privacyConfigSpec, config);
+
+module.exports = {
+  validatePrivacyConfig
+};
@@ -0,0 +1,124 @@
+// Minimal declarative validator.
+//
+// A spec is a plain object describing one value:
+//   type       'string' | 'number' | 'integer' | 'boolean' | 'object' | 'array', or an array of these
+//   required   value must be present (not undefined)
+//   nullable   null is accepted
+//   min / max  numeric range
+//   maxLength  string length limit
+//   truncate   (object field) a string over maxLength is cut to it in place instead of rejected
+//   pattern    RegExp a string must match
+//   enum       list of accepted values
+//   fields     (object) spec per allowed key; any other key is rejected
+//   items      (array) spec applied to every element
+//   maxItems   (array) length limit
+//   check      (value, context) => { reason, message } or null, for custom rules
+//
+// validate() returns a list of { field, reason, message } errors, empty when valid.
+
+const MAX_ERRORS = 50;
+
+const typeOf = (value) => {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  return typeof value;
+};
+
+const matchesType = (value, type) => {
+  switch (type) {
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number' && isFinite(value);
+    case 'object':
+      return typeOf(value) === 'object';
+    default:
+      return typeOf(value) === type;
+  }
+};
+
+const joinPath = (path, key) => (path ? `${path}.${key}` : key);
+
+const validateValue = (spec, value, path, context, errors) => {
+  const fail = (reason, message, field = path) => {
+    if (errors.length < MAX_ERRORS) {
+      errors.push({ field: field || '(root)', reason, message });
+    }
+  };
+
+  if (value === undefined) {
+    if (spec.required) fail('required', 'is required');
+    return;
+  }
+
+  if (value === null) {
+    if (!spec.nullable) fail('type', 'must not be null');
+    return;
+  }
+
+  const types = [].concat(spec.type || []);
+  if (types.length && !types.some(type => matchesType(value, type))) {
+    fail('type', `must be of type ${types.join(' or ')}`);
+    return;
+  }
+
+  if (spec.enum && !spec.enum.includes(value)) {
+    fail('enum', `must be one of ${spec.enum.join(', ')}`);
+    return;
+  }
+
+  if (typeof value === 'number') {
+    if (spec.min !== undefined && value < spec.min) fail('out_of_range', `must be >= ${spec.min}`);
+    if (spec.max !== undefined && value > spec.max) fail('out_of_range', `must be <= ${spec.max}`);
+  }
+
+  if (typeof value === 'string') {
+    if (spec.maxLength !== undefined && value.length > spec.maxLength) {
+      fail('too_long', `must be at most ${spec.maxLength} characters`);
+    }
+    if (spec.pattern && !spec.pattern.test(value)) {
+      fail('pattern', 'has an invalid format');
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (spec.maxItems !== undefined && value.length > spec.maxItems) {
+      fail('too_many_items', `must contain at most ${spec.maxItems} items`);
+      return;
+    }
+    if (spec.items) {
+      value.forEach((item, index) => validateValue(spec.items, item, `${path}[${index}]`, context, errors));
+    }
+  }
+
+  if (spec.fields && typeOf(value) === 'object') {
+    Object.keys(value).forEach(key => {
+      if (!Object.prototype.hasOwnProperty.call(spec.fields, key)) {
+        fail('unknown_field', 'is not an allowed field', joinPath(path, key));
+      }
+    });
+    Object.keys(spec.fields).forEach(key => {
+      const field = spec.fields[key];
+      if (field.truncate && typeof value[key] === 'string' && value[key].length > field.maxLength) {
+        value[key] = value[key].slice(0, field.maxLength);
+      }
+      validateValue(field, value[key], joinPath(path, key), context, errors);
+    });
+  }
+
+  if (spec.check) {
+    const failure = spec.check(value, context);
+    if (failure) fail(failure.reason, failure.message);
+  }
+};
+
+const validate = (spec, value, context = {}) => {
+  const errors = [];
+  validateValue(spec, value, '', context, errors);
+  return errors;
+};
+
+module.exports = {
+  validate,
+  MAX_ERRORS
+};
@@ -0,0 +1,42 @@
+const { validate } = require('./validator');
+const Webhook = require('../models/Webhook');
+
+// Same rule as the collector endpoint: an https URL without a query string or fragment
+const HTTPS_URL = /^https:\/\/[^/\s?#]+(\/[^\s?#]*)?$/;
+
+const webhookSpec = (partial) => ({
+  type: 'object',
+  required: true,
+  fields: {
+    site: { type: 'string', maxLength: 128 },
+    url: { type: 'string', required: !partial, maxLength: 2048, pattern: HTTPS_URL },
+    events: {
+      type: 'array',
+      maxItems: Webhook.EVENTS.length,
+      items: { type: 'string', enum: Webhook.EVENTS },
+      check: (events) => (events.length === 0
+        ? { reason: 'min_items', message: 'must name at least one event' }
+        : null)
+    },
+    thresholds: {
+      type: 'object',
+      fields: {
+        score: { type: 'number', min: 0, max: 1 },
+        fingerprint_sessions_per_hour: { type: 'integer', min: 2, max: 100000 },
+        spike_factor: { type: 'number', min: 1, max: 1000 },
+        spike_min_batches: { type: 'integer', min: 1, max: 10000000 },
+        rate_limit_strikes: { type: 'integer', min: 1, max: 100 }
+      }
+    },
+    description: { type: 'string', nullable: true, maxLength: 200 },
+    active: { type: 'boolean' },
+    rotate_secret: { type: 'boolean' }
+  }
+});
+
+// Body of POST /api/admin/webhooks (partial = false) or PATCH /api/admin/webhooks/:id
+const validateWebhook = (body, { partial = false } = {}) => validate(webhookSpec(partial), body);
+
+module.exports = {
+  validateWebhook
+};